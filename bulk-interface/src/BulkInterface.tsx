@@ -1,7 +1,18 @@
-import { useState, useEffect, useMemo, useCallback, memo } from 'react';
-import type { Expansion, Blueprint, ListingRow, Condition } from './types';
+import { useState, useEffect, useMemo, useCallback, useRef, memo } from 'react';
+import type {
+  Game, Expansion, Category, Blueprint, ListingRow, BulkCreateProduct, JobStatus, Submission, MarketListing, MarketStats, PricingStrategy
+} from './types';
 import { CONDITIONS, LANGUAGES } from './types';
-import { fetchExpansions, fetchBlueprints, bulkCreateProducts } from './api';
+import {
+  fetchGames, fetchExpansions, fetchCategories, singlesCategoryIds, fetchBlueprints, fetchMarketplacePrices,
+  bulkCreateProducts, waitForJob, jobState, jobErrors, isJobFailed
+} from './api';
+import { PRICING_STRATEGIES, marketStats, suggestPrice, formatCents } from './pricing';
+import {
+  conditionOptions, languageOptions, supportsFoil, extraProperties, rowDefaults, productProperties, propertyLabel
+} from './properties';
+import type { ResolvedLine } from './importList';
+import ImportPanel from './ImportPanel';
 
 // Icons as simple SVG components
 const TrashIcon = memo(() => (
@@ -16,18 +27,49 @@ interface CardRowProps {
   rowIndex: number;
   onUpdate: (blueprintId: number, updates: Partial<ListingRow>) => void;
   onDelete: (blueprintId: number) => void;
+  listings?: MarketListing[]; // marketplace listings of this blueprint, undefined while loading
+  marketFailed?: boolean; // the marketplace request for this blueprint's expansion failed
 }
 
-const CardRow = memo(function CardRow({ row, rowIndex, onUpdate, onDelete }: CardRowProps) {
+// Collector numbers in set order: plain numbers first (12 < 12a < 12b < 100), then prefixed
+// ones grouped by prefix (T3, T10), then anything without digits (★); missing numbers go last.
+function compareCollectorNumbers(a?: string, b?: string): number {
+  const key = (n?: string) => {
+    if (!n) return { group: 3, prefix: '', num: 0, suffix: '' };
+    const m = /^(\D*?)(\d+)(.*)$/.exec(n.trim());
+    if (!m) return { group: 2, prefix: n, num: 0, suffix: '' };
+    return { group: m[1] ? 1 : 0, prefix: m[1], num: parseInt(m[2], 10), suffix: m[3] };
+  };
+  const ka = key(a);
+  const kb = key(b);
+  return ka.group - kb.group
+    || ka.prefix.localeCompare(kb.prefix)
+    || ka.num - kb.num
+    || ka.suffix.localeCompare(kb.suffix);
+}
+
+// Usual rarities in ascending order; anything else is listed after them
+const RARITY_ORDER = ['Common', 'Uncommon', 'Rare', 'Mythic', 'Mythic Rare', 'Special', 'Land', 'Token'];
+const ALL_RARITIES = 'All rarities';
+
+// Shared so rows without listings keep a stable prop
+const NO_LISTINGS: MarketListing[] = [];
+
+const formatStats = (stats: MarketStats | null) =>
+  stats ? `$${formatCents(stats.min)} / $${formatCents(stats.avg)}` : '—';
+
+const CardRow = memo(function CardRow({ row, rowIndex, onUpdate, onDelete, listings, marketFailed }: CardRowProps) {
   const blueprintId = row.blueprint.id;
   // Tab order: qty → foil → next row's qty → foil (interleaved)
   // Prices are skipped (tabIndex -1) since they're set by defaults
   const qtyTabIndex = 1000 + (rowIndex * 2);
   const foilTabIndex = 1000 + (rowIndex * 2) + 1;
+  const nonFoilStats = marketStats(listings, { condition: row.condition, language: row.language, foil: false });
+  const foilStats = marketStats(listings, { condition: row.condition, language: row.language, foil: true });
   
   return (
     <div 
-      className="grid grid-cols-[32px_48px_1fr_100px_100px_100px_100px_100px] gap-3 px-6 py-3 items-center hover:bg-gray-50 text-base"
+      className="grid grid-cols-[32px_48px_1fr_100px_100px_160px_100px_100px_150px_100px] gap-3 px-6 py-3 items-center hover:bg-gray-50 text-base"
     >
       <div className="w-6">
         <input
@@ -62,7 +104,17 @@ const CardRow = memo(function CardRow({ row, rowIndex, onUpdate, onDelete }: Car
             />
           </div>
         )}
-        <span className="font-medium truncate text-base">{row.blueprint.name}</span>
+        <div className="min-w-0">
+          <div className="font-medium truncate text-base">
+            {row.blueprint.name}
+            {row.blueprint.collector_number && (
+              <span className="ml-2 text-sm font-normal text-gray-400">#{row.blueprint.collector_number}</span>
+            )}
+          </div>
+          {row.submitError && (
+            <div className="text-sm text-red-600 truncate" title={row.submitError}>{row.submitError}</div>
+          )}
+        </div>
       </div>
       <div>
         <select
@@ -71,7 +123,7 @@ const CardRow = memo(function CardRow({ row, rowIndex, onUpdate, onDelete }: Car
           value={row.condition}
           onChange={e => onUpdate(blueprintId, { condition: e.target.value })}
         >
-          {CONDITIONS.map(c => (
+          {conditionOptions(row.blueprint).map(c => (
             <option key={c} value={c}>{c.split(' ').map(w => w[0]).join('')}</option>
           ))}
         </select>
@@ -83,9 +135,35 @@ const CardRow = memo(function CardRow({ row, rowIndex, onUpdate, onDelete }: Car
           value={row.language}
           onChange={e => onUpdate(blueprintId, { language: e.target.value })}
         >
-          {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.code.toUpperCase()}</option>)}
+          {languageOptions(row.blueprint).map(code => <option key={code} value={code}>{code.toUpperCase()}</option>)}
         </select>
       </div>
+      <div className="flex flex-wrap gap-x-2 gap-y-1 text-sm">
+        {extraProperties(row.blueprint).map(prop => {
+          const value = row.properties?.[prop.name];
+          const setValue = (v: string | boolean) => onUpdate(blueprintId, { properties: { ...row.properties, [prop.name]: v } });
+          if (prop.type === 'boolean') {
+            return (
+              <label key={prop.name} className="flex items-center gap-1 whitespace-nowrap">
+                <input type="checkbox" tabIndex={-1} checked={value === true} onChange={e => setValue(e.target.checked)} />
+                {propertyLabel(row.blueprint, prop.name)}
+              </label>
+            );
+          }
+          return (
+            <select
+              key={prop.name}
+              className="border rounded px-1 py-0.5"
+              tabIndex={-1}
+              title={propertyLabel(row.blueprint, prop.name)}
+              value={typeof value === 'string' ? value : ''}
+              onChange={e => setValue(e.target.value)}
+            >
+              {(prop.possible_values ?? []).map(v => <option key={String(v)} value={String(v)}>{String(v)}</option>)}
+            </select>
+          );
+        })}
+      </div>
       <div>
         <input
           type="number"
@@ -99,13 +177,31 @@ const CardRow = memo(function CardRow({ row, rowIndex, onUpdate, onDelete }: Car
       <div>
         <input
           type="number"
-          className="w-full border rounded px-2 py-1 text-center bg-yellow-50"
+          className="w-full border rounded px-2 py-1 text-center bg-yellow-50 disabled:opacity-40"
           tabIndex={foilTabIndex}
+          disabled={!supportsFoil(row.blueprint)}
+          title={supportsFoil(row.blueprint) ? undefined : 'No foil printing for this game'}
           value={row.quantityFoil || ''}
           onChange={e => onUpdate(blueprintId, { quantityFoil: parseInt(e.target.value) || 0 })}
           min={0}
         />
       </div>
+      <div className="text-sm leading-tight text-gray-600">
+        {listings ? (
+          <>
+            <div title={`Non-foil ${row.condition} ${row.language.toUpperCase()}: ${nonFoilStats?.count ?? 0} listings`}>
+              {formatStats(nonFoilStats)}
+            </div>
+            <div className="text-yellow-700" title={`Foil ${row.condition} ${row.language.toUpperCase()}: ${foilStats?.count ?? 0} listings`}>
+              ✦ {formatStats(foilStats)}
+            </div>
+          </>
+        ) : marketFailed ? (
+          <span className="text-red-500" title="Marketplace prices could not be loaded">failed</span>
+        ) : (
+          <span className="text-gray-300">…</span>
+        )}
+      </div>
       <div className="flex items-center">
         <span className="text-gray-400">$</span>
         <input
@@ -123,7 +219,22 @@ const CardRow = memo(function CardRow({ row, rowIndex, onUpdate, onDelete }: Car
 
 export default function BulkInterface() {
   // Data state
-  // const [, setGames] = useState<Game[]>([]);
+  const [games, setGames] = useState<Game[]>([]);
+  const [selectedGameId, setSelectedGameId] = useState<number>(() => {
+    const saved = localStorage.getItem('selectedGameId');
+    return saved ? parseInt(saved, 10) : 1;
+  });
+  const [categories, setCategories] = useState<Category[]>(() => {
+    const cached = localStorage.getItem('categoriesCache');
+    if (cached) {
+      try {
+        return JSON.parse(cached);
+      } catch {
+        return [];
+      }
+    }
+    return [];
+  });
   const [expansions, setExpansions] = useState<Expansion[]>(() => {
     const cached = localStorage.getItem('expansionsCache');
     if (cached) {
@@ -150,7 +261,7 @@ export default function BulkInterface() {
     }
     return [];
   });
-  const [selectedRarity, setSelectedRarity] = useState<string>('All rarities');
+  const [selectedRarity, setSelectedRarity] = useState<string>(ALL_RARITIES);
   const [expansionSearch, setExpansionSearch] = useState('');
   const [letterFilter, setLetterFilter] = useState(() => {
     return localStorage.getItem('letterFilter') ?? '';
@@ -175,9 +286,26 @@ export default function BulkInterface() {
 
   const [sortBy, setSortBy] = useState<'name' | 'number'>('name');
   const [submitting, setSubmitting] = useState(false);
+  const [jobProgress, setJobProgress] = useState<{ jobId: string | null; state: string; done: number; total: number } | null>(null);
+  const [showLastSubmission, setShowLastSubmission] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+
+  // Past submissions, newest first, kept for this browser session
+  const [submissions, setSubmissions] = useState<Submission[]>(() => {
+    const saved = sessionStorage.getItem('submissionHistory');
+    if (saved) {
+      try {
+        return JSON.parse(saved);
+      } catch {
+        return [];
+      }
+    }
+    return [];
+  });
   
   // Default values for new rows (persisted to localStorage)
-  const [defaultCondition, setDefaultCondition] = useState<Condition>('Near Mint');
+  const [defaultCondition, setDefaultCondition] = useState('Near Mint');
   const [defaultLanguage, setDefaultLanguage] = useState('en');
   const [defaultQuantity, setDefaultQuantity] = useState(() => {
     const saved = localStorage.getItem('defaultQuantity');
@@ -191,6 +319,21 @@ export default function BulkInterface() {
     return localStorage.getItem('defaultPrice') ?? '';
   });
 
+  // Marketplace listings per blueprint, fetched once per expansion in the working list
+  const [marketListings, setMarketListings] = useState<Record<number, MarketListing[]>>({});
+  const [marketExpansionIds, setMarketExpansionIds] = useState<number[]>([]);
+  const [marketFailedIds, setMarketFailedIds] = useState<number[]>([]);
+  const [marketRefresh, setMarketRefresh] = useState(0);
+  const requestedMarketIds = useRef(new Set<number>());
+  const [pricingStrategy, setPricingStrategy] = useState<PricingStrategy>(() => {
+    return (localStorage.getItem('pricingStrategy') as PricingStrategy | null) ?? 'min';
+  });
+  const [pricingPercent, setPricingPercent] = useState(() => {
+    const saved = localStorage.getItem('pricingPercent');
+    return saved ? parseInt(saved, 10) : 100;
+  });
+  const [pricingNote, setPricingNote] = useState<string | null>(null);
+
   // Persist quantity and price to localStorage
   useEffect(() => {
     localStorage.setItem('defaultQuantity', String(defaultQuantity));
@@ -204,6 +347,14 @@ export default function BulkInterface() {
     localStorage.setItem('defaultPrice', defaultPrice);
   }, [defaultPrice]);
 
+  useEffect(() => {
+    localStorage.setItem('pricingStrategy', pricingStrategy);
+  }, [pricingStrategy]);
+
+  useEffect(() => {
+    localStorage.setItem('pricingPercent', String(pricingPercent));
+  }, [pricingPercent]);
+
   // Persist letter filter
   useEffect(() => {
     localStorage.setItem('letterFilter', letterFilter);
@@ -219,12 +370,30 @@ export default function BulkInterface() {
     localStorage.setItem('workingItems', JSON.stringify(workingItems));
   }, [workingItems]);
 
-  // // Load games on mount
-  // useEffect(() => {
-  //   fetchGames()
-  //     .then(setGames)
-  //     .catch(err => setError(err.message));
-  // }, []);
+  useEffect(() => {
+    sessionStorage.setItem('submissionHistory', JSON.stringify(submissions));
+  }, [submissions]);
+
+  useEffect(() => {
+    localStorage.setItem('selectedGameId', String(selectedGameId));
+  }, [selectedGameId]);
+
+  // Load games on mount
+  useEffect(() => {
+    fetchGames()
+      .then(setGames)
+      .catch(err => setError(err.message));
+  }, []);
+
+  // Load categories on mount (use cache, refresh in background); they tell the singles apart
+  useEffect(() => {
+    fetchCategories()
+      .then(data => {
+        setCategories(data);
+        localStorage.setItem('categoriesCache', JSON.stringify(data));
+      })
+      .catch(err => setError(err.message));
+  }, []);
 
   // Load expansions on mount (use cache, refresh in background)
   useEffect(() => {
@@ -241,19 +410,26 @@ export default function BulkInterface() {
       });
   }, [expansions.length]);
 
-  // Filter expansions to Magic: The Gathering (game_id = 1), sort A-Z, and apply search
+  // Filter expansions to the selected game, sort A-Z, and apply search
   const filteredExpansions = useMemo(() => {
-    const MAGIC_GAME_ID = 1;
     const searchLower = expansionSearch.toLowerCase();
     return expansions
-      .filter(e => e.game_id === MAGIC_GAME_ID)
+      .filter(e => e.game_id === selectedGameId)
       .filter(e => 
         !expansionSearch || 
         e.name.toLowerCase().includes(searchLower) ||
         e.code.toLowerCase().includes(searchLower)
       )
       .sort((a, b) => a.name.localeCompare(b.name));
-  }, [expansions, expansionSearch]);
+  }, [expansions, expansionSearch, selectedGameId]);
+
+  // Singles categories of each selected expansion's game; keyed by content so that refreshing
+  // expansions or categories with the same data does not refetch the blueprints
+  const singlesKey = JSON.stringify(selectedExpansionIds.map(id => {
+    const exp = expansions.find(e => e.id === id);
+    return exp ? singlesCategoryIds(categories, exp.game_id) : [];
+  }));
+  const expansionSinglesIds = useMemo(() => JSON.parse(singlesKey) as number[][], [singlesKey]);
 
   // Load blueprints when expansions selected (for the picker)
   useEffect(() => {
@@ -265,16 +441,46 @@ export default function BulkInterface() {
     setLoading(true);
     setError(null);
 
-    // Fetch blueprints for all selected expansions
-    Promise.all(selectedExpansionIds.map(id => fetchBlueprints(id)))
+    // Fetch blueprints for all selected expansions, singles only when the game's singles category is known
+    let cancelled = false;
+    Promise.all(selectedExpansionIds.map((id, i) => fetchBlueprints(id, expansionSinglesIds[i])))
       .then(results => {
+        if (cancelled) return;
         // Merge all blueprints, sorted by name
         const merged = results.flat().sort((a, b) => a.name.localeCompare(b.name));
         setBlueprints(merged);
       })
-      .catch(err => setError(err.message))
-      .finally(() => setLoading(false));
-  }, [selectedExpansionIds]);
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedExpansionIds, expansionSinglesIds]);
+
+  // Condition and language choices for the defaults, from the blueprints being picked
+  const defaultConditionOptions = useMemo(() => {
+    return blueprints.length > 0 ? conditionOptions(blueprints[0]) : CONDITIONS;
+  }, [blueprints]);
+  const defaultLanguageOptions = useMemo(() => {
+    return blueprints.length > 0 ? languageOptions(blueprints[0]) : LANGUAGES.map(l => l.code);
+  }, [blueprints]);
+
+  // Rarities present in the loaded blueprints, for the rarity filter
+  const rarityOptions = useMemo(() => {
+    const rarities = [...new Set(blueprints.map(bp => bp.rarity).filter((r): r is string => Boolean(r)))];
+    const rank = (r: string) => (RARITY_ORDER.includes(r) ? RARITY_ORDER.indexOf(r) : RARITY_ORDER.length);
+    return rarities.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  }, [blueprints]);
+
+  // Blueprints the add buttons work on: the loaded expansions narrowed to the chosen rarity
+  const rarityBlueprints = useMemo(() => {
+    if (selectedRarity === ALL_RARITIES) return blueprints;
+    return blueprints.filter(bp => bp.rarity === selectedRarity);
+  }, [blueprints, selectedRarity]);
 
   // Get display info for selected expansions
   const selectedExpansionsInfo = useMemo(() => {
@@ -313,16 +519,15 @@ export default function BulkInterface() {
     if (nextLetter) {
       setLetterFilter(nextLetter);
       // Add items for the new letter
-      if (blueprints.length > 0) {
-        const newRows: ListingRow[] = blueprints
+      if (rarityBlueprints.length > 0) {
+        const newRows: ListingRow[] = rarityBlueprints
           .filter(bp => bp.name.charAt(0).toLowerCase() === nextLetter)
           .map(bp => ({
             blueprint: bp,
             selected: false,
-            condition: defaultCondition,
-            language: defaultLanguage,
+            ...rowDefaults(bp, defaultCondition, defaultLanguage),
             quantity: defaultQuantity,
-            quantityFoil: defaultQuantityFoil,
+            quantityFoil: supportsFoil(bp) ? defaultQuantityFoil : 0,
             price: defaultPrice,
           }));
 
@@ -333,11 +538,11 @@ export default function BulkInterface() {
         });
       }
     }
-  }, [getNextLetter, letterFilter, blueprints, defaultCondition, defaultLanguage, defaultQuantity, defaultQuantityFoil, defaultPrice]);
+  }, [getNextLetter, letterFilter, rarityBlueprints, defaultCondition, defaultLanguage, defaultQuantity, defaultQuantityFoil, defaultPrice]);
 
   // Add items from selected expansion to working items
   const handleAddItems = useCallback(() => {
-    if (blueprints.length === 0) return;
+    if (rarityBlueprints.length === 0) return;
 
     // Filter blueprints by letter range if specified
     const filterByLetter = (name: string): boolean => {
@@ -373,15 +578,14 @@ export default function BulkInterface() {
     };
 
     // Create new rows from blueprints with default values
-    const newRows: ListingRow[] = blueprints
+    const newRows: ListingRow[] = rarityBlueprints
       .filter(bp => filterByLetter(bp.name))
       .map(bp => ({
         blueprint: bp,
         selected: false,
-        condition: defaultCondition,
-        language: defaultLanguage,
+        ...rowDefaults(bp, defaultCondition, defaultLanguage),
         quantity: defaultQuantity,
-        quantityFoil: defaultQuantityFoil,
+        quantityFoil: supportsFoil(bp) ? defaultQuantityFoil : 0,
         price: defaultPrice,
       }));
 
@@ -391,14 +595,14 @@ export default function BulkInterface() {
       const toAdd = newRows.filter(r => !existingIds.has(r.blueprint.id));
       return [...prev, ...toAdd];
     });
-  }, [blueprints, letterFilter, defaultCondition, defaultLanguage, defaultQuantity, defaultQuantityFoil, defaultPrice]);
+  }, [rarityBlueprints, letterFilter, defaultCondition, defaultLanguage, defaultQuantity, defaultQuantityFoil, defaultPrice]);
 
-  // Count of blueprints that will be added (respecting letter filter)
+  // Count of blueprints that will be added (respecting rarity and letter filter)
   const filteredBlueprintsCount = useMemo(() => {
-    if (!letterFilter.trim()) return blueprints.length;
+    if (!letterFilter.trim()) return rarityBlueprints.length;
     
     const filter = letterFilter.trim().toLowerCase();
-    return blueprints.filter(bp => {
+    return rarityBlueprints.filter(bp => {
       const firstChar = bp.name.charAt(0).toLowerCase();
       
       if (filter.length === 1) {
@@ -414,13 +618,20 @@ export default function BulkInterface() {
       
       return true;
     }).length;
-  }, [blueprints, letterFilter]);
+  }, [rarityBlueprints, letterFilter]);
 
   // Sort working items
   const sortedWorkingItems = useMemo(() => {
     const sorted = [...workingItems];
     if (sortBy === 'name') {
       sorted.sort((a, b) => a.blueprint.name.localeCompare(b.blueprint.name));
+    } else {
+      // Set order within each expansion
+      sorted.sort((a, b) =>
+        a.blueprint.expansion_id - b.blueprint.expansion_id
+        || compareCollectorNumbers(a.blueprint.collector_number, b.blueprint.collector_number)
+        || a.blueprint.name.localeCompare(b.blueprint.name)
+      );
     }
     return sorted;
   }, [workingItems, sortBy]);
@@ -432,6 +643,34 @@ export default function BulkInterface() {
     ));
   }, []);
 
+  // Add imported lines. There is one row per blueprint, so a line for a blueprint already in the
+  // list adds to its quantity; the row keeps its condition, language and price.
+  const addImportedLines = useCallback((lines: ResolvedLine[]) => {
+    setWorkingItems(prev => {
+      const rows = [...prev];
+      for (const { line, blueprint } of lines) {
+        const foil = line.foil && supportsFoil(blueprint);
+        const index = rows.findIndex(r => r.blueprint.id === blueprint.id);
+        if (index >= 0) {
+          const row = rows[index];
+          rows[index] = foil
+            ? { ...row, quantityFoil: row.quantityFoil + line.quantity }
+            : { ...row, quantity: row.quantity + line.quantity };
+          continue;
+        }
+        rows.push({
+          blueprint,
+          selected: false,
+          ...rowDefaults(blueprint, line.condition ?? defaultCondition, line.language ?? defaultLanguage),
+          quantity: foil ? 0 : line.quantity,
+          quantityFoil: foil ? line.quantity : 0,
+          price: line.priceCents != null ? formatCents(line.priceCents) : defaultPrice,
+        });
+      }
+      return rows;
+    });
+  }, [defaultCondition, defaultLanguage, defaultPrice]);
+
   // Delete a row from working items
   const deleteRow = useCallback((blueprintId: number) => {
     setWorkingItems(prev => prev.filter(row => row.blueprint.id !== blueprintId));
@@ -449,19 +688,91 @@ export default function BulkInterface() {
 
   // Apply defaults to all working items
   const applyDefaultsToAll = useCallback(() => {
-    setWorkingItems(prev => prev.map(row => ({
-      ...row,
-      condition: defaultCondition,
-      language: defaultLanguage,
-      quantity: defaultQuantity,
-      quantityFoil: defaultQuantityFoil,
-      price: defaultPrice,
-    })));
+    setWorkingItems(prev => prev.map(row => {
+      const { condition, language } = rowDefaults(row.blueprint, defaultCondition, defaultLanguage);
+      return {
+        ...row,
+        condition,
+        language,
+        quantity: defaultQuantity,
+        quantityFoil: supportsFoil(row.blueprint) ? defaultQuantityFoil : 0,
+        price: defaultPrice,
+      };
+    }));
   }, [defaultCondition, defaultLanguage, defaultQuantity, defaultQuantityFoil, defaultPrice]);
 
+  // Fetch marketplace prices for expansions that entered the working list
+  const workingExpansionIds = useMemo(() => {
+    return [...new Set(workingItems.map(r => r.blueprint.expansion_id))];
+  }, [workingItems]);
+
+  useEffect(() => {
+    const missing = workingExpansionIds.filter(id => !requestedMarketIds.current.has(id));
+    for (const id of missing) {
+      requestedMarketIds.current.add(id);
+      fetchMarketplacePrices(id).then(listings => {
+        setMarketListings(prev => ({ ...prev, ...listings }));
+        setMarketExpansionIds(prev => [...prev, id]);
+      }).catch(err => {
+        const name = expansions.find(e => e.id === id)?.name ?? `expansion ${id}`;
+        setMarketFailedIds(prev => [...prev, id]);
+        setError(`Could not load marketplace prices for ${name}: ${err.message}`);
+      });
+    }
+  }, [workingExpansionIds, marketRefresh, expansions]);
+
+  const refreshMarketPrices = useCallback(() => {
+    requestedMarketIds.current.clear();
+    setMarketListings({});
+    setMarketExpansionIds([]);
+    setMarketFailedIds([]);
+    setMarketRefresh(n => n + 1);
+  }, []);
+
+  // Requests only the expansions whose marketplace prices failed to load
+  const retryMarketPrices = useCallback(() => {
+    for (const id of marketFailedIds) requestedMarketIds.current.delete(id);
+    setMarketFailedIds([]);
+    setError(null);
+    setMarketRefresh(n => n + 1);
+  }, [marketFailedIds]);
+
+  // Fill the price column from the chosen strategy: selected rows, or every row when none is selected.
+  // A row has one price for both finishes, so rows with only foil copies use the foil market.
+  const applyPricingStrategy = useCallback(() => {
+    const defaultCents = Math.round((parseFloat(defaultPrice) || 0) * 100);
+    const targetAll = !workingItems.some(r => r.selected);
+    let priced = 0;
+    let skipped = 0;
+    let unavailable = 0;
+    const next = workingItems.map(row => {
+      if (!targetAll && !row.selected) return row;
+      if (marketFailedIds.includes(row.blueprint.expansion_id)) {
+        unavailable++;
+        return row;
+      }
+      const foil = row.quantity === 0 && row.quantityFoil > 0;
+      const stats = marketStats(marketListings[row.blueprint.id], { condition: row.condition, language: row.language, foil });
+      const cents = suggestPrice(pricingStrategy, stats, { percent: pricingPercent, defaultCents });
+      if (cents == null) {
+        skipped++;
+        return row;
+      }
+      priced++;
+      return { ...row, price: formatCents(cents) };
+    });
+    setWorkingItems(next);
+    setPricingNote(`Priced ${priced} rows${skipped > 0 ? `; ${skipped} without matching market listings kept their price` : ''}`
+      + (unavailable > 0 ? `; ${unavailable} whose market prices failed to load kept their price` : ''));
+  }, [workingItems, marketListings, marketFailedIds, pricingStrategy, pricingPercent, defaultPrice]);
+
+  const marketLoading = workingExpansionIds.some(id => !marketExpansionIds.includes(id) && !marketFailedIds.includes(id));
+
   // Get items ready for submission (have quantity and price)
   const sellableItems = useMemo(() => {
-    return workingItems.filter(r => (r.quantity > 0 || r.quantityFoil > 0) && r.price !== '' && parseFloat(r.price) > 0);
+    return workingItems.filter(r =>
+      (r.quantity > 0 || (r.quantityFoil > 0 && supportsFoil(r.blueprint))) && r.price !== '' && parseFloat(r.price) > 0
+    );
   }, [workingItems]);
 
   // Calculate total value
@@ -469,7 +780,7 @@ export default function BulkInterface() {
     return sellableItems.reduce((sum, item) => sum + (parseFloat(item.price) || 0) * (item.quantity + item.quantityFoil), 0);
   }, [sellableItems]);
 
-  // Submit to CardTrader
+  // Submit to CardTrader, then poll the job and keep whatever did not get listed
   const handleSell = async () => {
     if (sellableItems.length === 0) {
       setError('No items to sell. Set quantity and price for at least one item.');
@@ -478,65 +789,123 @@ export default function BulkInterface() {
 
     setSubmitting(true);
     setError(null);
+    setShowLastSubmission(false);
 
     try {
-      const products = sellableItems.flatMap(item => {
-        const result = [];
-        if (item.quantity > 0) {
+      // Each row becomes up to two products (non-foil and foil); remember which row each came from
+      const entries = sellableItems.flatMap(item => {
+        const result: Array<{ row: ListingRow; foil: boolean; product: BulkCreateProduct }> = [];
+        for (const foil of [false, true]) {
+          const quantity = foil ? item.quantityFoil : item.quantity;
+          if (quantity <= 0 || (foil && !supportsFoil(item.blueprint))) continue;
           result.push({
-            blueprint_id: item.blueprint.id,
-            price: parseFloat(item.price),
-            quantity: item.quantity,
-            properties: {
-              condition: item.condition,
-              mtg_language: item.language,
-              mtg_foil: false,
+            row: item,
+            foil,
+            product: {
+              blueprint_id: item.blueprint.id,
+              price: parseFloat(item.price),
+              quantity,
+              properties: productProperties(item, foil),
             },
           });
         }
-        if (item.quantityFoil > 0) {
-          result.push({
-            blueprint_id: item.blueprint.id,
-            price: parseFloat(item.price),
-            quantity: item.quantityFoil,
-            properties: {
-              condition: item.condition,
-              mtg_language: item.language,
-              mtg_foil: true,
-            },
+        return result;
+      });
+      const products = entries.map(e => e.product);
+      const total = products.length;
+      const submission: Submission = {
+        id: String(Date.now()),
+        submittedAt: new Date().toISOString(),
+        jobId: null,
+        state: 'submitted',
+        products: total,
+        listedRows: 0,
+        failures: [],
+      };
+      setJobProgress({ jobId: null, state: 'submitting', done: 0, total });
+
+      const productErrors = new Map<number, string>(); // product index -> message
+      try {
+        const result = await bulkCreateProducts({ products });
+        const jobId = result.job ?? result.job_id ?? null;
+        submission.jobId = jobId;
+        for (const e of result.errors ?? []) productErrors.set(e.index, e.message);
+
+        if (jobId) {
+          const onPoll = (job: JobStatus) => setJobProgress({
+            jobId,
+            state: jobState(job) || 'pending',
+            done: Math.min(total, job.results?.length ?? 0),
+            total,
           });
+          try {
+            const job = await waitForJob(jobId, { onPoll });
+            submission.state = jobState(job);
+            const errors = jobErrors(job);
+            if (isJobFailed(job) && errors.size === 0) {
+              products.forEach((_, i) => errors.set(i, `Job ${submission.state}`));
+            }
+            errors.forEach((message, i) => productErrors.set(i, message));
+          } catch (err) {
+            // The products may or may not have been created: keep every row, but say so
+            submission.state = 'unknown';
+            const message = `Job status unknown (${err instanceof Error ? err.message : 'polling failed'}); check your inventory before resubmitting`;
+            products.forEach((_, i) => productErrors.set(i, message));
+          }
+        } else {
+          submission.state = 'completed';
+        }
+      } catch (err) {
+        // Nothing was created
+        const message = err instanceof Error ? err.message : 'Failed to create products';
+        submission.state = 'error';
+        products.forEach((_, i) => productErrors.set(i, message));
+        setError(message);
+      }
+
+      // A row is done when all its products were listed; otherwise it stays with the listed part zeroed
+      const failedRows = new Map<number, string[]>();
+      const listedParts = new Map<number, Partial<ListingRow>>();
+      entries.forEach((entry, i) => {
+        const id = entry.row.blueprint.id;
+        const message = productErrors.get(i);
+        if (message) {
+          failedRows.set(id, [...(failedRows.get(id) ?? []), `${entry.foil ? 'Foil' : 'Non-foil'}: ${message}`]);
+        } else {
+          listedParts.set(id, { ...listedParts.get(id), [entry.foil ? 'quantityFoil' : 'quantity']: 0 });
         }
-        return result;
       });
+      setWorkingItems(prev => prev.flatMap(row => {
+        const id = row.blueprint.id;
+        const messages = failedRows.get(id);
+        if (messages) return [{ ...row, ...listedParts.get(id), submitError: messages.join('; ') }];
+        return listedParts.has(id) ? [] : [row];
+      }));
 
-      const result = await bulkCreateProducts({ products });
-      
-      if (result.errors && result.errors.length > 0) {
-        setError(`Created with ${result.errors.length} errors`);
-      } else {
-        // Remove sold items from working list
-        const soldIds = new Set(sellableItems.map(s => s.blueprint.id));
-        setWorkingItems(prev => prev.filter(row => !soldIds.has(row.blueprint.id)));
-        
-        // Auto-advance to next letter if using single letter filter
+      submission.listedRows = sellableItems.filter(item => !failedRows.has(item.blueprint.id)).length;
+      submission.failures = sellableItems
+        .filter(item => failedRows.has(item.blueprint.id))
+        .map(item => ({ name: item.blueprint.name, message: failedRows.get(item.blueprint.id)!.join('; ') }));
+      setSubmissions(prev => [submission, ...prev]);
+      setShowLastSubmission(true);
+
+      // Auto-advance to next letter if using single letter filter and everything went through
+      if (failedRows.size === 0) {
         const nextLetter = getNextLetter(letterFilter);
         if (nextLetter) {
           setLetterFilter(nextLetter);
-          alert(`Successfully listed ${products.length} items! Advancing to letter "${nextLetter.toUpperCase()}"`);
         } else if (letterFilter.trim()) {
-          alert(`Successfully listed ${products.length} items! All letters complete.`);
           setLetterFilter('');
-        } else {
-          alert(`Successfully listed ${products.length} items!`);
         }
       }
-    } catch (err) {
-      setError(err instanceof Error ? err.message : 'Failed to create products');
     } finally {
+      setJobProgress(null);
       setSubmitting(false);
     }
   };
 
+  const lastSubmission = submissions[0];
+
   return (
     <div className="min-h-screen bg-gray-100 pb-32">
       {/* Header */}
@@ -548,6 +917,16 @@ export default function BulkInterface() {
             <span className="text-xl font-bold tracking-wider">TRADER</span>
           </div>
           
+          {/* Game selector */}
+          <select
+            className="px-3 py-2.5 rounded bg-white text-gray-900 text-base"
+            value={selectedGameId}
+            onChange={e => setSelectedGameId(parseInt(e.target.value, 10))}
+          >
+            {games.length === 0 && <option value={selectedGameId}>Game {selectedGameId}</option>}
+            {games.map(g => <option key={g.id} value={g.id}>{g.display_name || g.name}</option>)}
+          </select>
+
           {/* Expansion selector with search */}
           <div className="flex-1 max-w-md relative">
             <input
@@ -615,11 +994,11 @@ export default function BulkInterface() {
               value={selectedRarity}
               onChange={e => setSelectedRarity(e.target.value)}
             >
-              <option>All rarities</option>
-              <option>Common</option>
-              <option>Uncommon</option>
-              <option>Rare</option>
-              <option>Mythic</option>
+              <option>{ALL_RARITIES}</option>
+              {rarityOptions.map(r => <option key={r}>{r}</option>)}
+              {selectedRarity !== ALL_RARITIES && !rarityOptions.includes(selectedRarity) && (
+                <option>{selectedRarity}</option>
+              )}
             </select>
 
             {/* Letter filter for adding items */}
@@ -656,6 +1035,56 @@ export default function BulkInterface() {
 
       {/* Toolbar */}
       <div className="bg-white border-b px-6 py-3 flex items-center gap-6">
+        <button
+          className="px-4 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+          onClick={() => setShowImport(v => !v)}
+        >
+          Import list
+        </button>
+        <button
+          className="px-4 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+          onClick={() => setShowHistory(v => !v)}
+          disabled={submissions.length === 0}
+        >
+          History ({submissions.length})
+        </button>
+
+        {/* Pricing strategy: fills the price column from marketplace prices */}
+        <div className="flex items-center gap-2">
+          <select
+            className="border rounded px-2 py-2"
+            value={pricingStrategy}
+            onChange={e => setPricingStrategy(e.target.value as PricingStrategy)}
+          >
+            {PRICING_STRATEGIES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+          {pricingStrategy === 'avg-percent' && (
+            <div className="flex items-center">
+              <input
+                type="number"
+                className="w-20 border rounded px-2 py-2 text-center"
+                value={pricingPercent || ''}
+                onChange={e => setPricingPercent(parseInt(e.target.value) || 0)}
+                min={1}
+              />
+              <span className="ml-1 text-gray-500">%</span>
+            </div>
+          )}
+          <button
+            className="px-4 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+            onClick={applyPricingStrategy}
+            disabled={workingItems.length === 0 || marketLoading}
+            title={selectedCount > 0 ? `Price the ${selectedCount} selected rows` : 'Price every row'}
+          >
+            {marketLoading ? 'Loading prices...' : `Fill prices${selectedCount > 0 ? ` (${selectedCount})` : ''}`}
+          </button>
+          {pricingNote && (
+            <span className="text-sm text-gray-500">
+              {pricingNote}
+              <button className="ml-2 hover:text-gray-700" onClick={() => setPricingNote(null)}>×</button>
+            </span>
+          )}
+        </div>
         <button
           className="px-4 py-2 border rounded hover:bg-gray-50 ml-auto disabled:opacity-50"
           onClick={applyDefaultsToAll}
@@ -673,6 +1102,91 @@ export default function BulkInterface() {
         </div>
       )}
 
+      {/* Job progress while a submission is running */}
+      {jobProgress && (
+        <div className="bg-blue-50 border border-blue-300 text-blue-800 px-6 py-4 m-6 rounded text-base">
+          <div className="flex items-center justify-between mb-2">
+            <span>
+              Listing {jobProgress.total} products
+              {jobProgress.jobId ? ` (job ${jobProgress.jobId})` : ''}: {jobProgress.state}
+            </span>
+            <span>{jobProgress.done}/{jobProgress.total}</span>
+          </div>
+          <div className="h-2 bg-blue-100 rounded overflow-hidden">
+            <div
+              className="h-full bg-blue-500 transition-all"
+              style={{ width: `${jobProgress.total ? (jobProgress.done / jobProgress.total) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Result of the last submission */}
+      {showLastSubmission && lastSubmission && !jobProgress && (
+        <div className={`border px-6 py-4 m-6 rounded text-base ${
+          lastSubmission.failures.length === 0 ? 'bg-green-50 border-green-400 text-green-800' : 'bg-yellow-50 border-yellow-400 text-yellow-800'
+        }`}>
+          <div className="flex items-center justify-between">
+            <span>
+              Listed {lastSubmission.listedRows} of {lastSubmission.listedRows + lastSubmission.failures.length} cards
+              ({lastSubmission.products} products{lastSubmission.jobId ? `, job ${lastSubmission.jobId}` : ''}, {lastSubmission.state})
+              {lastSubmission.failures.length > 0 && ' - failed cards stay in the list below'}
+            </span>
+            <button className="ml-4 text-lg" onClick={() => setShowLastSubmission(false)}>×</button>
+          </div>
+          {lastSubmission.failures.length > 0 && (
+            <ul className="mt-2 text-sm list-disc pl-5 max-h-40 overflow-y-auto">
+              {lastSubmission.failures.map((f, i) => <li key={i}>{f.name}: {f.message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* CSV / decklist import */}
+      {showImport && (
+        <ImportPanel
+          expansions={expansions}
+          categories={categories}
+          gameId={selectedGameId}
+          pickerBlueprints={blueprints}
+          onAdd={addImportedLines}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {/* Submission history for this session */}
+      {showHistory && submissions.length > 0 && (
+        <div className="bg-white rounded shadow m-6 text-base">
+          <div className="grid grid-cols-[180px_1fr_120px_100px_100px_100px] gap-3 px-6 py-3 bg-gray-50 border-b font-medium text-gray-600">
+            <div>Submitted</div>
+            <div>Job</div>
+            <div>State</div>
+            <div>Products</div>
+            <div>Listed</div>
+            <div>Failed</div>
+          </div>
+          <div className="divide-y max-h-64 overflow-y-auto">
+            {submissions.map(sub => (
+              <details key={sub.id} className="px-6 py-2">
+                <summary className="grid grid-cols-[180px_1fr_120px_100px_100px_100px] gap-3 cursor-pointer list-none">
+                  <span>{new Date(sub.submittedAt).toLocaleString()}</span>
+                  <span className="font-mono text-sm truncate">{sub.jobId ?? '-'}</span>
+                  <span>{sub.state}</span>
+                  <span>{sub.products}</span>
+                  <span className="text-green-600">{sub.listedRows}</span>
+                  <span className={sub.failures.length > 0 ? 'text-red-600' : ''}>{sub.failures.length}</span>
+                </summary>
+                {sub.failures.length > 0 && (
+                  <ul className="mt-1 text-sm text-red-700 list-disc pl-5">
+                    {sub.failures.map((f, i) => <li key={i}>{f.name}: {f.message}</li>)}
+                  </ul>
+                )}
+              </details>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Loading indicator for expansion */}
       {loading && (
         <div className="text-center py-6 text-gray-500 text-base">Loading cards from expansion...</div>
@@ -682,12 +1196,12 @@ export default function BulkInterface() {
       <div className="p-6">
         {workingItems.length === 0 ? (
           <div className="text-center py-12 text-gray-500 text-lg">
-            Select an expansion and click "Add items" to start building your list
+            Select an expansion and click "Add items", or import a card list, to start building your list
           </div>
         ) : (
           <div className="bg-white rounded shadow overflow-hidden">
             {/* Table header */}
-            <div className="grid grid-cols-[32px_48px_1fr_100px_100px_100px_100px_100px] gap-3 px-6 py-3 bg-gray-50 border-b font-medium text-gray-600 items-center">
+            <div className="grid grid-cols-[32px_48px_1fr_100px_100px_160px_100px_100px_150px_100px] gap-3 px-6 py-3 bg-gray-50 border-b font-medium text-gray-600 items-center">
               <div className="w-6">
                 <input
                   type="checkbox"
@@ -716,16 +1230,16 @@ export default function BulkInterface() {
                   onChange={e => setSortBy(e.target.value as 'name' | 'number')}
                 >
                   <option value="name">Name (A-Z)</option>
-                  <option value="number">Number</option>
+                  <option value="number">Number (set order)</option>
                 </select>
               </div>
               <div>
                 <select 
                   className="border rounded px-2 py-1"
                   value={defaultCondition}
-                  onChange={e => setDefaultCondition(e.target.value as Condition)}
+                  onChange={e => setDefaultCondition(e.target.value)}
                 >
-                  {CONDITIONS.map(c => <option key={c} value={c}>{c.split(' ').map(w => w[0]).join('')}</option>)}
+                  {defaultConditionOptions.map(c => <option key={c} value={c}>{c.split(' ').map(w => w[0]).join('')}</option>)}
                 </select>
               </div>
               <div>
@@ -734,9 +1248,10 @@ export default function BulkInterface() {
                   value={defaultLanguage}
                   onChange={e => setDefaultLanguage(e.target.value)}
                 >
-                  {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.code.toUpperCase()}</option>)}
+                  {defaultLanguageOptions.map(code => <option key={code} value={code}>{code.toUpperCase()}</option>)}
                 </select>
               </div>
+              <div className="text-sm">Properties</div>
               <div>
                 <input
                   type="number"
@@ -755,6 +1270,22 @@ export default function BulkInterface() {
                   onChange={e => setDefaultQuantityFoil(parseInt(e.target.value) || 0)}
                 />
               </div>
+              <div className="flex items-center gap-2 text-sm">
+                <span>Market min / avg</span>
+                <button
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Refresh marketplace prices"
+                  onClick={refreshMarketPrices}
+                  disabled={marketLoading}
+                >
+                  ↻
+                </button>
+                {marketFailedIds.length > 0 && (
+                  <button className="text-red-600 hover:text-red-800 underline" onClick={retryMarketPrices}>
+                    Retry failed ({marketFailedIds.length})
+                  </button>
+                )}
+              </div>
               <div className="flex items-center">
                 <span className="text-gray-400">$</span>
                 <input
@@ -776,6 +1307,8 @@ export default function BulkInterface() {
                   rowIndex={index}
                   onUpdate={updateRow}
                   onDelete={deleteRow}
+                  listings={marketExpansionIds.includes(row.blueprint.expansion_id) ? marketListings[row.blueprint.id] ?? NO_LISTINGS : undefined}
+                  marketFailed={marketFailedIds.includes(row.blueprint.expansion_id)}
                 />
               ))}
             </div>
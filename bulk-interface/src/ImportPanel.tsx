@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import type { Blueprint, Category, Expansion } from './types';
+import { parseImport, resolveImport } from './importList';
+import type { ResolvedLine, UnresolvedLine } from './importList';
+
+interface ImportPanelProps {
+  expansions: Expansion[];
+  categories: Category[];
+  gameId: number;
+  pickerBlueprints: Blueprint[]; // blueprints of the selected expansions, for lines without a set
+  onAdd: (lines: ResolvedLine[]) => void;
+  onClose: () => void;
+}
+
+const PLACEHOLDER = `Paste a CSV with a header row (set, collector_number, name, condition, language, foil, quantity, price),
+scryfall-to-moxfield.js json/csv output, or decklist lines:
+1 Lightning Bolt (M11) 149
+2 Counterspell (MH2) 267 *F*`;
+
+// Matching by hand: the line's expansion (or the picker) narrowed by a name search
+function UnresolvedMatcher({ entry, pickerBlueprints, onPick, onSkip }: {
+  entry: UnresolvedLine;
+  pickerBlueprints: Blueprint[];
+  onPick: (blueprint: Blueprint) => void;
+  onSkip: () => void;
+}) {
+  const [query, setQuery] = useState(entry.line.name ?? '');
+  const pool = entry.candidates.length > 0 ? entry.candidates : pickerBlueprints;
+  const q = query.trim().toLowerCase();
+  const matches = q.length < 2 ? [] : pool.filter(bp => bp.name.toLowerCase().includes(q)).slice(0, 8);
+
+  return (
+    <div className="px-4 py-3">
+      <div className="flex items-center justify-between gap-4">
+        <div className="min-w-0">
+          <span className="text-gray-400 mr-2">Line {entry.line.lineNumber}</span>
+          <span className="font-mono text-sm">{entry.line.raw}</span>
+          <div className="text-sm text-red-600">{entry.reason}</div>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <input
+            type="text"
+            className="border rounded px-2 py-1 w-56"
+            placeholder="Search card name..."
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+          />
+          <button className="text-gray-400 hover:text-red-500" onClick={onSkip}>Skip</button>
+        </div>
+      </div>
+      {matches.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {matches.map(bp => (
+            <button
+              key={bp.id}
+              className="text-sm border rounded px-2 py-1 hover:bg-green-50"
+              onClick={() => onPick(bp)}
+            >
+              {bp.name}{bp.version ? ` (${bp.version})` : ''}{bp.collector_number ? ` #${bp.collector_number}` : ''}
+            </button>
+          ))}
+        </div>
+      )}
+      {q.length >= 2 && matches.length === 0 && (
+        <div className="text-sm text-gray-400 mt-2">
+          {pool.length === 0 ? 'Select the expansion above to search its cards' : 'No matching cards'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function ImportPanel({ expansions, categories, gameId, pickerBlueprints, onAdd, onClose }: ImportPanelProps) {
+  const [text, setText] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [status, setStatus] = useState<string | null>(null);
+  const [unresolved, setUnresolved] = useState<Array<UnresolvedLine & { key: number }>>([]);
+  const [nextKey, setNextKey] = useState(0);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setText(await file.text());
+    setStatus(`Loaded ${file.name}`);
+  };
+
+  const handleImport = async () => {
+    let lines;
+    try {
+      lines = parseImport(text);
+    } catch (err) {
+      setStatus(`Could not read the list: ${err instanceof Error ? err.message : 'invalid input'}`);
+      return;
+    }
+    if (lines.length === 0) {
+      setStatus('No card lines found');
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const { resolved, unresolved: missing } = await resolveImport(lines, { expansions, categories, gameId, pickerBlueprints });
+      onAdd(resolved);
+      setUnresolved(prev => [...prev, ...missing.map((entry, i) => ({ ...entry, key: nextKey + i }))]);
+      setNextKey(k => k + missing.length);
+      setStatus(`Added ${resolved.length} of ${lines.length} lines${missing.length > 0 ? `; ${missing.length} need matching below` : ''}`);
+      // Unresolved lines live on in the matcher below; keeping the text would add the resolved ones twice
+      setText('');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const removeUnresolved = (key: number) => setUnresolved(prev => prev.filter(u => u.key !== key));
+
+  return (
+    <div className="bg-white rounded shadow m-6 text-base">
+      <div className="flex items-center justify-between px-4 py-3 border-b bg-gray-50">
+        <span className="font-medium text-gray-700">Import a card list</span>
+        <button className="text-gray-400 hover:text-gray-700 text-lg" onClick={onClose}>×</button>
+      </div>
+      <div className="p-4 flex flex-col gap-3">
+        <textarea
+          className="border rounded px-3 py-2 font-mono text-sm h-40"
+          placeholder={PLACEHOLDER}
+          value={text}
+          onChange={e => setText(e.target.value)}
+        />
+        <div className="flex items-center gap-3">
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.json,.ndjson"
+            className="text-sm"
+            onChange={e => handleFile(e.target.files?.[0])}
+          />
+          <button
+            className="ml-auto bg-green-500 hover:bg-green-600 text-white px-5 py-2 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={handleImport}
+            disabled={importing || !text.trim()}
+          >
+            {importing ? 'Resolving...' : 'Add to list'}
+          </button>
+        </div>
+        {status && <div className="text-sm text-gray-600">{status}</div>}
+      </div>
+
+      {unresolved.length > 0 && (
+        <div className="border-t">
+          <div className="flex items-center justify-between px-4 py-2 bg-yellow-50 text-yellow-800">
+            <span>Unresolved lines ({unresolved.length})</span>
+            <button className="text-sm hover:text-yellow-900" onClick={() => setUnresolved([])}>Skip all</button>
+          </div>
+          <div className="divide-y max-h-80 overflow-y-auto">
+            {unresolved.map(entry => (
+              <UnresolvedMatcher
+                key={entry.key}
+                entry={entry}
+                pickerBlueprints={pickerBlueprints}
+                onPick={blueprint => {
+                  onAdd([{ line: entry.line, blueprint }]);
+                  removeUnresolved(entry.key);
+                }}
+                onSkip={() => removeUnresolved(entry.key)}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,9 @@
 // CardTrader API client
-import type { Game, Expansion, Blueprint, BulkCreateRequest, BulkCreateResponse, Category } from './types';
+import type { Game, Expansion, Blueprint, BulkCreateRequest, BulkCreateResponse, Category, JobStatus, MarketListing } from './types';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'https://api.cardtrader.com/api/v2';
 const getToken = () => import.meta.env.VITE_API_TOKEN || '';
 
-// Assumption: Category 1 is singles for MTG. May need to be configurable for other games.
-const MTG_SINGLES_CATEGORY_ID = 1;
-
 async function apiFetch<T>(endpoint: string, options: RequestInit = {}): Promise<T> {
   const token = getToken();
   if (!token) {
@@ -30,8 +27,16 @@ async function apiFetch<T>(endpoint: string, options: RequestInit = {}): Promise
   return res.json();
 }
 
+// Property keys are game-prefixed (mtg_language, pokemon_language, mtg_foil, ...)
+const findProperty = (props: Record<string, unknown>, suffix: string): unknown => {
+  const key = Object.keys(props).find(k => k === suffix.slice(1) || k.endsWith(suffix));
+  return key ? props[key] : undefined;
+};
+
 export async function fetchGames(): Promise<Game[]> {
-  return apiFetch<Game[]>('/games');
+  // /games wraps its list in { array: [...] }
+  const data = await apiFetch<Game[] | { array: Game[] }>('/games');
+  return Array.isArray(data) ? data : data.array ?? [];
 }
 
 export async function fetchExpansions(): Promise<Expansion[]> {
@@ -42,35 +47,64 @@ export async function fetchCategories(): Promise<Category[]> {
   return apiFetch<Category[]>('/categories');
 }
 
-export async function fetchBlueprints(expansionId: number): Promise<Blueprint[]> {
+// Single-card categories of a game ("Magic Singles", "Pokémon Singles", ...), told apart from
+// sealed product, accessories and the like by name
+export function singlesCategoryIds(categories: Category[], gameId: number): number[] {
+  return categories
+    .filter(c => c.game_id === gameId && /\bsingles?\b/i.test(c.name))
+    .map(c => c.id);
+}
+
+// Blueprints of an expansion, limited to categoryIds (the singles) unless that list is empty
+export async function fetchBlueprints(expansionId: number, categoryIds: number[] = []): Promise<Blueprint[]> {
   const blueprints = await apiFetch<Blueprint[]>(`/blueprints/export?expansion_id=${expansionId}`);
-  // Filter to only include singles (category_id 1), excluding sealed product like dice bags, kits, etc.
-  return blueprints.filter(bp => bp.category_id === MTG_SINGLES_CATEGORY_ID);
+  return blueprints
+    .filter(bp => categoryIds.length === 0 || categoryIds.includes(bp.category_id))
+    .map(bp => {
+      // Rarity is game-prefixed (mtg_rarity, pokemon_rarity, ...)
+      const fixed = bp.fixed_properties ?? {};
+      const rarity = findProperty(fixed, '_rarity');
+      const collectorNumber = fixed.collector_number;
+      return {
+        ...bp,
+        rarity: rarity != null && rarity !== '' ? String(rarity) : undefined,
+        collector_number: collectorNumber != null && collectorNumber !== '' ? String(collectorNumber) : undefined,
+      };
+    });
 }
 
-export async function fetchMarketplacePrices(expansionId: number): Promise<Record<number, { min: number; avg: number }>> {
-  try {
-    const products = await apiFetch<Array<{ blueprint_id: number; price_cents: number }>>(
-      `/marketplace/products?expansion_id=${expansionId}`
-    );
-    
-    // Group by blueprint_id and find min/avg
-    const grouped: Record<number, number[]> = {};
-    for (const p of products) {
-      if (!grouped[p.blueprint_id]) grouped[p.blueprint_id] = [];
-      grouped[p.blueprint_id].push(p.price_cents);
-    }
-    
-    const result: Record<number, { min: number; avg: number }> = {};
-    for (const [id, prices] of Object.entries(grouped)) {
-      const min = Math.min(...prices);
-      const avg = prices.reduce((a, b) => a + b, 0) / prices.length;
-      result[Number(id)] = { min, avg };
-    }
-    return result;
-  } catch {
-    return {};
+interface MarketplaceProduct {
+  blueprint_id: number;
+  price_cents?: number;
+  price?: { cents: number };
+  quantity?: number;
+  on_vacation?: boolean;
+  properties_hash?: Record<string, unknown>;
+}
+
+// Listings for every blueprint of an expansion, keyed by blueprint id. The endpoint answers with
+// { blueprint_id: [products] }; a plain array is accepted too. A failed request throws, so callers
+// can tell it apart from an expansion without listings.
+export async function fetchMarketplacePrices(expansionId: number): Promise<Record<number, MarketListing[]>> {
+  const data = await apiFetch<MarketplaceProduct[] | Record<string, MarketplaceProduct[]>>(
+    `/marketplace/products?expansion_id=${expansionId}`
+  );
+  const products = Array.isArray(data) ? data : Object.values(data ?? {}).flat();
+
+  const result: Record<number, MarketListing[]> = {};
+  for (const p of products) {
+    if ((p.quantity ?? 1) <= 0 || p.on_vacation) continue;
+    const props = p.properties_hash ?? {};
+    const language = findProperty(props, '_language');
+    if (!result[p.blueprint_id]) result[p.blueprint_id] = [];
+    result[p.blueprint_id].push({
+      priceCents: p.price_cents ?? p.price?.cents ?? 0,
+      condition: typeof props.condition === 'string' ? props.condition : null,
+      language: typeof language === 'string' ? language : null,
+      foil: Boolean(findProperty(props, '_foil')),
+    });
   }
+  return result;
 }
 
 export async function bulkCreateProducts(request: BulkCreateRequest): Promise<BulkCreateResponse> {
@@ -80,6 +114,44 @@ export async function bulkCreateProducts(request: BulkCreateRequest): Promise<Bu
   });
 }
 
-export async function getJobStatus(jobId: string): Promise<{ status: string; progress?: number; errors?: unknown[] }> {
-  return apiFetch(`/jobs/${jobId}`);
+export async function getJobStatus(jobId: string): Promise<JobStatus> {
+  return apiFetch<JobStatus>(`/jobs/${jobId}`);
+}
+
+const JOB_DONE_STATES = ['completed', 'done', 'finished', 'success'];
+const JOB_FAILED_STATES = ['failed', 'error', 'errored', 'aborted'];
+
+export const jobState = (job: JobStatus): string => String(job.state ?? job.status ?? '').toLowerCase();
+export const isJobFailed = (job: JobStatus): boolean => JOB_FAILED_STATES.includes(jobState(job));
+
+// Poll a bulk job until it finishes (or fails); onPoll sees every intermediate status
+export async function waitForJob(
+  jobId: string,
+  { intervalMs = 2000, timeoutMs = 10 * 60 * 1000, onPoll }: { intervalMs?: number; timeoutMs?: number; onPoll?: (job: JobStatus) => void } = {}
+): Promise<JobStatus> {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await getJobStatus(jobId);
+    onPoll?.(job);
+    const state = jobState(job);
+    if (JOB_DONE_STATES.includes(state) || JOB_FAILED_STATES.includes(state)) return job;
+    if (Date.now() + intervalMs > deadline) {
+      throw new Error(`Job ${jobId} still ${state || 'pending'} after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Per-product errors of a finished job, keyed by the index of the submitted product
+export function jobErrors(job: JobStatus): Map<number, string> {
+  const errors = new Map<number, string>();
+  (job.results ?? []).forEach((result, index) => {
+    const messages = (result.errors ?? []).map(e =>
+      typeof e === 'string' ? e : (e as { message?: string })?.message || JSON.stringify(e)
+    );
+    if (result.ok === false || messages.length > 0 || /error|fail/i.test(result.status ?? '')) {
+      errors.set(index, messages.join('; ') || result.status || 'failed');
+    }
+  });
+  return errors;
 }
@@ -0,0 +1,285 @@
+// Card lists pasted or uploaded into the working list: CSV, the json/ndjson records of
+// scryfall-to-moxfield.js (or its raw --json Scryfall cards), and Moxfield/MTGA decklist lines
+// like "1 Card Name (SET) 123 *F*". Lines are resolved to CardTrader blueprints by Scryfall id,
+// then set code + collector number, then name.
+import type { Blueprint, Category, Expansion } from './types';
+import { CONDITIONS, LANGUAGES } from './types';
+import { fetchBlueprints, singlesCategoryIds } from './api';
+
+export interface ImportLine {
+  lineNumber: number;
+  raw: string;
+  quantity: number;
+  name?: string;
+  setCode?: string;
+  collectorNumber?: string;
+  scryfallId?: string;
+  foil: boolean;
+  condition?: string;
+  language?: string;
+  priceCents?: number;
+}
+
+export interface ResolvedLine {
+  line: ImportLine;
+  blueprint: Blueprint;
+}
+
+export interface UnresolvedLine {
+  line: ImportLine;
+  reason: string;
+  candidates: Blueprint[]; // blueprints of the line's expansion, to match by hand
+}
+
+// CSV header aliases -> ImportLine field
+const COLUMN_ALIASES: Record<string, string[]> = {
+  quantity: ['quantity', 'qty', 'count', 'amount'],
+  name: ['name', 'card', 'card_name'],
+  setCode: ['set', 'set_code', 'edition', 'expansion', 'expansion_code'],
+  collectorNumber: ['collector_number', 'number', 'cn', 'card_number'],
+  scryfallId: ['scryfall_id', 'scryfallid'],
+  foil: ['foil', 'finish', 'printing'],
+  condition: ['condition', 'cond'],
+  language: ['language', 'lang'],
+  price: ['price', 'price_usd', 'purchase_price'],
+  priceCents: ['price_cents', 'usd_cents'],
+  foilPriceCents: ['usd_foil_cents'],
+};
+
+const CONDITION_ALIASES: Record<string, string> = {
+  m: 'Mint', mint: 'Mint',
+  nm: 'Near Mint', 'near mint': 'Near Mint',
+  sp: 'Slightly Played', lp: 'Slightly Played', ex: 'Slightly Played', 'slightly played': 'Slightly Played', 'lightly played': 'Slightly Played',
+  mp: 'Moderately Played', gd: 'Moderately Played', 'moderately played': 'Moderately Played',
+  pl: 'Played', pld: 'Played', played: 'Played',
+  hp: 'Heavily Played', 'heavily played': 'Heavily Played',
+  po: 'Poor', dmg: 'Poor', poor: 'Poor', damaged: 'Poor',
+};
+
+const normalizeCondition = (value: string | undefined): string | undefined => {
+  if (!value?.trim()) return undefined;
+  const known = CONDITION_ALIASES[value.trim().toLowerCase().replace(/[_-]/g, ' ')];
+  return known ?? CONDITIONS.find(c => c.toLowerCase() === value.trim().toLowerCase());
+};
+
+const normalizeLanguage = (value: string | undefined): string | undefined => {
+  if (!value?.trim()) return undefined;
+  const v = value.trim().toLowerCase();
+  return LANGUAGES.find(l => l.code === v || l.name.toLowerCase() === v)?.code ?? v;
+};
+
+const isFoil = (value: unknown): boolean =>
+  value === true || /^(foil|etched|true|yes|y|1|f|e)$/i.test(String(value ?? '').trim());
+
+const toCents = (dollars: string | undefined): number | undefined => {
+  const n = parseFloat(String(dollars ?? '').replace(/[$,]/g, ''));
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 100) : undefined;
+};
+
+const toInt = (value: unknown, fallback: number): number => {
+  const n = parseInt(String(value ?? ''), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// One CSV record; quoted fields may contain the delimiter and doubled quotes
+function splitCsvLine(line: string, delimiter: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+// A record with CSV-style keys (or a raw Scryfall card) as an ImportLine
+function recordToLine(record: Record<string, unknown>, lineNumber: number, raw: string): ImportLine {
+  const get = (field: string): string | undefined => {
+    const key = COLUMN_ALIASES[field].find(alias => record[alias] != null && record[alias] !== '');
+    return key ? String(record[key]) : undefined;
+  };
+  const foil = isFoil(get('foil'));
+  const cents = foil && get('foilPriceCents') ? toInt(get('foilPriceCents'), 0) : toInt(get('priceCents'), 0);
+  return {
+    lineNumber,
+    raw,
+    quantity: toInt(get('quantity'), 1),
+    name: get('name'),
+    setCode: get('setCode')?.toLowerCase(),
+    collectorNumber: get('collectorNumber'),
+    scryfallId: get('scryfallId') ?? (record.object === 'card' && typeof record.id === 'string' ? record.id : undefined),
+    foil,
+    condition: normalizeCondition(get('condition')),
+    language: normalizeLanguage(get('language')),
+    priceCents: toCents(get('price')) ?? (cents > 0 ? cents : undefined),
+  };
+}
+
+// "1 Card Name (SET) 123 *F*", "1x Card Name", "Card Name"
+const DECKLIST_LINE = /^(?:(\d+)x?\s+)?(.+?)(?:\s+\(([A-Za-z0-9]+)\)(?:\s+([^\s*]+))?)?(?:\s+\*([FE])\*)?$/;
+const SECTION_HEADER = /^(deck|sideboard|commander|companion|maybeboard|about|name .*)$/i;
+
+function parseDecklist(lines: string[]): ImportLine[] {
+  const result: ImportLine[] = [];
+  lines.forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text || text.startsWith('//') || text.startsWith('#') || SECTION_HEADER.test(text)) return;
+    const m = DECKLIST_LINE.exec(text);
+    if (!m) return;
+    result.push({
+      lineNumber: i + 1,
+      raw: text,
+      quantity: toInt(m[1], 1),
+      name: m[2].trim(),
+      setCode: m[3]?.toLowerCase(),
+      collectorNumber: m[4],
+      foil: Boolean(m[5]),
+    });
+  });
+  return result;
+}
+
+export function parseImport(text: string): ImportLine[] {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  // json array, or ndjson records
+  if (trimmed.startsWith('[')) {
+    const records = JSON.parse(trimmed) as Array<Record<string, unknown>>;
+    return records.map((r, i) => recordToLine(r, i + 1, r.name ? String(r.name) : JSON.stringify(r)));
+  }
+  const lines = trimmed.split(/\r?\n/);
+  if (trimmed.startsWith('{')) {
+    return lines
+      .map((raw, i) => ({ raw: raw.trim(), i }))
+      .filter(({ raw }) => raw)
+      .map(({ raw, i }) => {
+        const record = JSON.parse(raw) as Record<string, unknown>;
+        return recordToLine(record, i + 1, record.name ? String(record.name) : raw);
+      });
+  }
+
+  // CSV when the first line is a header naming a known column
+  const header = lines[0];
+  const delimiter = ['\t', ';', ','].find(d => header.includes(d));
+  if (delimiter) {
+    const columns = splitCsvLine(header, delimiter).map(c => c.toLowerCase().replace(/\s+/g, '_'));
+    const known = Object.values(COLUMN_ALIASES).flat();
+    if (columns.some(c => known.includes(c))) {
+      return lines.slice(1).flatMap((raw, i) => {
+        if (!raw.trim()) return [];
+        const values = splitCsvLine(raw, delimiter);
+        const record = Object.fromEntries(columns.map((c, j) => [c, values[j] ?? '']));
+        return [recordToLine(record, i + 2, raw.trim())];
+      });
+    }
+  }
+
+  return parseDecklist(lines);
+}
+
+const normalizeName = (name: string) => name.toLowerCase().replace(/\s+/g, ' ').trim();
+// Scryfall names double-faced cards "Front // Back"; CardTrader may use the front face only
+const nameMatches = (bp: Blueprint, name: string) => {
+  const n = normalizeName(name);
+  const b = normalizeName(bp.name);
+  return b === n || b === n.split(' // ')[0] || b.split(' // ')[0] === n;
+};
+const normalizeNumber = (n: string) => n.trim().toLowerCase().replace(/^0+(?=\w)/, '');
+
+// Matches one line against candidate blueprints; a string is the reason it could not be matched
+function matchLine(line: ImportLine, blueprints: Blueprint[]): Blueprint | string {
+  if (line.scryfallId) {
+    const bp = blueprints.find(b => b.scryfall_id === line.scryfallId);
+    if (bp) return bp;
+  }
+  let matches = blueprints;
+  if (line.collectorNumber) {
+    const number = normalizeNumber(line.collectorNumber);
+    matches = matches.filter(b => b.collector_number != null && normalizeNumber(b.collector_number) === number);
+    if (matches.length === 1) return matches[0];
+    if (matches.length === 0 && !line.name) return `No card #${line.collectorNumber}`;
+    if (matches.length === 0) matches = blueprints;
+  }
+  if (line.name) {
+    const named = matches.filter(b => nameMatches(b, line.name!));
+    if (named.length === 1) return named[0];
+    if (named.length > 1) return `${named.length} printings named "${line.name}"`;
+    return `No card named "${line.name}"`;
+  }
+  return 'Nothing to match on';
+}
+
+// Resolves parsed lines: lines with a set against that expansion's blueprints, lines without one by
+// name among pickerBlueprints. The set column holds a code in most exports but the full set name in
+// Deckbox's Edition column, so both are tried (in the selected game first).
+export async function resolveImport(
+  lines: ImportLine[],
+  { expansions, categories, gameId, pickerBlueprints }: {
+    expansions: Expansion[];
+    categories: Category[];
+    gameId: number;
+    pickerBlueprints: Blueprint[];
+  }
+): Promise<{ resolved: ResolvedLine[]; unresolved: UnresolvedLine[] }> {
+  const expansionFor = (set: string) => {
+    let matches = expansions.filter(e => e.code.toLowerCase() === set);
+    if (matches.length === 0) matches = expansions.filter(e => e.name.toLowerCase() === set);
+    return matches.find(e => e.game_id === gameId) ?? matches[0];
+  };
+  const setLabel = (set: string) => (/\s/.test(set) ? `"${set}"` : set.toUpperCase());
+
+  const codes = [...new Set(lines.map(l => l.setCode).filter((c): c is string => Boolean(c)))];
+  const blueprintsByCode = new Map<string, Blueprint[] | string>(); // blueprints, or why they are missing
+  await Promise.all(codes.map(async code => {
+    const expansion = expansionFor(code);
+    if (!expansion) {
+      blueprintsByCode.set(code, `Unknown set ${setLabel(code)}`);
+      return;
+    }
+    try {
+      blueprintsByCode.set(code, await fetchBlueprints(expansion.id, singlesCategoryIds(categories, expansion.game_id)));
+    } catch (err) {
+      blueprintsByCode.set(code, `Could not load ${setLabel(code)}: ${err instanceof Error ? err.message : 'request failed'}`);
+    }
+  }));
+
+  const resolved: ResolvedLine[] = [];
+  const unresolved: UnresolvedLine[] = [];
+  for (const line of lines) {
+    const pool = line.setCode ? blueprintsByCode.get(line.setCode) ?? [] : pickerBlueprints;
+    if (typeof pool === 'string') {
+      unresolved.push({ line, reason: pool, candidates: [] });
+      continue;
+    }
+    if (!line.setCode && pool.length === 0) {
+      unresolved.push({ line, reason: 'No set given; pick expansions to match by name', candidates: [] });
+      continue;
+    }
+    const match = matchLine(line, pool);
+    if (typeof match === 'string') {
+      unresolved.push({ line, reason: match, candidates: pool });
+    } else {
+      resolved.push({ line, blueprint: match });
+    }
+  }
+  return { resolved, unresolved };
+}
@@ -0,0 +1,49 @@
+// Price suggestions from marketplace listings
+import type { MarketListing, MarketStats, PricingStrategy } from './types';
+
+export const PRICING_STRATEGIES: Array<{ value: PricingStrategy; label: string }> = [
+  { value: 'min', label: 'Match min' },
+  { value: 'min-minus-1', label: 'Min − 1¢' },
+  { value: 'avg-percent', label: 'Avg × N%' },
+  { value: 'max-default-min', label: 'Max(default, min)' },
+];
+
+// Min and average of the listings with the same condition, language and foil
+export function marketStats(
+  listings: MarketListing[] | undefined,
+  variant: { condition: string; language: string; foil: boolean }
+): MarketStats | null {
+  const prices = (listings ?? [])
+    .filter(l => l.condition === variant.condition && l.language === variant.language && l.foil === variant.foil)
+    .map(l => l.priceCents)
+    .filter(cents => cents > 0);
+  if (prices.length === 0) return null;
+  return {
+    min: Math.min(...prices),
+    avg: Math.round(prices.reduce((a, b) => a + b, 0) / prices.length),
+    count: prices.length,
+  };
+}
+
+// Suggested price in cents, or null when the strategy has nothing to go on
+export function suggestPrice(
+  strategy: PricingStrategy,
+  stats: MarketStats | null,
+  { percent, defaultCents }: { percent: number; defaultCents: number }
+): number | null {
+  if (strategy === 'max-default-min') {
+    if (!stats) return defaultCents > 0 ? defaultCents : null;
+    return Math.max(defaultCents, stats.min);
+  }
+  if (!stats) return null;
+  switch (strategy) {
+    case 'min':
+      return stats.min;
+    case 'min-minus-1':
+      return Math.max(1, stats.min - 1);
+    case 'avg-percent':
+      return Math.max(1, Math.round((stats.avg * percent) / 100));
+  }
+}
+
+export const formatCents = (cents: number): string => (cents / 100).toFixed(2);
@@ -0,0 +1,78 @@
+// Listing properties driven by each blueprint's editable_properties. Condition, language and foil
+// have their own columns; every other editable property (signed, altered, first_edition,
+// pokemon_reverse, ...) gets an editor of its own. Blueprints saved before editable_properties
+// was loaded fall back to the Magic properties.
+import type { Blueprint, EditableProperty, ListingRow } from './types';
+import { CONDITIONS, LANGUAGES } from './types';
+
+type PropertyValue = string | boolean;
+
+const editable = (bp: Blueprint): EditableProperty[] | null =>
+  bp.editable_properties && bp.editable_properties.length > 0 ? bp.editable_properties : null;
+
+// Language and foil keys are game-prefixed (mtg_language, pokemon_language, mtg_foil, ...)
+const findEditable = (bp: Blueprint, suffix: string): EditableProperty | undefined =>
+  editable(bp)?.find(p => p.name === suffix.slice(1) || p.name.endsWith(suffix));
+
+const isBuiltIn = (p: EditableProperty) =>
+  p.name === 'condition' || p.name === 'language' || p.name === 'foil' || p.name.endsWith('_language') || p.name.endsWith('_foil');
+
+const stringValues = (p: EditableProperty | undefined): string[] =>
+  (p?.possible_values ?? []).filter((v): v is string => typeof v === 'string');
+
+export function conditionOptions(bp: Blueprint): string[] {
+  const values = stringValues(editable(bp)?.find(p => p.name === 'condition'));
+  return values.length > 0 ? values : CONDITIONS;
+}
+
+export function languageOptions(bp: Blueprint): string[] {
+  const values = stringValues(findEditable(bp, '_language'));
+  return values.length > 0 ? values : LANGUAGES.map(l => l.code);
+}
+
+// Games without a foil property (e.g. Yu-Gi-Oh!) cannot list foil copies
+export function supportsFoil(bp: Blueprint): boolean {
+  return !editable(bp) || Boolean(findEditable(bp, '_foil'));
+}
+
+export function extraProperties(bp: Blueprint): EditableProperty[] {
+  return (editable(bp) ?? []).filter(p => !isBuiltIn(p));
+}
+
+// Condition, language and extra properties for a new row, keeping the chosen defaults where the game allows them
+export function rowDefaults(bp: Blueprint, condition: string, language: string): Pick<ListingRow, 'condition' | 'language' | 'properties'> {
+  const pick = (value: string, options: string[], fallback: unknown) =>
+    options.includes(value) ? value : (typeof fallback === 'string' && fallback) || options[0] || value;
+  const properties: Record<string, PropertyValue> = {};
+  for (const p of extraProperties(bp)) {
+    if (p.default_value != null) properties[p.name] = p.default_value;
+    else if (p.type === 'boolean') properties[p.name] = false;
+  }
+  return {
+    condition: pick(condition, conditionOptions(bp), editable(bp)?.find(p => p.name === 'condition')?.default_value),
+    language: pick(language, languageOptions(bp), findEditable(bp, '_language')?.default_value),
+    properties,
+  };
+}
+
+// bulk_create properties for one finish of a row
+export function productProperties(row: ListingRow, foil: boolean): Record<string, PropertyValue> {
+  const bp = row.blueprint;
+  if (!editable(bp)) {
+    return { condition: row.condition, mtg_language: row.language, mtg_foil: foil };
+  }
+  const properties: Record<string, PropertyValue> = { ...row.properties };
+  if (editable(bp)!.some(p => p.name === 'condition')) properties.condition = row.condition;
+  const languageKey = findEditable(bp, '_language')?.name;
+  if (languageKey) properties[languageKey] = row.language;
+  const foilKey = findEditable(bp, '_foil')?.name;
+  if (foilKey) properties[foilKey] = foil;
+  return properties;
+}
+
+// Drops the game prefix the language property uses: "pokemon_reverse" -> "reverse", "first_edition" -> "first edition"
+export function propertyLabel(bp: Blueprint, name: string): string {
+  const prefix = findEditable(bp, '_language')?.name.replace(/language$/, '');
+  const label = prefix && name.startsWith(prefix) ? name.slice(prefix.length) : name;
+  return label.replace(/_/g, ' ');
+}
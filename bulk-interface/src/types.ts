@@ -19,6 +19,14 @@ export interface Category {
   game_id: number;
 }
 
+// A property the seller sets on a listing (condition, mtg_language, pokemon_reverse, first_edition, ...)
+export interface EditableProperty {
+  name: string;
+  type: string; // 'string' | 'boolean'
+  default_value?: string | boolean | null;
+  possible_values?: Array<string | boolean>;
+}
+
 export interface Blueprint {
   id: number;
   name: string;
@@ -27,6 +35,11 @@ export interface Blueprint {
   category_id: number;
   scryfall_id?: string;
   image_url?: string;
+  fixed_properties?: Record<string, string | number | boolean | null>;
+  editable_properties?: EditableProperty[];
+  // Taken from fixed_properties by fetchBlueprints
+  rarity?: string;
+  collector_number?: string;
   // Card properties
   properties?: {
     mtg_foil?: boolean;
@@ -66,13 +79,7 @@ export interface BulkCreateProduct {
   quantity: number;
   description?: string;
   user_data_field?: string;
-  properties?: {
-    condition?: string;
-    mtg_language?: string;
-    mtg_foil?: boolean;
-    signed?: boolean;
-    altered?: boolean;
-  };
+  properties?: Record<string, string | boolean>; // editable properties, keys depend on the game
 }
 
 export interface BulkCreateRequest {
@@ -80,11 +87,47 @@ export interface BulkCreateRequest {
 }
 
 export interface BulkCreateResponse {
+  job?: string;
   job_id?: string;
   created?: number;
   errors?: Array<{ index: number; message: string }>;
 }
 
+// GET /jobs/{id}: results line up with the submitted products
+export interface JobResult {
+  ok?: boolean;
+  status?: string;
+  errors?: unknown[];
+  resource?: { id: number };
+}
+
+export interface JobStatus {
+  uuid?: string;
+  state?: string;
+  status?: string;
+  progress?: number;
+  stats?: Record<string, number>;
+  results?: JobResult[];
+  errors?: unknown[];
+}
+
+// A competing marketplace listing, reduced to what the price suggestions compare
+export interface MarketListing {
+  priceCents: number;
+  condition: string | null;
+  language: string | null;
+  foil: boolean;
+}
+
+// Marketplace prices of one variant, in cents
+export interface MarketStats {
+  min: number;
+  avg: number;
+  count: number;
+}
+
+export type PricingStrategy = 'min' | 'min-minus-1' | 'avg-percent' | 'max-default-min';
+
 // Row state for the bulk listing table
 export interface ListingRow {
   blueprint: Blueprint;
@@ -94,6 +137,19 @@ export interface ListingRow {
   quantity: number; // non-foil quantity
   quantityFoil: number; // foil quantity
   price: string; // string for input handling
+  properties?: Record<string, string | boolean>; // editable properties besides condition, language and foil
+  submitError?: string; // why the last submission failed for this row
+}
+
+// One Sell click, kept for the session
+export interface Submission {
+  id: string;
+  submittedAt: string;
+  jobId: string | null;
+  state: string; // final job state, or 'error' when the request itself failed
+  products: number;
+  listedRows: number;
+  failures: Array<{ name: string; message: string }>;
 }
 
 export type Condition = 'Near Mint' | 'Slightly Played' | 'Moderately Played' | 'Played' | 'Heavily Played' | 'Poor';
@@ -0,0 +1,230 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const readline = require('readline');
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getPriceCents } = require('./lib/helpers');
+const { getProperties } = require('./lib/market');
+const { FilterError, parseFilter, loadFilterContext } = require('./lib/filter');
+const { runBulk, writeBackup, backupPath, readBackup } = require('./lib/bulk');
+const { parseArgs } = require('./lib/cli');
+
+const USAGE = `Usage: node bulkDelist.js FILTER [--zero] [--yes] [--dry-run]
+       node bulkDelist.js --restore=FILE [--yes] [--dry-run] [--force]
+
+Removes every listing matching FILTER (the cardsofvalue.js syntax, e.g. "price<5") through
+/products/bulk_destroy, or with --zero sets their quantity to 0 instead. The full products are
+saved to a backup in backups/ (BACKUP_DIR) first; --restore=FILE relists them through
+/products/bulk_create (or puts the quantities back for a --zero backup). A backup is only
+restored once; --force relists it again. When some products failed to come back, running the
+restore again retries only those. Products whose job never finished are not retried: the backup
+is marked restored and you check your inventory for them.
+
+Asks for confirmation unless --yes is given; --dry-run only prints what would change.
+--format=json|csv|ndjson and --output=FILE write the preview.`;
+
+const COLUMNS = ['product_id', 'blueprint_id', 'name', 'quantity', 'price_cents', 'total_cents'];
+
+// bulk_create payload relisting an exported product as it was
+const relistPayload = (p) => ({
+  blueprint_id: p.blueprint_id,
+  price: getPriceCents(p) / 100,
+  quantity: p.quantity ?? 1,
+  description: p.description || undefined,
+  user_data_field: p.user_data_field || undefined,
+  graded: p.graded || undefined,
+  properties: getProperties(p),
+});
+
+const confirm = async (question, output) => {
+  const rl = readline.createInterface({ input: process.stdin, output });
+  const answer = await new Promise(res => rl.question(question, res));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+};
+
+(async function() {
+  const { flags, positional } = parseArgs();
+  if (flags.help || (positional.length === 0 && typeof flags.restore !== 'string')) {
+    console.log(USAGE);
+    process.exit(flags.help ? 0 : 1);
+  }
+  const outputOptions = getOutputOptions(flags);
+  const log = outputOptions.machine ? console.error : console.log;
+
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
+  let products;
+  try {
+    products = await client.exportProducts();
+  } catch (err) {
+    console.error('Failed to fetch products:', err.message);
+    process.exit(1);
+  }
+
+  // Either the listings to take down, or those to bring back from a backup
+  let restore = null;
+  let selected;
+  let expression = null;
+  const zero = Boolean(flags.zero);
+  if (typeof flags.restore === 'string') {
+    let backup;
+    try {
+      backup = readBackup(flags.restore, 'delist');
+    } catch (err) {
+      console.error(`Cannot read backup ${flags.restore}:`, err.message);
+      process.exit(1);
+    }
+    if (backup.restoredAt && !flags.force) {
+      console.error(`${flags.restore} was already restored at ${backup.restoredAt}; relisting again would duplicate it (--force to do it anyway)`);
+      process.exit(1);
+    }
+    // Products whose delisting failed are still listed under their original id. After a partial
+    // restore only the products that failed to come back are tried again: relisted copies get new
+    // ids, so the listed check can't tell which ones already went through.
+    const listedIds = new Set(products.map(p => p.id));
+    const failedIds = new Set(backup.failedIds || []);
+    const retryIds = backup.restoreFailedIds ? new Set(backup.restoreFailedIds) : null;
+    if (retryIds?.size) log(`Retrying the ${retryIds.size} product(s) that failed to restore last time`);
+    if (backup.restoreUnknownIds?.length) {
+      log(`Not retrying ${backup.restoreUnknownIds.length} product(s) whose restore job never finished: check your inventory for them`);
+    }
+    // A restore that ended with only unknown products left has nothing to retry
+    if (retryIds?.size === 0) {
+      if (!flags['dry-run']) {
+        writeBackup('delist', { ...backup, restoredAt: new Date().toISOString(), restoreFailedIds: undefined },
+          { file: backupPath(flags.restore) });
+      }
+      log(`Nothing left to retry in ${flags.restore}; it is marked restored`);
+      return;
+    }
+    restore = { backup, file: flags.restore };
+    selected = backup.products.filter(p => !retryIds || retryIds.has(p.id));
+    selected = backup.mode === 'zero'
+      ? selected.filter(p => listedIds.has(p.id))
+      : selected.filter(p => !failedIds.has(p.id) && !listedIds.has(p.id));
+    const skipped = (retryIds ? retryIds.size : backup.products.length) - selected.length;
+    if (skipped > 0) log(`${skipped} product(s) in the backup are skipped: ${backup.mode === 'zero' ? 'no longer listed' : 'still listed'}`);
+  } else {
+    expression = positional.join(' ').trim();
+    let predicate;
+    try {
+      predicate = parseFilter(expression);
+    } catch (err) {
+      if (!(err instanceof FilterError)) throw err;
+      console.error(`Invalid filter: ${err.message}`);
+      process.exit(1);
+    }
+    const filterContext = await loadFilterContext(client);
+    selected = products.filter(p => predicate(p, filterContext) && !(zero && (p.quantity ?? 1) === 0));
+  }
+
+  const rows = selected.map(p => ({
+    product_id: p.id,
+    blueprint_id: p.blueprint_id,
+    name: p.name_en || p.name || null,
+    quantity: p.quantity ?? 1,
+    price_cents: getPriceCents(p),
+    total_cents: getPriceCents(p) * (p.quantity ?? 1)
+  }));
+  const totalQty = rows.reduce((sum, r) => sum + r.quantity, 0);
+  const totalCents = rows.reduce((sum, r) => sum + r.total_cents, 0);
+  const mode = restore ? restore.backup.mode : (zero ? 'zero' : 'destroy');
+  const action = restore
+    ? (mode === 'zero' ? 'Restore quantities of' : 'Relist')
+    : (zero ? 'Set quantity to 0 for' : 'Delete');
+
+  if (outputOptions.machine) {
+    writeReport(outputOptions, {
+      report: { action: restore ? 'restore' : mode, filter: expression, backup: restore?.file ?? null,
+        products: rows.length, quantity: totalQty, total_cents: totalCents, rows },
+      rows,
+      columns: COLUMNS
+    });
+  } else if (rows.length > 0) {
+    console.table(rows.map(r => ({
+      id: r.product_id,
+      name: r.name || `blueprint ${r.blueprint_id}`,
+      qty: r.quantity,
+      price_usd: formatUSDFromCents(r.price_cents),
+      total_usd: formatUSDFromCents(r.total_cents)
+    })));
+  }
+  log(`${action} ${rows.length} listing(s): ${totalQty} cards, ${formatUSDFromCents(totalCents)} at list price`);
+  if (rows.length === 0 || flags['dry-run']) return;
+
+  if (!flags.yes) {
+    if (!process.stdin.isTTY) {
+      console.error('Refusing to change listings without confirmation: re-run with --yes');
+      process.exit(1);
+    }
+    const ok = await confirm(`${action} these ${rows.length} listing(s)? [y/N] `, outputOptions.machine ? process.stderr : process.stdout);
+    if (!ok) {
+      log('Aborted, nothing changed.');
+      return;
+    }
+  }
+
+  let backupFile = null;
+  let backupData = null;
+  if (!restore) {
+    // The full products go to disk before anything is removed
+    backupData = { createdAt: new Date().toISOString(), mode, filter: expression, products: selected };
+    backupFile = writeBackup('delist', backupData);
+    log(`Backup: ${backupFile}`);
+  }
+
+  let method;
+  let payload;
+  if (restore) {
+    method = mode === 'zero' ? 'bulkUpdate' : 'bulkCreate';
+    payload = mode === 'zero' ? selected.map(p => ({ id: p.id, quantity: p.quantity ?? 1 })) : selected.map(relistPayload);
+  } else {
+    method = zero ? 'bulkUpdate' : 'bulkDestroy';
+    payload = zero ? selected.map(p => ({ id: p.id, quantity: 0 })) : selected.map(p => ({ id: p.id }));
+  }
+  const { failures, unknown } = await runBulk(client, method, payload, {
+    onChunk: ({ index, size, jobId, state, error }) =>
+      log(`Chunk ${index + 1}: ${size} products${jobId ? ` (job ${jobId})` : ''} ${error ? `failed: ${error}` : state}`)
+  });
+
+  // Failures line up with payload items; map them back to the products they came from
+  const toProducts = (list) => list.map(f => ({ product: selected[payload.indexOf(f.item)], message: f.message }));
+  const failedProducts = toProducts(failures);
+  const unknownProducts = toProducts(unknown);
+  if (restore) {
+    // A restore without failures marks the backup restored; otherwise the next run retries the failures.
+    // Products whose job outcome is unknown are never retried: they may have been relisted already.
+    const done = failedProducts.length === 0;
+    writeBackup('delist', {
+      ...restore.backup,
+      restoredAt: done ? new Date().toISOString() : restore.backup.restoredAt,
+      restoreFailedIds: done ? undefined : failedProducts.map(f => f.product.id),
+      restoreUnknownIds: unknownProducts.length > 0
+        ? [...(restore.backup.restoreUnknownIds || []), ...unknownProducts.map(f => f.product.id)]
+        : restore.backup.restoreUnknownIds,
+    }, { file: backupPath(restore.file) });
+  } else if (failedProducts.length > 0 || unknownProducts.length > 0) {
+    // Failed ones are still listed, so a later --restore must not relist them; unknown ones are
+    // checked against the inventory at restore time
+    writeBackup('delist', { ...backupData, failedIds: failedProducts.map(f => f.product.id),
+      unknownIds: unknownProducts.map(f => f.product.id) }, { file: backupFile });
+  }
+
+  const productLabel = (product) => `product ${product.id} (${product.name_en || product.name || `blueprint ${product.blueprint_id}`})`;
+  log(`${action} ${payload.length - failures.length - unknown.length} of ${payload.length} listing(s) succeeded`);
+  if (failedProducts.length > 0) {
+    console.error(`${failedProducts.length} listing(s) failed:`);
+    for (const { product, message } of failedProducts) console.error(`  ${productLabel(product)}: ${message}`);
+  }
+  if (unknownProducts.length > 0) {
+    console.error(`${unknownProducts.length} listing(s) in unknown state:`);
+    for (const { product, message } of unknownProducts) console.error(`  ${productLabel(product)}: ${message}`);
+    if (restore && failedProducts.length === 0) console.error(`${restore.file} is marked restored: check your inventory for these, they are not retried`);
+  }
+  if (failedProducts.length > 0 || unknownProducts.length > 0) process.exit(1);
+})();
@@ -0,0 +1,194 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getPriceCents } = require('./lib/helpers');
+const { FilterError, parseFilter, loadFilterContext } = require('./lib/filter');
+const { runBulk, writeBackup, readBackup } = require('./lib/bulk');
+const { parseArgs, centsFlag } = require('./lib/cli');
+
+const USAGE = `Usage: node bulkPrice.js FILTER OPERATIONS [--apply] [--no-wait]
+       node bulkPrice.js --undo=FILE [--apply]
+
+Changes the price of every listing matching FILTER (the cardsofvalue.js syntax, e.g.
+"price<50 and expansion:MH3"; use "" for the whole inventory). Prints a preview and
+changes nothing without --apply. Before applying, the old prices are saved to an undo file
+in backups/ (BACKUP_DIR); --undo=FILE --apply puts them back.
+
+Operations, applied in this order:
+  --set=PRICE        Set the price (cents, or dollars as $1.50)
+  --percent=PCT      Change by PCT percent (+10 raises, -15 lowers)
+  --add=PRICE        Add to the price
+  --sub=PRICE        Subtract from the price
+  --round=x9         Round to the nearest price ending in 9 cents ($1.23 -> $1.19, $1.25 -> $1.29)
+  --floor=PRICE      Never go below this (default: 1¢)
+
+  --no-wait          Submit the bulk jobs without polling /jobs for their results
+  --format=FORMAT    table (default), json, csv or ndjson preview
+  --output=FILE      Write the preview to FILE`;
+
+const COLUMNS = ['product_id', 'blueprint_id', 'name', 'quantity', 'old_cents', 'new_cents', 'delta_cents'];
+
+// Nearest price whose last digit is 9, halves rounding up
+const roundToNine = (cents) => Math.max(9, Math.floor((cents - 9 + 5) / 10) * 10 + 9);
+
+function applyOperations(cents, ops) {
+  let price = cents;
+  if (ops.set != null) price = ops.set;
+  if (ops.percent != null) price = Math.round(price * (1 + ops.percent / 100));
+  if (ops.add != null) price += ops.add;
+  if (ops.sub != null) price -= ops.sub;
+  if (ops.round) price = roundToNine(price);
+  return Math.max(ops.floor, price);
+}
+
+(async function() {
+  const { flags, positional } = parseArgs();
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  const outputOptions = getOutputOptions(flags);
+  const log = outputOptions.machine ? console.error : console.log;
+
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
+  let products;
+  let changes;
+  let undoFrom = null;
+  if (typeof flags.undo === 'string') {
+    // Restore the prices recorded in an undo file
+    let undo;
+    try {
+      undo = readBackup(flags.undo, 'price-undo');
+    } catch (err) {
+      console.error(`Cannot read undo file ${flags.undo}:`, err.message);
+      process.exit(1);
+    }
+    undoFrom = flags.undo;
+    try {
+      products = await client.exportProducts();
+    } catch (err) {
+      console.error('Failed to fetch products:', err.message);
+      process.exit(1);
+    }
+    const byId = new Map(products.map(p => [p.id, p]));
+    const missing = undo.products.filter(u => !byId.has(u.id));
+    if (missing.length > 0) log(`${missing.length} product(s) in the undo file are no longer listed and are skipped`);
+    changes = undo.products
+      .filter(u => byId.has(u.id))
+      .map(u => ({ product: byId.get(u.id), oldCents: getPriceCents(byId.get(u.id)), newCents: u.price_cents }))
+      .filter(c => c.oldCents !== c.newCents);
+  } else {
+    const percent = flags.percent != null && flags.percent !== true ? parseFloat(flags.percent) : null;
+    if (Number.isNaN(percent)) {
+      console.error(`--percent must be a number (got "${flags.percent}")`);
+      process.exit(1);
+    }
+    if (flags.round != null && flags.round !== 'x9') {
+      console.error('--round only supports x9');
+      process.exit(1);
+    }
+    const ops = {
+      set: centsFlag(flags, 'set'),
+      percent,
+      add: centsFlag(flags, 'add'),
+      sub: centsFlag(flags, 'sub'),
+      round: flags.round === 'x9',
+      floor: Math.max(1, centsFlag(flags, 'floor', 1)),
+    };
+    const hasOperation = [ops.set, ops.percent, ops.add, ops.sub].some(v => v != null) || ops.round || flags.floor != null;
+    if (positional.length === 0 || !hasOperation) {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    let predicate;
+    const expression = positional.join(' ').trim();
+    try {
+      predicate = parseFilter(expression);
+    } catch (err) {
+      if (!(err instanceof FilterError)) throw err;
+      console.error(`Invalid filter: ${err.message}`);
+      process.exit(1);
+    }
+
+    const filterContext = await loadFilterContext(client);
+    try {
+      products = await client.exportProducts();
+    } catch (err) {
+      console.error('Failed to fetch products:', err.message);
+      process.exit(1);
+    }
+    changes = products
+      .filter(p => predicate(p, filterContext))
+      .map(product => {
+        const oldCents = getPriceCents(product);
+        return { product, oldCents, newCents: applyOperations(oldCents, ops) };
+      })
+      .filter(c => c.newCents !== c.oldCents);
+  }
+
+  const rows = changes.map(({ product, oldCents, newCents }) => ({
+    product_id: product.id,
+    blueprint_id: product.blueprint_id,
+    name: product.name_en || product.name || null,
+    quantity: product.quantity ?? 1,
+    old_cents: oldCents,
+    new_cents: newCents,
+    delta_cents: newCents - oldCents
+  }));
+  const grossDeltaCents = rows.reduce((sum, r) => sum + r.delta_cents * r.quantity, 0);
+  const signed = (cents) => (cents > 0 ? '+' : '') + formatUSDFromCents(cents);
+
+  if (outputOptions.machine) {
+    writeReport(outputOptions, {
+      report: { undo: undoFrom, products: products.length, changes: rows.length, gross_delta_cents: grossDeltaCents,
+        applied: Boolean(flags.apply), rows },
+      rows,
+      columns: COLUMNS
+    });
+  } else if (rows.length > 0) {
+    console.table(rows.map(r => ({
+      id: r.product_id,
+      name: r.name || `blueprint ${r.blueprint_id}`,
+      qty: r.quantity,
+      old_usd: formatUSDFromCents(r.old_cents),
+      new_usd: formatUSDFromCents(r.new_cents),
+      delta_usd: signed(r.delta_cents)
+    })));
+  }
+  log(`${undoFrom ? `Undo ${undoFrom}: ` : ''}${rows.length} of ${products.length} products change price, gross delta ${signed(grossDeltaCents)}`);
+
+  if (!flags.apply) {
+    if (rows.length > 0) log('Dry run: re-run with --apply to push these prices.');
+    return;
+  }
+  if (rows.length === 0) return;
+
+  // Old prices go to disk before anything is submitted
+  const undoFile = writeBackup('price-undo', {
+    products: changes.map(c => ({ id: c.product.id, price_cents: c.oldCents }))
+  });
+  log(`Undo file: ${undoFile}`);
+
+  const payload = changes.map(c => ({ id: c.product.id, price: c.newCents / 100 }));
+  const { failures, unknown } = await runBulk(client, 'bulkUpdate', payload, {
+    wait: !flags['no-wait'],
+    onChunk: ({ index, size, jobId, state, error }) =>
+      log(`Chunk ${index + 1}: ${size} products${jobId ? ` (job ${jobId})` : ''} ${error ? `failed: ${error}` : state}`)
+  });
+  log(`Updated ${payload.length - failures.length - unknown.length} of ${payload.length} products`);
+  if (failures.length > 0) {
+    console.error(`${failures.length} product(s) failed:`);
+    for (const f of failures) console.error(`  product ${f.item.id}: ${f.message}`);
+  }
+  if (unknown.length > 0) {
+    console.error(`${unknown.length} product(s) in unknown state:`);
+    for (const f of unknown) console.error(`  product ${f.item.id}: ${f.message}`);
+  }
+  if (failures.length > 0 || unknown.length > 0) process.exit(1);
+})();
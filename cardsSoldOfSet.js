@@ -1,196 +1,200 @@
-require('@dotenvx/dotenvx').config();
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
 
-const fs = require('fs');
-const path = require('path');
 const readline = require('readline');
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { createOrderStore } = require('./lib/order-store');
+const { parseArgs } = require('./lib/cli');
+const { formatUSDFromCents } = require('./lib/helpers');
+const { createItemResolver, salesByExpansion, unmatchedRecord } = require('./lib/order-items');
 
-const API_URL = (process.env.API_URL?.replace(/\/$/, '')) || 'https://api.cardtrader.com/api/v2';
-const API_TOKEN = process.env.API_TOKEN;
-const PAGE_LIMIT = parseInt(process.env.PAGE_LIMIT || '200', 10);
-const CACHE_DIR = process.env.CACHE_DIR || path.join(process.cwd(), '.cache');
-const CACHE_TTL_HOURS = parseInt(process.env.CACHE_TTL_HOURS || '168', 10); // default 7 days
-const CACHE_TTL_MS = CACHE_TTL_HOURS * 60 * 60 * 1000;
+const CARD_COLUMNS = ['expansion_id', 'expansion_code', 'expansion', 'blueprint_id', 'name', 'quantity', 'total_cents'];
 
-(async function() {
-  if (!API_TOKEN) {
-    console.error('Missing API_TOKEN in environment (.env)');
-    process.exit(1);
-  }
+// Breakdown orderings for --sort
+const SORTS = {
+  revenue: (a, b) => b.totalCents - a.totalCents || b.qty - a.qty,
+  quantity: (a, b) => b.qty - a.qty || b.totalCents - a.totalCents,
+  name: (a, b) => a.name.localeCompare(b.name),
+};
 
+const USAGE = `Usage: node cardsSoldOfSet.js FROM_DATE [--to=YYYY-MM-DD] [--expansion=ID|CODE|NAME | --all]
+                         [--sort=revenue|quantity|name] [--format=table|json|csv|ndjson] [--output=FILE]
 
+Per-card sales of one set since FROM_DATE (YYYY-MM-DD, or --from=). Without --expansion or --all
+the sets with sales are listed and you pick one interactively.`;
+
+(async function() {
   // Parse command line arguments
-  const [, , dateStr] = process.argv;
-  if (!dateStr) {
-    console.error('Usage: node cardsSoldOfSet.js [from_date: YYYY-MM-DD]');
-    process.exit(1);
+  const { flags, positional } = parseArgs();
+  const dateStr = flags.from || positional[0];
+  if (flags.help || !dateStr) {
+    console.error(USAGE);
+    process.exit(flags.help ? 0 : 1);
   }
   const fromDate = new Date(dateStr);
-  if (isNaN(fromDate.getTime())) {
+  // --to is inclusive of the whole day
+  const toDate = flags.to ? new Date(new Date(flags.to).getTime() + 24 * 60 * 60 * 1000 - 1) : null;
+  if (isNaN(fromDate.getTime()) || (toDate && isNaN(toDate.getTime()))) {
     console.error('Invalid date format. Use YYYY-MM-DD.');
     process.exit(1);
   }
+  const sort = flags.sort || 'revenue';
+  if (!SORTS[sort]) {
+    console.error(`Unknown --sort=${sort}. Use one of: ${Object.keys(SORTS).join(', ')}`);
+    process.exit(1);
+  }
+  if (flags.expansion === true || (flags.expansion && flags.all)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const outputOptions = getOutputOptions(flags);
+  // Keep stdout parseable when writing machine-readable output: the picker talks on stderr
+  const say = outputOptions.machine ? console.error : console.log;
+  const range = `${dateStr} → ${flags.to || 'today'}`;
 
-  // Helper for formatting
-  const formatUSDFromCents = (cents) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format((cents ?? 0) / 100);
-
-  // Simple JSON file cache helpers
-  const ensureCacheDir = () => {
-    try { fs.mkdirSync(CACHE_DIR, { recursive: true }); } catch (_) {}
-  };
-  const readJsonIfFresh = (file) => {
-    try {
-      const stat = fs.statSync(file);
-      const age = Date.now() - stat.mtimeMs;
-      if (age > CACHE_TTL_MS) return null; // stale
-      const raw = fs.readFileSync(file, 'utf8');
-      return JSON.parse(raw);
-    } catch (_) { return null; }
-  };
-  const writeJson = (file, data) => {
-    try {
-      ensureCacheDir();
-      fs.writeFileSync(file, JSON.stringify(data), 'utf8');
-    } catch (_) {}
-  };
-
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
 
   // Get expansions (sets) to map set id/name
-  let expansions = null;
-  const expCachePath = path.join(CACHE_DIR, 'expansions.json');
-  expansions = readJsonIfFresh(expCachePath);
-  if (!Array.isArray(expansions)) {
-    const expRes = await fetch(`${API_URL}/expansions`, {
-      headers: {
-        'Authorization': `Bearer ${API_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    if (expRes.ok) {
-      expansions = await expRes.json();
-      if (Array.isArray(expansions)) writeJson(expCachePath, expansions);
-    }
+  let expansions;
+  try {
+    expansions = await client.expansions();
+  } catch (err) {
+    console.error('Could not fetch expansions list:', err.message);
+    process.exit(1);
   }
-  if (!Array.isArray(expansions)) {
-    console.error('Could not fetch expansions list.');
+
+  // Bring the local order store up to date, then read the date range from it
+  const store = createOrderStore(client);
+  try {
+    await store.sync();
+  } catch (err) {
+    console.error('Failed to sync orders:', err.message);
     process.exit(1);
   }
+  const orders = store.list({ from: fromDate, to: toDate, sales: true });
+
+  // Per-set, per-card totals over items resolved to canonical expansion ids
+  const { items, unmatched } = await createItemResolver(client, { expansions }).resolveOrders(orders);
+  const soldSets = salesByExpansion(items); // expansion_id -> { expansion, qty, totalCents, cards }
+  if (unmatched.length > 0) {
+    const qty = unmatched.reduce((sum, u) => sum + u.quantity, 0);
+    const cents = unmatched.reduce((sum, u) => sum + u.cents, 0);
+    console.error(`Warning: ${unmatched.length} order items (${qty} cards, ${formatUSDFromCents(cents)}) could not be matched to an expansion and are not counted:`);
+    if (!outputOptions.machine) console.table(unmatched.map(unmatchedRecord));
+  }
 
-  // Fetch all orders (paginated) and collect sets with sales since fromDate
-  let page = 1;
-  let hasMore = true;
-  const soldSets = new Map(); // expansion_id -> { name, count }
-  const orders = [];
-  while (hasMore) {
-    const res = await fetch(`${API_URL}/orders?sort=date.desc&page=${page}&limit=${PAGE_LIMIT}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
+  const writeEmpty = () => {
+    if (outputOptions.machine) {
+      writeReport(outputOptions, {
+        report: { from: dateStr, to: flags.to || null, sets: [], unmatched: unmatched.map(unmatchedRecord) },
+        rows: [],
+        columns: CARD_COLUMNS
       });
-    if (!res.ok) {
-      console.error('Failed to fetch orders:', res.statusText);
-      process.exit(1);
-    }
-    const data = await res.json();
-    if (!Array.isArray(data)) {
-      console.error('Unexpected response shape from orders');
-      process.exit(1);
-    }
-    if (data.length === 0) break;
-    for (const order of data) {
-      if (!order.date) continue;
-      const orderDate = new Date(order.date);
-      if (orderDate < fromDate) {
-        hasMore = false;
-        break;
-      }
-      orders.push(order);
-      if (!Array.isArray(order.items)) continue;
-      for (const item of order.items) {
-        const expId = item.expansion_id || item.expansion?.id;
-        if (!expId) continue;
-        const exp = expansions.find(e => (e.id || e.expansion_id) === expId);
-        const expName = exp ? (exp.name || exp.title) : (item.expansion?.name || 'Unknown');
-        const prev = soldSets.get(expId) || { name: expName, count: 0 };
-        soldSets.set(expId, { name: expName, count: prev.count + (item.quantity ?? 1) });
-      }
     }
-    hasMore = hasMore && data.length === PAGE_LIMIT;
-    page++;
-  }
+    process.exit(0);
+  };
 
   if (soldSets.size === 0) {
-    console.log('No sales found since', dateStr);
-    process.exit(0);
+    say('No sales found for', range);
+    writeEmpty();
   }
 
-  // Display sets and prompt user to select one
-  const setList = Array.from(soldSets.entries()).map(([id, info], idx) => ({
-    idx: idx + 1,
-    id,
-    name: info.name,
-    count: info.count
-  }));
-  console.log('Sets with sales since', dateStr);
-  setList.forEach(s => {
-    console.log(`${s.idx}. ${s.name} (sold: ${s.count})`);
-  });
-
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  const ask = (q) => new Promise(res => rl.question(q, res));
-  let chosenIdx = null;
-  while (true) {
-    const answer = await ask('Select a set by number: ');
-    const num = parseInt(answer, 10);
-    if (!isNaN(num) && num >= 1 && num <= setList.length) {
-      chosenIdx = num - 1;
-      break;
+  // Pick the sets to report: --all, --expansion=id|code|name, or the interactive picker
+  let chosenSets;
+  if (flags.all) {
+    chosenSets = [...soldSets.values()].sort(SORTS[sort]);
+  } else if (flags.expansion) {
+    const wanted = String(flags.expansion).toLowerCase();
+    const matches = expansions.filter(e =>
+      String(e.id) === wanted || (e.code || '').toLowerCase() === wanted || e.name.toLowerCase() === wanted);
+    if (matches.length === 0) {
+      console.error(`Unknown expansion "${flags.expansion}" (expected an expansion id, code or name)`);
+      process.exit(1);
     }
-    console.log('Invalid selection. Try again.');
-  }
-  rl.close();
-  const chosenSet = setList[chosenIdx];
-  const expansionId = chosenSet.id;
-  const setName = chosenSet.name;
-
-
-  // Now, sum up sales for the chosen set
-  let totalSoldCents = 0;
-  let totalSoldQty = 0;
-  const perCard = new Map(); // blueprint_id -> { name, qty, totalCents }
-  for (const order of orders) {
-    if (!Array.isArray(order.items)) continue;
-    for (const item of order.items) {
-      if ((item.expansion_id || item.expansion?.id) === expansionId) {
-        const qty = item.quantity ?? 1;
-        const priceCents = (item.price_cents != null)
-          ? item.price_cents
-          : (typeof item.price === 'number' ? Math.round(item.price * 100) : 0);
-        totalSoldCents += priceCents * qty;
-        totalSoldQty += qty;
-        const blueprintId = item.blueprint_id || item.blueprint?.id;
-        const name = item.name || item.blueprint?.name || 'Unknown';
-        const prev = perCard.get(blueprintId) || { name, qty: 0, totalCents: 0 };
-        perCard.set(blueprintId, {
-          name,
-          qty: prev.qty + qty,
-          totalCents: prev.totalCents + (priceCents * qty)
-        });
+    // Codes can repeat across games; report whichever of the matches actually sold
+    chosenSets = matches.filter(e => soldSets.has(e.id)).map(e => soldSets.get(e.id));
+    if (chosenSets.length === 0) {
+      say(`No sales found for ${matches[0].name} (${range})`);
+      writeEmpty();
+    }
+  } else {
+    const setList = [...soldSets.values()];
+    say('Sets with sales for', range);
+    setList.forEach((s, idx) => {
+      say(`${idx + 1}. ${s.expansion.name} (sold: ${s.qty})`);
+    });
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: outputOptions.machine ? process.stderr : process.stdout
+    });
+    const ask = (q) => new Promise(res => rl.question(q, res));
+    let chosenIdx = null;
+    while (true) {
+      const answer = await ask('Select a set by number: ');
+      const num = parseInt(answer, 10);
+      if (!isNaN(num) && num >= 1 && num <= setList.length) {
+        chosenIdx = num - 1;
+        break;
       }
+      say('Invalid selection. Try again.');
     }
+    rl.close();
+    chosenSets = [setList[chosenIdx]];
   }
 
+  const sortedCards = (set) => [...set.cards.values()].sort(SORTS[sort]);
+  const totalQty = chosenSets.reduce((sum, s) => sum + s.qty, 0);
+  const totalCents = chosenSets.reduce((sum, s) => sum + s.totalCents, 0);
+
   // Output summary
-  console.log(`Cards sold from set: ${setName} (expansion_id: ${expansionId})`);
-  console.log(`Total sold: ${totalSoldQty} cards, ${formatUSDFromCents(totalSoldCents)}`);
-  if (perCard.size > 0) {
-    const rows = Array.from(perCard.values()).map(card => ({
+  if (outputOptions.machine) {
+    const cardRecord = ({ expansion }, card) => ({
+      expansion_id: expansion.id,
+      expansion_code: expansion.code ?? null,
+      expansion: expansion.name,
+      blueprint_id: card.blueprintId ?? null,
+      name: card.name,
+      quantity: card.qty,
+      total_cents: card.totalCents
+    });
+    writeReport(outputOptions, {
+      report: {
+        from: dateStr,
+        to: flags.to || null,
+        sort,
+        quantity: totalQty,
+        total_cents: totalCents,
+        sets: chosenSets.map(set => ({
+          expansion_id: set.expansion.id,
+          expansion_code: set.expansion.code ?? null,
+          expansion: set.expansion.name,
+          quantity: set.qty,
+          total_cents: set.totalCents,
+          cards: sortedCards(set).map(card => cardRecord(set, card))
+        })),
+        unmatched: unmatched.map(unmatchedRecord)
+      },
+      rows: chosenSets.flatMap(set => sortedCards(set).map(card => cardRecord(set, card))),
+      columns: CARD_COLUMNS
+    });
+    return;
+  }
+  for (const { expansion, ...set } of chosenSets) {
+    console.log(`\nCards sold from set: ${expansion.name} (expansion_id: ${expansion.id}${expansion.code ? `, code: ${expansion.code}` : ''})`);
+    console.log(`Total sold: ${set.qty} cards, ${formatUSDFromCents(set.totalCents)}`);
+    console.log(`Breakdown by card (by ${sort}):`);
+    console.table(sortedCards(set).map(card => ({
       name: card.name,
       quantity: card.qty,
       total_usd: formatUSDFromCents(card.totalCents)
-    }));
-    console.log('Breakdown by card:');
-    console.table(rows);
+    })));
+  }
+  if (chosenSets.length > 1) {
+    console.log(`\nAll sets (${range}): ${chosenSets.length} sets, ${totalQty} cards, ${formatUSDFromCents(totalCents)}`);
   }
 })();
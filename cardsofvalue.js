@@ -1,167 +1,117 @@
-require('@dotenvx/dotenvx').config()
-const fs = require('fs');
-const path = require('path');
-
-// Make base URL configurable but default to CardTrader production as in Postman
-const API_URL = (process.env.API_URL?.replace(/\/$/, '')) || 'https://api.cardtrader.com/api/v2';
-const API_TOKEN = process.env.API_TOKEN;
-const VAT_RATE = process.env.VAT_RATE ? parseFloat(process.env.VAT_RATE) : 0.22; // default 22%
-const PAGE_LIMIT = parseInt(process.env.PAGE_LIMIT || '200', 10); // mirrors Postman optional limit
-const CACHE_DIR = process.env.CACHE_DIR || path.join(process.cwd(), '.cache');
-const CACHE_TTL_HOURS = parseInt(process.env.CACHE_TTL_HOURS || '168', 10); // default 7 days
-const CACHE_TTL_MS = CACHE_TTL_HOURS * 60 * 60 * 1000;
-
-// Helper function for comparison
-function compare(price, comparison, value) {
-  if (comparison === 'greater') return price > value;
-  if (comparison === 'less') return price < value;
-  if (comparison === 'equal') return price === value;
-  throw new Error('Invalid comparison type. Use "greater", "less", or "equal".');
-}
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getPriceCents, getCategoryName } = require('./lib/helpers');
+const { CTZ_RATE, CTR_RATE, netAfterFees: netAfterFeesAt } = require('./lib/fees');
+const { parseArgs } = require('./lib/cli');
+const { FilterError, parseFilter, loadFilterContext } = require('./lib/filter');
+
+const USAGE = `Usage: node cardsofvalue.js [FILTER] [--format=table|json|csv|ndjson] [--output=FILE]
+       node cardsofvalue.js greater|less|equal PRICE_IN_CENTS
+
+FILTER combines terms with and/or/not and parentheses (adjacent terms mean and):
+  price>=50  price:$1..$5  qty>3  condition:NM  condition>=SP  lang:en  foil  not foil
+  game:magic  category:"Single Card"  expansion:MH3  name:bolt  name:/^black lotus$/i  age>90d
+Prices are cents unless written in dollars ($1.50); age is days (or 6w, 3m, 1y) since listing.
+Without a filter the whole inventory is summarized.
+
+Example: node cardsofvalue.js "price>=$1 and condition:NM and foil and expansion:MH3"`;
+
+// The original greater|less|equal form maps onto a price term
+const LEGACY_OPERATORS = { greater: '>', less: '<', equal: '=' };
 
 (async function() {
-  // Format helpers
-  const formatUSDFromCents = (cents) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format((cents ?? 0) / 100);
-  const getPriceCents = (p) => (p.price_cents != null)
-    ? p.price_cents
-    : (typeof p.price === 'number' ? Math.round(p.price * 100) : 0);
-  // Will be populated from /categories; used to map product.category_id -> category name
-  const categoryMap = new Map();
-  // Simple JSON file cache helpers
-  const ensureCacheDir = () => {
-    try { fs.mkdirSync(CACHE_DIR, { recursive: true }); } catch (_) {}
-  };
-  const readJsonIfFresh = (file) => {
-    try {
-      const stat = fs.statSync(file);
-      const age = Date.now() - stat.mtimeMs;
-      if (age > CACHE_TTL_MS) return null; // stale
-      const raw = fs.readFileSync(file, 'utf8');
-      return JSON.parse(raw);
-    } catch (_) { return null; }
-  };
-  const writeJson = (file, data) => {
-    try {
-      ensureCacheDir();
-      fs.writeFileSync(file, JSON.stringify(data), 'utf8');
-    } catch (_) {}
-  };
-  // removed game breakdown helpers
-  const getCategoryName = (p) => {
-    if (p.category_id != null && categoryMap.size > 0) {
-      const mapped = categoryMap.get(p.category_id);
-      if (mapped) return mapped;
-    }
-    return p.category?.name
-      || p.category
-      || p.blueprint?.category_name
-      || 'Uncategorized';
-  };
+  const client = createClient({ onRetry: logRetry });
+  const VAT_RATE = client.config.vatRate;
 
   // Parse command line arguments
-  const [, , comparison, valueStr] = process.argv;
-  const value = parseInt(valueStr, 10);
-
-  if (!['greater', 'less', 'equal'].includes(comparison) || isNaN(value)) {
-    console.error('Usage: node cardsofvalue.js [greater|less|equal] [price_in_cents]');
+  const { flags, positional } = parseArgs();
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [comparison, valueStr] = positional;
+  const expression = LEGACY_OPERATORS[comparison] && /^\d+$/.test(valueStr || '') && positional.length === 2
+    ? `price${LEGACY_OPERATORS[comparison]}${valueStr}`
+    : positional.join(' ').trim();
+  let predicate;
+  try {
+    predicate = parseFilter(expression);
+  } catch (err) {
+    if (!(err instanceof FilterError)) throw err;
+    console.error(`Invalid filter: ${err.message}\n\n${USAGE}`);
     process.exit(1);
   }
+  const outputOptions = getOutputOptions(flags);
 
-  if (!API_TOKEN) {
+  if (!client.config.token) {
     console.error('Missing API_TOKEN in environment (.env)');
     process.exit(1);
   }
 
-  // Try to load categories list once so we can label breakdowns reliably (with caching)
+  // Categories label the breakdown; games and expansions let game: and expansion: match by name or code.
+  // All cached and non-fatal: without them we fall back to heuristic fields
+  const filterContext = await loadFilterContext(client);
+  const { categoryMap } = filterContext; // product.category_id -> category name
+
+  let products;
   try {
-    // Categories
-    const catCachePath = path.join(CACHE_DIR, 'categories.json');
-    let categories = readJsonIfFresh(catCachePath);
-    if (!Array.isArray(categories)) {
-      const catRes = await fetch(`${API_URL}/categories`, {
-        headers: {
-          'Authorization': `Bearer ${API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      if (catRes.ok) {
-        categories = await catRes.json();
-        if (Array.isArray(categories)) writeJson(catCachePath, categories);
-      }
-    }
-    if (Array.isArray(categories)) {
-      for (const c of categories) {
-        const id = c.id ?? c.category_id;
-        const name = c.name ?? c.title;
-        if (id != null && name) categoryMap.set(id, name);
-      }
-    }
-  } catch (_) {
-    // Non-fatal: we'll fall back to heuristic fields
+    products = await client.exportProducts();
+  } catch (err) {
+    console.error('Failed to fetch products:', err.message);
+    process.exit(1);
   }
 
-  let page = 1;
   let totalCount = 0;
   let totalValueCents = 0;
   const perCategory = new Map(); // categoryName -> { items, quantity, totalCents }
-  let hasMore = true;
-
-  while (hasMore) {
-    const res = await fetch(`${API_URL}/products/export?page=${page}&limit=${PAGE_LIMIT}`, {
-      headers: {
-        'Authorization': `Bearer ${API_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
 
-    if (!res.ok) {
-      console.error('Failed to fetch products:', res.statusText);
-      process.exit(1);
-    }
-
-    const data = await res.json();
-    if (!Array.isArray(data)) {
-      console.error('Unexpected response shape from products/export');
-      process.exit(1);
-    }
-
-    // Filter according to comparison and value
-    const filtered = data.filter((product) => {
-      const priceCents = (product.price_cents != null)
-        ? product.price_cents
-        : (typeof product.price === 'number' ? Math.round(product.price * 100) : undefined);
-      return compare(priceCents ?? 0, comparison, value);
-    });
+  const filtered = products.filter((product) => predicate(product, filterContext));
+
+  for (const product of filtered) {
+    const qty = product.quantity ?? 1;
+    const priceCents = getPriceCents(product);
+    totalCount += qty;
+    totalValueCents += priceCents * qty;
 
-    for (const product of filtered) {
-      const qty = product.quantity ?? 1;
-      const priceCents = getPriceCents(product);
-      totalCount += qty;
-      totalValueCents += priceCents * qty;
-
-      const category = getCategoryName(product);
-      const prevCat = perCategory.get(category) || { items: 0, quantity: 0, totalCents: 0 };
-      perCategory.set(category, {
-        items: prevCat.items + 1,
-        quantity: prevCat.quantity + qty,
-        totalCents: prevCat.totalCents + (priceCents * qty)
-      });
-    }
-
-  hasMore = data.length > 0 && data.length === PAGE_LIMIT;
-    page++;
+    const category = getCategoryName(product, categoryMap);
+    const prevCat = perCategory.get(category) || { items: 0, quantity: 0, totalCents: 0 };
+    perCategory.set(category, {
+      items: prevCat.items + 1,
+      quantity: prevCat.quantity + qty,
+      totalCents: prevCat.totalCents + (priceCents * qty)
+    });
   }
   // Marketplace fee scenarios (per item fee + VAT on the fee): CTZ 8%, CTR 15%
-  const CTZ_RATE = 0.08;
-  const CTR_RATE = 0.15;
-  const netAfterFees = (totalCents, feeRate) => {
-    // Net = total - fee - VAT on fee = total * (1 - feeRate * (1 + VAT_RATE))
-    const effectiveMultiplier = 1 - (feeRate * (1 + VAT_RATE));
-    return Math.max(0, Math.round(totalCents * effectiveMultiplier));
-  };
+  const netAfterFees = (totalCents, feeRate) => netAfterFeesAt(totalCents, feeRate, VAT_RATE);
   const ctzNetCents = netAfterFees(totalValueCents, CTZ_RATE);
   const ctrNetCents = netAfterFees(totalValueCents, CTR_RATE);
 
+  if (outputOptions.machine) {
+    const rows = Array.from(perCategory.entries()).map(([category, stats]) => ({
+      category,
+      items: stats.items,
+      quantity: stats.quantity,
+      total_cents: stats.totalCents,
+      ctz_net_cents: netAfterFees(stats.totalCents, CTZ_RATE),
+      ctr_net_cents: netAfterFees(stats.totalCents, CTR_RATE)
+    }));
+    writeReport(outputOptions, {
+      report: {
+        filter: expression || null,
+        quantity: totalCount,
+        total_cents: totalValueCents,
+        ctz_net_cents: ctzNetCents,
+        ctr_net_cents: ctrNetCents,
+        vat_rate: VAT_RATE,
+        categories: rows
+      },
+      rows,
+      columns: ['category', 'items', 'quantity', 'total_cents', 'ctz_net_cents', 'ctr_net_cents']
+    });
+    return;
+  }
+
   // Pretty summary output
   const supportsColor = process.stdout.isTTY && process.env.NO_COLOR !== '1';
   const ansi = supportsColor ? {
@@ -175,11 +125,9 @@ function compare(price, comparison, value) {
   const top = (w, t) => `┏ ${t} ${'─'.repeat(Math.max(0, w - vlen(t) - 1))}┓`;
   const bottom = (w) => `┗${'─'.repeat(w + 2)}┛`;
 
-  const priceSymbol = value < 100 ? '¢' : '';
-  const thresholdStr = value < 100 ? `${value}¢` : `${formatUSDFromCents(value)}`;
   const vatPct = `${Math.round(VAT_RATE * 100)}%`;
   const rows = [
-    { label: 'Filters', value: `price ${comparison} ${thresholdStr}` },
+    { label: 'Filters', value: expression || 'none' },
     { label: 'Items', value: `${totalCount}` },
     { label: 'Gross', value: `${formatUSDFromCents(totalValueCents)}` },
     { label: `CTZ (8% + VAT ${vatPct})`, value: `${formatUSDFromCents(ctzNetCents)}` },
@@ -202,8 +150,8 @@ function compare(price, comparison, value) {
   // Breakdown by category
   if (perCategory.size > 0) {
     const rows = Array.from(perCategory.entries()).map(([category, stats]) => {
-      const ctz = netAfterFees(stats.totalCents, 0.08);
-      const ctr = netAfterFees(stats.totalCents, 0.15);
+      const ctz = netAfterFees(stats.totalCents, CTZ_RATE);
+      const ctr = netAfterFees(stats.totalCents, CTR_RATE);
       return {
         category,
         items: stats.items,
@@ -0,0 +1,247 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const fs = require('fs');
+const readline = require('readline');
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getPriceCents } = require('./lib/helpers');
+const { getVariant, isCardTraderZero, fetchListingsByBlueprint } = require('./lib/market');
+const { FilterError, CONDITIONS, parseCondition } = require('./lib/filter');
+const { parseDecklist, createBlueprintResolver } = require('./lib/decklist');
+const { sellerKey, eligibleOffers, allocate, planPurchase, cheapestShippingCents, CTZ } = require('./lib/cart-plan');
+const { parseArgs, intFlag, centsFlag } = require('./lib/cli');
+
+const USAGE = `Usage: node deckToCart.js DECKLIST [options]
+
+Plans the cheapest way to buy a decklist on the CardTrader marketplace. DECKLIST is a file (or - for
+stdin) in the Moxfield/MTGO format that scryfall-to-moxfield.js writes: "4 Card Name (SET) 123 *F*".
+Lines with a set are matched in that expansion by collector number, then name; any printing with the
+name counts when there is no collector number. Lines without a set need --sets.
+
+The plan covers card prices plus shipping: listings of CardTrader Zero sellers are bought via
+CardTrader Zero and ship together, every other seller ships separately at the cheapest of its
+/shipping_methods. The plan is always printed first; nothing is added to the cart without
+--add-to-cart, which asks for confirmation unless --yes is given.
+
+Options:
+  --condition=GRADE     Minimum condition: NM, SP, MP, PL, PO or the full name (default: SP)
+  --languages=en,ja     Acceptable languages, or "any" (default: en)
+  --ctz-only            Only buy from CardTrader Zero sellers
+  --shipping=CENTS      Shipping assumed for a seller whose shipping methods can't be read (default: 200)
+  --ctz-shipping=CENTS  Shipping for the whole CardTrader Zero box (default: 0)
+  --sets=CODE,CODE      Expansions to search for lines without a set
+  --game=ID             Game the set codes belong to (default: 1, Magic)
+  --refresh             Ignore cached marketplace listings (kept MARKET_CACHE_TTL_MINUTES, default 60)
+  --add-to-cart         Add the planned listings to your cart through /cart/add
+  --yes                 Don't ask before adding to the cart
+  --format=FORMAT       table (default), json, csv or ndjson plan
+  --output=FILE         Write the plan to FILE`;
+
+const COLUMNS = ['line', 'name', 'set', 'blueprint_id', 'product_id', 'seller', 'via', 'condition', 'language', 'foil',
+  'quantity', 'price_cents', 'total_cents'];
+
+const confirm = async (question, output) => {
+  const rl = readline.createInterface({ input: process.stdin, output });
+  const answer = await new Promise(res => rl.question(question, res));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+};
+
+(async function() {
+  const { flags, positional } = parseArgs();
+  if (flags.help || positional.length === 0) {
+    console.log(USAGE);
+    process.exit(flags.help ? 0 : 1);
+  }
+  const outputOptions = getOutputOptions(flags);
+  const log = outputOptions.machine ? console.error : console.log;
+
+  let minCondition;
+  try {
+    minCondition = parseCondition(typeof flags.condition === 'string' ? flags.condition : 'SP');
+  } catch (err) {
+    if (!(err instanceof FilterError)) throw err;
+    console.error(`--condition: ${err.message}`);
+    process.exit(1);
+  }
+  const languagesFlag = typeof flags.languages === 'string' ? flags.languages : 'en';
+  const languages = languagesFlag === 'any' ? null : languagesFlag.split(',').map(l => l.trim().toLowerCase()).filter(Boolean);
+  const ctzOnly = Boolean(flags['ctz-only']);
+  const defaultShippingCents = centsFlag(flags, 'shipping', 200);
+  const ctzShippingCents = centsFlag(flags, 'ctz-shipping', 0);
+  const gameId = intFlag(flags, 'game', 1);
+
+  let text;
+  try {
+    text = fs.readFileSync(positional[0] === '-' ? 0 : positional[0], 'utf8');
+  } catch (err) {
+    console.error(`Cannot read ${positional[0]}: ${err.message}`);
+    process.exit(1);
+  }
+  const lines = parseDecklist(text);
+  if (lines.length === 0) {
+    console.error(`No card lines in ${positional[0]}`);
+    process.exit(1);
+  }
+
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
+  // Decklist lines -> candidate blueprints
+  let expansions;
+  let categories;
+  try {
+    [expansions, categories] = await Promise.all([client.expansions(), client.categories()]);
+  } catch (err) {
+    console.error('Failed to fetch expansions:', err.message);
+    process.exit(1);
+  }
+  const setCodes = typeof flags.sets === 'string' ? flags.sets.split(',').map(c => c.trim().toLowerCase()).filter(Boolean) : [];
+  const fallbackExpansions = setCodes.map(code => expansions.find(e => e.game_id === gameId && String(e.code).toLowerCase() === code));
+  if (fallbackExpansions.includes(undefined)) {
+    console.error(`Unknown --sets code(s): ${setCodes.filter((_, i) => !fallbackExpansions[i]).join(', ')}`);
+    process.exit(1);
+  }
+  const resolve = createBlueprintResolver(client, { expansions, categories, gameId, fallbackExpansions });
+  const resolved = await Promise.all(lines.map(async (line) => {
+    try {
+      return await resolve(line);
+    } catch (err) {
+      return { line, reason: `blueprints could not be loaded: ${err.message}` };
+    }
+  }));
+  const unresolved = resolved.filter(r => r.reason);
+  const wants = resolved.filter(r => r.blueprints);
+
+  // Marketplace listings -> the offers each line accepts
+  const { listings, failures, cacheHits } = await fetchListingsByBlueprint(client, wants.flatMap(w => w.blueprints.map(b => b.id)), {
+    ttlMs: client.config.marketCacheTtlMs,
+    refresh: Boolean(flags.refresh),
+    onProgress: ({ done, total }) => process.stderr.write(`\rMarketplace: ${done}/${total} blueprints`),
+  });
+  process.stderr.write(`\n${cacheHits > 0 ? `${cacheHits} blueprint(s) from cache (--refresh to re-fetch)\n` : ''}`);
+  for (const want of wants) want.offers = eligibleOffers(want, listings, { minCondition, languages, ctzOnly });
+
+  // Shipping is only looked up for the sellers of the cheapest-per-card plan; the optimized plan
+  // only ever drops sellers from it
+  const sellers = [...new Set(allocate(wants).picks.map(p => p.listing).filter(l => !isCardTraderZero(l)).map(sellerKey))];
+  const shippingCents = new Map();
+  await Promise.all(sellers.map(async (username) => {
+    try {
+      const cents = cheapestShippingCents(await client.shippingMethods(username));
+      if (cents != null) shippingCents.set(username, cents);
+    } catch (err) {
+      process.stderr.write(`Shipping methods of ${username} unavailable (${err.message}); assuming ${formatUSDFromCents(defaultShippingCents)}\n`);
+    }
+  }));
+
+  const plan = planPurchase(wants, { shippingCents, defaultShippingCents, ctzShippingCents });
+
+  const rows = plan.picks.map(({ want, listing, quantity }) => {
+    const variant = getVariant(listing);
+    const blueprint = want.blueprints.find(b => b.id === listing.blueprint_id);
+    return {
+      line: want.line.lineNumber,
+      name: blueprint?.name || listing.name_en || want.line.name,
+      set: (listing.expansion?.code || want.line.setCode || '').toUpperCase() || null,
+      blueprint_id: listing.blueprint_id,
+      product_id: listing.id,
+      seller: sellerKey(listing) === CTZ ? listing.user?.username ?? null : sellerKey(listing),
+      via: isCardTraderZero(listing) ? 'ctz' : 'direct',
+      condition: variant.condition,
+      language: variant.language,
+      foil: variant.foil,
+      quantity,
+      price_cents: getPriceCents(listing),
+      total_cents: getPriceCents(listing) * quantity,
+    };
+  }).sort((a, b) => a.line - b.line);
+  const sellerRows = plan.sellers.map(s => ({
+    seller: s.seller,
+    via: s.via,
+    items: s.items,
+    subtotal_cents: s.subtotalCents,
+    shipping_cents: s.shippingCents,
+    shipping_estimated: s.shippingEstimated,
+    total_cents: s.subtotalCents + s.shippingCents,
+  }));
+  const missing = plan.missing.map(({ want, quantity }) => ({ line: want.line.lineNumber, card: want.line.raw, missing: quantity }));
+  const unresolvedRows = unresolved.map(({ line, reason }) => ({ line: line.lineNumber, card: line.raw, reason }));
+  const wantedQty = lines.reduce((sum, l) => sum + l.quantity, 0);
+  const plannedQty = rows.reduce((sum, r) => sum + r.quantity, 0);
+
+  if (outputOptions.machine) {
+    writeReport(outputOptions, {
+      report: {
+        decklist: positional[0],
+        constraints: { min_condition: CONDITIONS[minCondition], languages, ctz_only: ctzOnly },
+        cards_wanted: wantedQty,
+        cards_planned: plannedQty,
+        items_cents: plan.itemsCents,
+        shipping_cents: plan.shippingCents,
+        total_cents: plan.totalCents,
+        sellers: sellerRows,
+        rows,
+        missing,
+        unresolved: unresolvedRows,
+      },
+      rows,
+      columns: COLUMNS,
+    });
+  } else {
+    if (rows.length > 0) {
+      console.table(rows.map(r => ({ line: r.line, card: r.name, set: r.set, seller: r.via === 'ctz' ? `${CTZ} (${r.seller})` : r.seller,
+        condition: r.condition, lang: r.language, foil: r.foil ? 'foil' : '', qty: r.quantity,
+        price_usd: formatUSDFromCents(r.price_cents), total_usd: formatUSDFromCents(r.total_cents) })));
+      console.log('\nPer seller:');
+      console.table(sellerRows.map(s => ({ seller: s.seller, items: s.items, subtotal_usd: formatUSDFromCents(s.subtotal_cents),
+        shipping_usd: `${formatUSDFromCents(s.shipping_cents)}${s.shipping_estimated ? ' (assumed)' : ''}`,
+        total_usd: formatUSDFromCents(s.total_cents) })));
+    }
+    if (missing.length > 0) {
+      console.log('\nNot enough matching listings:');
+      for (const m of missing) console.log(`  line ${m.line}: ${m.card} — ${m.missing} short`);
+    }
+    if (unresolvedRows.length > 0) {
+      console.log('\nLines not matched to a CardTrader card:');
+      for (const u of unresolvedRows) console.log(`  line ${u.line}: ${u.card} — ${u.reason}`);
+    }
+  }
+  if (failures.length > 0) {
+    console.error(`Skipped ${failures.length} blueprint(s) whose marketplace fetch failed:`);
+    for (const f of failures) console.error(`  blueprint ${f.blueprintId}: ${f.message}`);
+  }
+  log(`\nPlan: ${plannedQty} of ${wantedQty} cards from ${sellerRows.length} seller(s): ${formatUSDFromCents(plan.itemsCents)} + ${formatUSDFromCents(plan.shippingCents)} shipping = ${formatUSDFromCents(plan.totalCents)}`);
+  if (!flags['add-to-cart'] || rows.length === 0) return;
+
+  if (!flags.yes) {
+    if (!process.stdin.isTTY || positional[0] === '-') {
+      console.error('Refusing to change the cart without confirmation: re-run with --yes');
+      process.exit(1);
+    }
+    const ok = await confirm(`Add these ${rows.length} listing(s) to your cart? [y/N] `, outputOptions.machine ? process.stderr : process.stdout);
+    if (!ok) {
+      log('Aborted, cart unchanged.');
+      return;
+    }
+  }
+
+  // One request per listing, in order, so a failure names the listing it belongs to
+  const cartFailures = [];
+  for (const row of rows) {
+    try {
+      await client.cartAdd(row.product_id, row.quantity, row.via === 'ctz');
+    } catch (err) {
+      cartFailures.push({ row, message: err.message });
+    }
+  }
+  log(`Added ${rows.length - cartFailures.length} of ${rows.length} listing(s) to the cart`);
+  if (cartFailures.length > 0) {
+    console.error(`${cartFailures.length} listing(s) could not be added (sold or changed since the plan?):`);
+    for (const { row, message } of cartFailures) console.error(`  line ${row.line} ${row.name}, product ${row.product_id}: ${message}`);
+    process.exit(1);
+  }
+})();
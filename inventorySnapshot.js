@@ -0,0 +1,280 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const fs = require('fs');
+const path = require('path');
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getPriceCents, buildCategoryMap, getCategoryName, ensureDir } = require('./lib/helpers');
+const { getVariant } = require('./lib/market');
+const { parseArgs } = require('./lib/cli');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(process.cwd(), 'snapshots');
+
+const USAGE = `Usage:
+  node inventorySnapshot.js snapshot            Save the current /products/export inventory
+  node inventorySnapshot.js list                List saved snapshots
+  node inventorySnapshot.js diff [FROM] [TO]    Compare two snapshots (default: the latest two)
+
+FROM/TO can be a snapshot file name or path, or a date (YYYY-MM-DD) meaning the last snapshot taken on or before that day.
+Every command accepts --format=table|json|csv|ndjson and --output=FILE.`;
+
+const CHANGE_COLUMNS = ['change', 'product_id', 'blueprint_id', 'name', 'condition', 'language', 'foil', 'category',
+  'quantity_before', 'quantity_after', 'price_before_cents', 'price_after_cents'];
+
+// File names sort chronologically: inventory-2024-05-01T10-20-30-000Z.json
+const snapshotFileName = (date) => `inventory-${date.toISOString().replace(/[:.]/g, '-')}.json`;
+
+const listSnapshots = () => {
+  try {
+    return fs.readdirSync(SNAPSHOT_DIR).filter(f => /^inventory-.*\.json$/.test(f)).sort();
+  } catch (_) { return []; }
+};
+
+const resolveSnapshot = (ref, files) => {
+  if (fs.existsSync(ref)) return ref;
+  if (files.includes(ref)) return path.join(SNAPSHOT_DIR, ref);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(ref)) {
+    const onOrBefore = files.filter(f => f.slice('inventory-'.length, 'inventory-'.length + 10) <= ref);
+    if (onOrBefore.length > 0) return path.join(SNAPSHOT_DIR, onOrBefore[onOrBefore.length - 1]);
+  }
+  return null;
+};
+
+const loadSnapshot = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const productName = (p) => p.name_en || p.name || p.blueprint?.name || `blueprint ${p.blueprint_id}`;
+const productValue = (p) => getPriceCents(p) * (p.quantity ?? 1);
+
+// Listings of one blueprint in one condition/language/foil: total quantity and lowest price
+const variantKey = (p) => {
+  const v = getVariant(p);
+  return `${p.blueprint_id}|${v.condition}|${v.language}|${v.foil}`;
+};
+const groupByVariant = (products) => {
+  const groups = new Map(); // variantKey -> { product, quantity, priceCents }
+  for (const p of products) {
+    const key = variantKey(p);
+    const group = groups.get(key) || { product: p, quantity: 0, priceCents: null };
+    group.quantity += p.quantity ?? 1;
+    if ((p.quantity ?? 1) > 0 && (group.priceCents == null || getPriceCents(p) < group.priceCents)) group.priceCents = getPriceCents(p);
+    groups.set(key, group);
+  }
+  return groups;
+};
+
+// Quantity and price changes are compared per blueprint and variant, so a listing that was sold out
+// and relisted, or split into several, counts as a quantity change. Added/removed are the individual
+// listings (by product id), as detail.
+function diffSnapshots(before, after, categoryMap) {
+  const beforeById = new Map(before.products.map(p => [p.id, p]));
+  const afterById = new Map(after.products.map(p => [p.id, p]));
+  const added = after.products.filter(p => !beforeById.has(p.id));
+  const removed = before.products.filter(p => !afterById.has(p.id));
+
+  const beforeGroups = groupByVariant(before.products);
+  const afterGroups = groupByVariant(after.products);
+  const quantityChanges = []; // [{ product, before, after }] quantities; 0 when the variant wasn't listed
+  const priceChanges = []; // [{ product, before, after }] lowest prices in cents
+  for (const key of new Set([...beforeGroups.keys(), ...afterGroups.keys()])) {
+    const b = beforeGroups.get(key);
+    const a = afterGroups.get(key);
+    const product = (a || b).product;
+    if ((b?.quantity ?? 0) !== (a?.quantity ?? 0)) quantityChanges.push({ product, before: b?.quantity ?? 0, after: a?.quantity ?? 0 });
+    if (b?.priceCents != null && a?.priceCents != null && b.priceCents !== a.priceCents) {
+      priceChanges.push({ product, before: b.priceCents, after: a.priceCents });
+    }
+  }
+
+  const perCategory = new Map(); // categoryName -> { beforeQty, afterQty, beforeCents, afterCents }
+  const addToCategory = (p, side) => {
+    const category = getCategoryName(p, categoryMap);
+    const prev = perCategory.get(category) || { beforeQty: 0, afterQty: 0, beforeCents: 0, afterCents: 0 };
+    prev[`${side}Qty`] += p.quantity ?? 1;
+    prev[`${side}Cents`] += productValue(p);
+    perCategory.set(category, prev);
+  };
+  before.products.forEach(p => addToCategory(p, 'before'));
+  after.products.forEach(p => addToCategory(p, 'after'));
+
+  return { added, removed, quantityChanges, priceChanges, perCategory };
+}
+
+(async function() {
+  const { flags, positional } = parseArgs();
+  const [command = 'snapshot', ...args] = positional;
+  const outputOptions = getOutputOptions(flags);
+  const client = createClient({ onRetry: logRetry });
+
+  if (command === 'snapshot') {
+    if (!client.config.token) {
+      console.error('Missing API_TOKEN in environment (.env)');
+      process.exit(1);
+    }
+    let products;
+    try {
+      products = await client.exportProducts();
+    } catch (err) {
+      console.error('Failed to fetch products:', err.message);
+      process.exit(1);
+    }
+    const takenAt = new Date();
+    const file = path.join(SNAPSHOT_DIR, snapshotFileName(takenAt));
+    ensureDir(SNAPSHOT_DIR);
+    fs.writeFileSync(file, JSON.stringify({ takenAt: takenAt.toISOString(), products }), 'utf8');
+    const totalCents = products.reduce((sum, p) => sum + productValue(p), 0);
+    if (outputOptions.machine) {
+      const row = { file, taken_at: takenAt.toISOString(), products: products.length, total_cents: totalCents };
+      writeReport(outputOptions, { report: row, rows: [row] });
+      return;
+    }
+    console.log(`Saved ${products.length} products (${formatUSDFromCents(totalCents)}) to ${file}`);
+    return;
+  }
+
+  if (command === 'list') {
+    const files = listSnapshots();
+    const rows = files.map(f => ({ file: f, size_kb: Math.round(fs.statSync(path.join(SNAPSHOT_DIR, f)).size / 1024) }));
+    if (outputOptions.machine) {
+      writeReport(outputOptions, { rows, columns: ['file', 'size_kb'] });
+      return;
+    }
+    if (files.length === 0) {
+      console.log(`No snapshots in ${SNAPSHOT_DIR}`);
+      return;
+    }
+    console.table(rows);
+    return;
+  }
+
+  if (command !== 'diff') {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const files = listSnapshots();
+  let fromFile;
+  let toFile;
+  if (args.length === 0) {
+    if (files.length < 2) {
+      console.error(`Need at least two snapshots in ${SNAPSHOT_DIR} to diff (found ${files.length}).`);
+      process.exit(1);
+    }
+    fromFile = path.join(SNAPSHOT_DIR, files[files.length - 2]);
+    toFile = path.join(SNAPSHOT_DIR, files[files.length - 1]);
+  } else {
+    fromFile = resolveSnapshot(args[0], files);
+    toFile = args[1] ? resolveSnapshot(args[1], files) : (files.length ? path.join(SNAPSHOT_DIR, files[files.length - 1]) : null);
+    if (!fromFile || !toFile) {
+      console.error(`Snapshot not found: ${!fromFile ? args[0] : args[1] || 'latest'}`);
+      process.exit(1);
+    }
+  }
+
+  const before = loadSnapshot(fromFile);
+  const after = loadSnapshot(toFile);
+
+  // Category names are non-fatal; fall back to fields embedded in the products
+  let categoryMap = new Map();
+  try {
+    if (client.config.token) categoryMap = buildCategoryMap(await client.categories());
+  } catch (_) {}
+
+  const { added, removed, quantityChanges, priceChanges, perCategory } = diffSnapshots(before, after, categoryMap);
+  const sumValue = (list) => list.reduce((sum, p) => sum + productValue(p), 0);
+  const beforeCents = sumValue(before.products);
+  const afterCents = sumValue(after.products);
+  const signed = (cents) => (cents > 0 ? '+' : '') + formatUSDFromCents(cents);
+
+  if (outputOptions.machine) {
+    // Quantity and price rows are per blueprint and variant (no product_id); added/removed per listing
+    const record = (change, p, values) => ({
+      change,
+      product_id: null,
+      blueprint_id: p.blueprint_id,
+      name: productName(p),
+      ...getVariant(p),
+      category: getCategoryName(p, categoryMap),
+      quantity_before: null,
+      quantity_after: null,
+      price_before_cents: null,
+      price_after_cents: null,
+      ...values
+    });
+    const rows = [
+      ...quantityChanges.map(c => record('quantity', c.product, { quantity_before: c.before, quantity_after: c.after })),
+      ...priceChanges.map(c => record('price', c.product, { price_before_cents: c.before, price_after_cents: c.after })),
+      ...added.map(p => record('added', p, { product_id: p.id, quantity_after: p.quantity ?? 1, price_after_cents: getPriceCents(p) })),
+      ...removed.map(p => record('removed', p, { product_id: p.id, quantity_before: p.quantity ?? 1, price_before_cents: getPriceCents(p) }))
+    ];
+    writeReport(outputOptions, {
+      report: {
+        from: { file: path.basename(fromFile), taken_at: before.takenAt, products: before.products.length, total_cents: beforeCents },
+        to: { file: path.basename(toFile), taken_at: after.takenAt, products: after.products.length, total_cents: afterCents },
+        delta_cents: afterCents - beforeCents,
+        changes: rows,
+        categories: [...perCategory.entries()].map(([category, c]) => ({
+          category,
+          quantity_before: c.beforeQty,
+          quantity_after: c.afterQty,
+          before_cents: c.beforeCents,
+          after_cents: c.afterCents,
+          delta_cents: c.afterCents - c.beforeCents
+        }))
+      },
+      rows,
+      columns: CHANGE_COLUMNS
+    });
+    return;
+  }
+
+  console.log(`From: ${before.takenAt} (${before.products.length} products, ${formatUSDFromCents(beforeCents)})`);
+  console.log(`To:   ${after.takenAt} (${after.products.length} products, ${formatUSDFromCents(afterCents)})`);
+  console.log(`Value delta: ${signed(afterCents - beforeCents)}`);
+  console.log(`Quantity changes: ${quantityChanges.length}  Price changes: ${priceChanges.length}  ` +
+    `Listings added: ${added.length} (${signed(sumValue(added))})  removed: ${removed.length} (${signed(-sumValue(removed))})`);
+
+  const variantColumns = (p) => {
+    const v = getVariant(p);
+    return { blueprint_id: p.blueprint_id, name: productName(p), condition: v.condition ?? '', lang: v.language ?? '', foil: v.foil ? 'foil' : '' };
+  };
+  if (quantityChanges.length > 0) {
+    console.log('\nQuantity changes:');
+    console.table(quantityChanges.map(c => ({ ...variantColumns(c.product), before: c.before, after: c.after, delta: c.after - c.before })));
+  }
+  if (priceChanges.length > 0) {
+    console.log('\nPrice changes (lowest listed price):');
+    console.table(priceChanges.map(c => ({
+      ...variantColumns(c.product),
+      before_usd: formatUSDFromCents(c.before),
+      after_usd: formatUSDFromCents(c.after),
+      delta_usd: signed(c.after - c.before)
+    })));
+  }
+
+  const productRow = (p) => ({
+    id: p.id,
+    blueprint_id: p.blueprint_id,
+    name: productName(p),
+    quantity: p.quantity ?? 1,
+    price_usd: formatUSDFromCents(getPriceCents(p))
+  });
+  if (added.length > 0) {
+    console.log('\nListings added:');
+    console.table(added.map(productRow));
+  }
+  if (removed.length > 0) {
+    console.log('\nListings removed:');
+    console.table(removed.map(productRow));
+  }
+  if (perCategory.size > 0) {
+    console.log('\nValue by category:');
+    console.table([...perCategory.entries()].map(([category, c]) => ({
+      category,
+      qty_before: c.beforeQty,
+      qty_after: c.afterQty,
+      before_usd: formatUSDFromCents(c.beforeCents),
+      after_usd: formatUSDFromCents(c.afterCents),
+      delta_usd: signed(c.afterCents - c.beforeCents)
+    })));
+  }
+})();
@@ -0,0 +1,181 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getPriceCents } = require('./lib/helpers');
+const { getVariant, competitorsFor, priceStats, fetchListingsByBlueprint } = require('./lib/market');
+const { parseArgs, intFlag } = require('./lib/cli');
+
+const USAGE = `Usage: node inventoryValue.js [options]
+
+Values your /products/export inventory at the current marketplace minimum and median of
+the same blueprint, condition, language and foil, next to your own list price.
+
+Options:
+  --stale-pct=PCT    Flag listings priced more than PCT% above the market median (default: 50)
+  --under-pct=PCT    Flag listings priced more than PCT% below the market minimum (default: 20)
+  --ctz-only         Only compare with CardTrader Zero sellers
+  --flagged          Only list flagged products (in the table and in json/csv/ndjson rows)
+  --top=N            Rows per table (default: 20)
+  --refresh          Ignore cached marketplace prices (kept MARKET_CACHE_TTL_MINUTES, default 60)
+  --format=FORMAT    table (default), json, csv or ndjson report
+  --output=FILE      Write the report to FILE`;
+
+const COLUMNS = ['product_id', 'blueprint_id', 'name', 'condition', 'language', 'foil', 'quantity',
+  'list_cents', 'market_min_cents', 'market_median_cents', 'competitors', 'vs_median_pct', 'flag'];
+
+// stale: far above what the market asks; underpriced: well below the cheapest competitor
+function flagListing(listCents, { minCents, medianCents }, { stalePct, underPct }) {
+  if (medianCents != null && listCents > medianCents * (1 + stalePct / 100)) return 'stale';
+  if (minCents != null && listCents < minCents * (1 - underPct / 100)) return 'underpriced';
+  return null;
+}
+
+(async function() {
+  const { flags } = parseArgs();
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  const thresholds = {
+    stalePct: intFlag(flags, 'stale-pct', 50),
+    underPct: intFlag(flags, 'under-pct', 20),
+  };
+  const top = intFlag(flags, 'top', 20);
+  const ctzOnly = Boolean(flags['ctz-only']);
+  const outputOptions = getOutputOptions(flags);
+
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
+  let products;
+  try {
+    products = await client.exportProducts();
+  } catch (err) {
+    console.error('Failed to fetch products:', err.message);
+    process.exit(1);
+  }
+  const ownIds = new Set(products.map(p => p.id));
+
+  const { listings, failures, cacheHits } = await fetchListingsByBlueprint(client, products.map(p => p.blueprint_id), {
+    ttlMs: client.config.marketCacheTtlMs,
+    refresh: Boolean(flags.refresh),
+    onProgress: ({ done, total }) => process.stderr.write(`\rFetching marketplace prices ${done}/${total}...`)
+  });
+  process.stderr.write(`\n${cacheHits > 0 ? `${cacheHits} blueprint(s) from cache (--refresh to re-fetch)\n` : ''}`);
+
+  const rows = [];
+  const totals = { listCents: 0, coveredListCents: 0, minCents: 0, medianCents: 0, uncoveredListCents: 0, stale: 0, underpriced: 0 };
+  for (const product of products) {
+    const qty = product.quantity ?? 1;
+    const listCents = getPriceCents(product);
+    const blueprintListings = listings.get(product.blueprint_id);
+    const stats = blueprintListings
+      ? priceStats(competitorsFor(product, blueprintListings, { ownIds, ctzOnly }))
+      : { count: 0, minCents: null, medianCents: null };
+    const flag = flagListing(listCents, stats, thresholds);
+    totals.listCents += listCents * qty;
+    if (stats.medianCents != null) {
+      totals.coveredListCents += listCents * qty;
+      totals.minCents += stats.minCents * qty;
+      totals.medianCents += stats.medianCents * qty;
+    } else {
+      totals.uncoveredListCents += listCents * qty;
+    }
+    if (flag) totals[flag]++;
+    const variant = getVariant(product);
+    rows.push({
+      product_id: product.id,
+      blueprint_id: product.blueprint_id,
+      name: product.name_en || product.name || null,
+      condition: variant.condition,
+      language: variant.language,
+      foil: variant.foil,
+      quantity: qty,
+      list_cents: listCents,
+      market_min_cents: stats.minCents,
+      market_median_cents: stats.medianCents,
+      competitors: stats.count,
+      vs_median_pct: stats.medianCents ? Math.round(((listCents - stats.medianCents) / stats.medianCents) * 1000) / 10 : null,
+      flag
+    });
+  }
+  const covered = rows.filter(r => r.market_median_cents != null).length;
+  // Totals cover the whole inventory; --flagged only narrows the listed rows
+  const listed = flags.flagged ? rows.filter(r => r.flag) : rows;
+
+  if (outputOptions.machine) {
+    writeReport(outputOptions, {
+      report: {
+        thresholds: { stale_pct: thresholds.stalePct, under_pct: thresholds.underPct },
+        ctz_only: ctzOnly,
+        products: products.length,
+        with_market_data: covered,
+        list_cents: totals.listCents,
+        covered_list_cents: totals.coveredListCents,
+        market_min_cents: totals.minCents,
+        market_median_cents: totals.medianCents,
+        uncovered_list_cents: totals.uncoveredListCents,
+        stale: totals.stale,
+        underpriced: totals.underpriced,
+        flagged_only: Boolean(flags.flagged),
+        rows: listed,
+        failures
+      },
+      rows: listed,
+      columns: COLUMNS
+    });
+    return;
+  }
+
+  const signed = (cents) => (cents > 0 ? '+' : '') + formatUSDFromCents(cents);
+  const tableRow = (r) => ({
+    id: r.product_id,
+    name: r.name || `blueprint ${r.blueprint_id}`,
+    variant: [r.condition, r.language, r.foil ? 'foil' : null].filter(Boolean).join(' / '),
+    qty: r.quantity,
+    list_usd: formatUSDFromCents(r.list_cents),
+    min_usd: r.market_min_cents != null ? formatUSDFromCents(r.market_min_cents) : '',
+    median_usd: r.market_median_cents != null ? formatUSDFromCents(r.market_median_cents) : '',
+    vs_median: r.vs_median_pct != null ? `${r.vs_median_pct > 0 ? '+' : ''}${r.vs_median_pct}%` : '',
+    flag: r.flag || ''
+  });
+  // Biggest value gap first: what the flag costs or gains across the whole quantity
+  const gapCents = (r) => Math.abs(r.list_cents - (r.market_median_cents ?? r.list_cents)) * r.quantity;
+  const byGap = (a, b) => gapCents(b) - gapCents(a);
+
+  const stale = rows.filter(r => r.flag === 'stale').sort(byGap);
+  const underpriced = rows.filter(r => r.flag === 'underpriced').sort(byGap);
+  if (stale.length > 0) {
+    console.log(`\nStale: listed more than ${thresholds.stalePct}% above the market median (top ${Math.min(top, stale.length)} of ${stale.length}):`);
+    console.table(stale.slice(0, top).map(tableRow));
+  }
+  if (underpriced.length > 0) {
+    console.log(`\nUnderpriced: listed more than ${thresholds.underPct}% below the market minimum (top ${Math.min(top, underpriced.length)} of ${underpriced.length}):`);
+    console.table(underpriced.slice(0, top).map(tableRow));
+  }
+  if (!flags.flagged) {
+    const unflagged = rows.filter(r => !r.flag).sort((a, b) => b.list_cents * b.quantity - a.list_cents * a.quantity);
+    if (unflagged.length > 0) {
+      console.log(`\nOther listings by list value (top ${Math.min(top, unflagged.length)} of ${unflagged.length}):`);
+      console.table(unflagged.slice(0, top).map(tableRow));
+    }
+  }
+
+  console.log(`\nProducts: ${products.length}  With market data: ${covered}  Stale: ${totals.stale}  Underpriced: ${totals.underpriced}${ctzOnly ? '  (CTZ competitors only)' : ''}`);
+  console.table([
+    { valuation: 'At list price', total_usd: formatUSDFromCents(totals.coveredListCents), vs_list: '' },
+    { valuation: 'At market minimum', total_usd: formatUSDFromCents(totals.minCents), vs_list: signed(totals.minCents - totals.coveredListCents) },
+    { valuation: 'At market median', total_usd: formatUSDFromCents(totals.medianCents), vs_list: signed(totals.medianCents - totals.coveredListCents) }
+  ]);
+  if (totals.uncoveredListCents > 0) {
+    console.log(`Not included above: ${products.length - covered} products without competing listings, ${formatUSDFromCents(totals.uncoveredListCents)} at list price`);
+  }
+  if (failures.length > 0) {
+    console.error(`Skipped ${failures.length} blueprint(s) whose marketplace fetch failed:`);
+    for (const f of failures) console.error(`  blueprint ${f.blueprintId}: ${f.message}`);
+  }
+})();
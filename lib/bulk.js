@@ -0,0 +1,108 @@
+// Bulk inventory changes: /products/bulk_create|bulk_update|bulk_destroy in chunks, each followed by
+// polling /jobs/{id} until CardTrader has processed it, plus the backup files used to undo a change.
+const fs = require('fs');
+const path = require('path');
+const { sleep } = require('./retry');
+const { ensureDir } = require('./helpers');
+
+const BULK_CHUNK_SIZE = 100;
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(process.cwd(), 'backups');
+
+const JOB_DONE_STATES = ['completed', 'done', 'finished', 'success'];
+const JOB_FAILED_STATES = ['failed', 'error', 'errored', 'aborted'];
+
+const jobState = (job) => String(job?.state ?? job?.status ?? '').toLowerCase();
+
+// Polls a bulk job until it reaches a final state; resolves with the last job payload
+async function waitForJob(client, jobId, { intervalMs = 2000, timeoutMs = 10 * 60 * 1000, onPoll } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await client.job(jobId);
+    const state = jobState(job);
+    if (onPoll) onPoll({ jobId, state, job });
+    if (JOB_DONE_STATES.includes(state) || JOB_FAILED_STATES.includes(state)) return job;
+    if (Date.now() + intervalMs > deadline) {
+      throw new Error(`job ${jobId} still ${state || 'pending'} after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    await sleep(intervalMs);
+  }
+}
+
+// Per-item errors of a finished job. Results line up with the submitted items; when an entry carries
+// an id it is matched by id instead.
+const jobItemErrors = (job, items) => {
+  const errors = new Map(); // item index -> message
+  const results = Array.isArray(job?.results) ? job.results : [];
+  results.forEach((result, i) => {
+    const messages = [].concat(result?.errors ?? []).map(e => (typeof e === 'string' ? e : e?.message || JSON.stringify(e)));
+    const failed = result?.ok === false || messages.length > 0 || /error|fail/i.test(result?.status || '');
+    if (!failed) return;
+    const id = result.id ?? result.product_id ?? result.resource?.id;
+    const index = id != null ? items.findIndex(item => item.id === id) : i;
+    errors.set(index === -1 ? i : index, messages.join('; ') || result.status || 'failed');
+  });
+  return errors;
+};
+
+// Submits items through client[method] (bulkCreate, bulkUpdate or bulkDestroy) BULK_CHUNK_SIZE at a time.
+// Unless wait is false each job is polled to completion. Returns every item that failed with the reason:
+// a rejected request or failed job fails its whole chunk, per-item job errors fail single items.
+// A submitted job that can't be polled to the end (timeout, polling errors) may still be applied, so its
+// items are returned as unknown rather than failed: they must be checked, not resubmitted.
+async function runBulk(client, method, items, { chunkSize = BULK_CHUNK_SIZE, wait = true, onChunk, onPoll } = {}) {
+  const failures = []; // [{ item, message }]
+  const unknown = []; // [{ item, message }]
+  const jobs = [];
+  for (let i = 0; i < items.length; i += chunkSize) {
+    const chunk = items.slice(i, i + chunkSize);
+    const failChunk = (message) => chunk.forEach(item => failures.push({ item, message }));
+    let jobId = null;
+    try {
+      const result = await client[method](chunk);
+      jobId = result?.job ?? result?.job_id ?? result?.uuid ?? null;
+    } catch (err) {
+      failChunk(err.message);
+      if (onChunk) onChunk({ index: i / chunkSize, size: chunk.length, jobId, error: err.message });
+      continue;
+    }
+    jobs.push(jobId);
+    if (!wait || jobId == null) {
+      if (onChunk) onChunk({ index: i / chunkSize, size: chunk.length, jobId, state: 'submitted' });
+      continue;
+    }
+    try {
+      const job = await waitForJob(client, jobId, { onPoll });
+      const state = jobState(job);
+      const itemErrors = jobItemErrors(job, chunk);
+      if (JOB_FAILED_STATES.includes(state) && itemErrors.size === 0) failChunk(`job ${jobId} ${state}`);
+      for (const [index, message] of itemErrors) failures.push({ item: chunk[index], message });
+      if (onChunk) onChunk({ index: i / chunkSize, size: chunk.length, jobId, state, failed: itemErrors.size });
+    } catch (err) {
+      const message = `job status unknown (${err.message}); check your inventory before resubmitting`;
+      chunk.forEach(item => unknown.push({ item, message }));
+      if (onChunk) onChunk({ index: i / chunkSize, size: chunk.length, jobId, state: 'unknown' });
+    }
+  }
+  return { failures, unknown, jobs };
+}
+
+// Backup/undo files: BACKUP_DIR/<kind>-<timestamp>.json with { kind, createdAt, ...data }.
+// Pass file to rewrite an existing backup, e.g. to record which items failed.
+const writeBackup = (kind, data, { file: existing } = {}) => {
+  const createdAt = data.createdAt || new Date().toISOString();
+  const file = existing || path.join(BACKUP_DIR, `${kind}-${createdAt.replace(/[:.]/g, '-')}.json`);
+  ensureDir(path.dirname(file));
+  fs.writeFileSync(file, JSON.stringify({ kind, createdAt, ...data }, null, 2), 'utf8');
+  return file;
+};
+
+// A backup named on the command line: a path, or a file name inside BACKUP_DIR
+const backupPath = (file) => (fs.existsSync(file) ? file : path.join(BACKUP_DIR, file));
+
+const readBackup = (file, kind) => {
+  const data = JSON.parse(fs.readFileSync(backupPath(file), 'utf8'));
+  if (kind && data.kind !== kind) throw new Error(`${file} is a ${data.kind || 'unknown'} file, expected ${kind}`);
+  return data;
+};
+
+module.exports = { BULK_CHUNK_SIZE, BACKUP_DIR, waitForJob, jobItemErrors, runBulk, writeBackup, backupPath, readBackup };
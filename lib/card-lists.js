@@ -0,0 +1,181 @@
+// Card lists built from Scryfall cards: the text, CSV and record formats that deck sites and the
+// bulk-interface import read, and the --sync state that remembers the previous result of a query.
+const fs = require('fs');
+const path = require('path');
+const { renderReport, toCsv } = require('./output');
+
+// Record formats share column names (and integer cents) with the CardTrader scripts' --format output
+const RECORD_FORMATS = ['json', 'csv', 'ndjson'];
+const RECORD_COLUMNS = ['quantity', 'name', 'set', 'collector_number', 'scryfall_id', 'rarity', 'lang', 'finish', 'usd_cents', 'usd_foil_cents'];
+
+// --sync keeps the previous result of each query here, one file per query and unique mode
+const SYNC_DIR = 'moxfield-sync';
+
+// One line per card and finish. Markers: *F* foil, *E* etched
+const FINISH_MARKERS = { nonfoil: '', foil: ' *F*', etched: ' *E*' };
+
+// Arena names double-faced and adventure cards by their front face; split cards keep both halves
+const frontFaceName = (card) => (['split', 'aftermath'].includes(card.layout) ? card.name : card.name.split(' // ')[0]);
+
+const TEXT_FORMATS = {
+  // 1 Card Name (SET) 123 *F*
+  moxfield: ({ card, finish, quantity }) =>
+    `${quantity} ${card.name} (${card.set.toUpperCase()}) ${card.collector_number}${FINISH_MARKERS[finish]}`,
+  // 1 Card Name
+  mtgo: ({ card, quantity }) => `${quantity} ${card.name}`,
+  // 1 Card Name (SET) 123
+  arena: ({ card, quantity }) => `${quantity} ${frontFaceName(card)} (${card.set.toUpperCase()}) ${card.collector_number}`,
+  // 1x Card Name (set) 123 *F*
+  archidekt: ({ card, finish, quantity }) =>
+    `${quantity}x ${card.name} (${card.set}) ${card.collector_number}${FINISH_MARKERS[finish]}`,
+  // 1 Card Name [SET] (TCGplayer mass entry)
+  tcgplayer: ({ card, quantity }) => `${quantity} ${card.name} [${card.set.toUpperCase()}]`,
+};
+
+const LANGUAGE_NAMES = {
+  en: 'English', de: 'German', fr: 'French', it: 'Italian', es: 'Spanish', pt: 'Portuguese',
+  ja: 'Japanese', ko: 'Korean', ru: 'Russian', zhs: 'Chinese Simplified', zht: 'Chinese Traditional',
+};
+const languageName = (lang) => LANGUAGE_NAMES[lang] || 'English';
+
+// Scryfall prices are decimal strings ("1.23") or null
+const toCents = (usd) => (usd == null || usd === '' ? null : Math.round(parseFloat(usd) * 100));
+const finishPrice = (card, finish) => card.prices?.[finish === 'nonfoil' ? 'usd' : `usd_${finish}`] ?? null;
+
+// CSV imports with the column names each site expects
+const CSV_FORMATS = {
+  deckbox: {
+    columns: ['Count', 'Name', 'Edition', 'Card Number', 'Condition', 'Language', 'Foil'],
+    row: ({ card, finish, quantity }) => ({
+      Count: quantity,
+      Name: card.name,
+      Edition: card.set_name,
+      'Card Number': card.collector_number,
+      Condition: 'Near Mint',
+      Language: languageName(card.lang),
+      Foil: finish === 'nonfoil' ? '' : 'foil',
+    }),
+  },
+  'moxfield-csv': {
+    columns: ['Count', 'Tradelist Count', 'Name', 'Edition', 'Condition', 'Language', 'Foil', 'Tags',
+      'Last Modified', 'Collector Number', 'Alter', 'Proxy', 'Purchase Price'],
+    row: ({ card, finish, quantity }) => ({
+      Count: quantity,
+      'Tradelist Count': 0,
+      Name: card.name,
+      Edition: card.set,
+      Condition: 'Near Mint',
+      Language: languageName(card.lang),
+      Foil: finish === 'nonfoil' ? '' : finish,
+      'Collector Number': card.collector_number,
+      Alter: 'False',
+      Proxy: 'False',
+    }),
+  },
+  // Read by the bulk-interface list import; price is Scryfall's USD price for the finish
+  cardtrader: {
+    columns: ['quantity', 'name', 'set', 'collector_number', 'scryfall_id', 'condition', 'language', 'foil', 'price'],
+    row: ({ card, finish, quantity }) => ({
+      quantity,
+      name: card.name,
+      set: card.set.toUpperCase(),
+      collector_number: card.collector_number,
+      scryfall_id: card.id,
+      condition: 'Near Mint',
+      language: card.lang,
+      foil: finish === 'nonfoil' ? '' : finish,
+      price: finishPrice(card, finish),
+    }),
+  },
+};
+
+const FORMATS = [...Object.keys(TEXT_FORMATS), ...Object.keys(CSV_FORMATS), ...RECORD_FORMATS];
+const FINISHES = ['nonfoil', 'foil', 'etched'];
+
+// One entry per card and finish to print. Without --finish each card appears once in its main
+// finish (nonfoil when it has one); --finish=all lists every finish the card comes in.
+function cardEntries(cards, { finish, quantity }) {
+  return cards.flatMap(card => {
+    const finishes = card.finishes?.length ? card.finishes : ['nonfoil'];
+    let wanted;
+    if (finish === 'all') wanted = finishes;
+    else if (finish) wanted = finishes.filter(f => f === finish);
+    else wanted = [finishes.includes('nonfoil') ? 'nonfoil' : finishes[0]];
+    return wanted.map(f => ({ card, finish: f, quantity }));
+  });
+}
+
+// Structured record for the json/csv/ndjson formats
+function cardRecord({ card, finish, quantity }) {
+  return {
+    quantity,
+    name: card.name,
+    set: card.set.toUpperCase(),
+    collector_number: card.collector_number,
+    scryfall_id: card.id,
+    rarity: card.rarity,
+    lang: card.lang,
+    finish,
+    usd_cents: toCents(card.prices?.usd),
+    usd_foil_cents: toCents(card.prices?.usd_foil),
+  };
+}
+
+// The cards in the chosen text, CSV or record format
+function renderCards(cards, options) {
+  const entries = cardEntries(cards, options);
+  if (RECORD_FORMATS.includes(options.format)) {
+    return renderReport(options.format, { rows: entries.map(cardRecord), columns: RECORD_COLUMNS });
+  }
+  if (CSV_FORMATS[options.format]) {
+    const { columns, row } = CSV_FORMATS[options.format];
+    return toCsv(entries.map(row), columns);
+  }
+  return entries.map(TEXT_FORMATS[options.format]).join('\n');
+}
+
+// Sync state: the Scryfall id and enough of each card to print it again once it has been removed
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const defaultSyncFile = (query, unique) => path.join(SYNC_DIR, `${slugify(query) || 'query'}-${unique}.json`);
+
+function readSyncState(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeSyncState(file, { query, unique, cards }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const state = {
+    query,
+    unique,
+    syncedAt: new Date().toISOString(),
+    cards: cards.map(c => ({
+      id: c.id, name: c.name, layout: c.layout, set: c.set, set_name: c.set_name,
+      collector_number: c.collector_number, rarity: c.rarity, lang: c.lang, finishes: c.finishes,
+    })),
+  };
+  fs.writeFileSync(file, JSON.stringify(state, null, 2), 'utf8');
+}
+
+// Cards in the current result but not the previous one, and the other way round, by Scryfall id
+function diffCards(previousCards, cards) {
+  const previousIds = new Set(previousCards.map(c => c.id));
+  const currentIds = new Set(cards.map(c => c.id));
+  return {
+    added: cards.filter(c => !previousIds.has(c.id)),
+    removed: previousCards.filter(c => !currentIds.has(c.id)),
+    unchanged: cards.filter(c => previousIds.has(c.id)).length,
+  };
+}
+
+// textless.txt -> textless.added.txt
+const withSuffix = (file, suffix) => {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.${suffix}${ext}`;
+};
+
+module.exports = {
+  RECORD_FORMATS, RECORD_COLUMNS, SYNC_DIR, CSV_FORMATS, FORMATS, FINISHES,
+  cardEntries, cardRecord, renderCards,
+  slugify, defaultSyncFile, readSyncState, writeSyncState, diffCards, withSuffix,
+};
@@ -0,0 +1,242 @@
+// CardTrader API v2 client shared by the CLI scripts.
+// Endpoints mirror card_trader_postman_collection.json.
+const path = require('path');
+const { readJsonIfFresh, writeJson } = require('./helpers');
+const { parseRetryAfter, withRetry, createLimiter } = require('./retry');
+
+// Read at call time so scripts can load .env (dotenvx) before creating a client
+const loadConfig = (env = process.env) => {
+  const cacheTtlHours = parseInt(env.CACHE_TTL_HOURS || '168', 10); // default 7 days
+  return {
+    apiUrl: (env.API_URL?.replace(/\/$/, '')) || 'https://api.cardtrader.com/api/v2',
+    token: env.API_TOKEN,
+    vatRate: env.VAT_RATE ? parseFloat(env.VAT_RATE) : 0.22, // default 22%
+    pageLimit: parseInt(env.PAGE_LIMIT || '200', 10),
+    cacheDir: env.CACHE_DIR || path.join(process.cwd(), '.cache'),
+    cacheTtlMs: cacheTtlHours * 60 * 60 * 1000,
+    marketCacheTtlMs: parseInt(env.MARKET_CACHE_TTL_MINUTES || '60', 10) * 60 * 1000,
+    maxRetries: parseInt(env.MAX_RETRIES || '5', 10),
+    retryBaseMs: parseInt(env.RETRY_BASE_MS || '500', 10),
+    retryMaxMs: parseInt(env.RETRY_MAX_MS || '30000', 10),
+    maxConcurrency: parseInt(env.MAX_CONCURRENCY || '4', 10),
+    requestsPerSecond: parseFloat(env.REQUESTS_PER_SECOND || '10'),
+  };
+};
+
+// Pages that still fail after retries are skipped; this many in a row means the API is down
+const MAX_CONSECUTIVE_PAGE_FAILURES = 3;
+
+// Every failed request surfaces as one of these, whatever the endpoint
+class CardTraderError extends Error {
+  constructor(message, { method = null, endpoint = null, status = null, body = null, page = null,
+    retryAfterMs = null, failures = null, partial = null } = {}) {
+    super(message);
+    this.name = 'CardTraderError';
+    this.method = method;
+    this.endpoint = endpoint;
+    this.status = status;
+    this.body = body;
+    this.page = page;
+    this.retryAfterMs = retryAfterMs;
+    this.failures = failures; // [{ page, status, message }] when pagination gave up on some pages
+    this.partial = partial; // items from the pages that did succeed
+  }
+}
+
+// 429 means the request was not processed, so it is always safe to retry.
+// Network errors and 5xx are only retried for methods that don't create anything.
+const isRetryable = (err) => {
+  if (!(err instanceof CardTraderError)) return false;
+  if (err.status === 429) return true;
+  if (err.method === 'POST') return false;
+  return err.status == null || err.status >= 500;
+};
+
+// Default onRetry logger for CLI scripts
+const logRetry = ({ err, attempt, retries, delayMs }) => {
+  process.stderr.write(`${err.message} — retry ${attempt}/${retries} in ${(delayMs / 1000).toFixed(1)}s\n`);
+};
+
+// Some list endpoints (e.g. /games) wrap their result in { array: [...] }
+const asArray = (data) => {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.array)) return data.array;
+  return null;
+};
+
+const buildQuery = (query = {}) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value == null || value === '') continue;
+    params.append(key, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+};
+
+function createClient(options = {}) {
+  const config = { ...loadConfig(), ...options };
+  const { apiUrl, token, pageLimit, cacheDir, cacheTtlMs } = config;
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const schedule = createLimiter({ concurrency: config.maxConcurrency, perSecond: config.requestsPerSecond });
+
+  const send = async (method, endpoint, { query, body, page = null } = {}) => {
+    const context = { method, endpoint, page };
+    let res;
+    try {
+      res = await fetchImpl(`${apiUrl}${endpoint}${buildQuery(query)}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body != null ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      throw new CardTraderError(`${method} ${endpoint} failed: ${err.message}`, context);
+    }
+
+    const text = await res.text();
+    let data = null;
+    if (text) {
+      try { data = JSON.parse(text); } catch (_) { data = text; }
+    }
+    if (!res.ok) {
+      const where = page != null ? ` (page ${page})` : '';
+      throw new CardTraderError(`${method} ${endpoint}${where} failed: ${res.status} ${res.statusText}`,
+        { ...context, status: res.status, body: data, retryAfterMs: parseRetryAfter(res.headers.get('retry-after')) });
+    }
+    return data;
+  };
+
+  // Every call goes through the limiter, one slot per attempt so backoff sleeps don't hold a slot
+  const request = async (method, endpoint, opts = {}) => {
+    if (!token) throw new CardTraderError('Missing API_TOKEN in environment (.env)', { method, endpoint });
+    return withRetry(() => schedule(() => send(method, endpoint, opts)), {
+      retries: config.maxRetries,
+      baseMs: config.retryBaseMs,
+      maxMs: config.retryMaxMs,
+      shouldRetry: isRetryable,
+      onRetry: config.onRetry,
+    });
+  };
+
+  const getList = async (endpoint, query) => {
+    const data = await request('GET', endpoint, { query });
+    const list = asArray(data);
+    if (!list) throw new CardTraderError(`Unexpected response shape from ${endpoint}`, { method: 'GET', endpoint, body: data });
+    return list;
+  };
+
+  // Pages until a short page comes back. stopWhen(item) ends paging early (e.g. orders older than a date).
+  // A page that still fails after retries is recorded and skipped; the final error lists every failed page.
+  const paginate = async (endpoint, query = {}, { stopWhen, onPage } = {}) => {
+    const all = [];
+    const failures = [];
+    let consecutiveFailures = 0;
+    for (let page = 1; ; page++) {
+      let data;
+      try {
+        data = await request('GET', endpoint, { query: { ...query, page, limit: pageLimit }, page });
+        consecutiveFailures = 0;
+      } catch (err) {
+        if (!isRetryable(err)) throw err;
+        failures.push({ page, status: err.status, message: err.message });
+        if (++consecutiveFailures >= MAX_CONSECUTIVE_PAGE_FAILURES) break;
+        continue;
+      }
+      if (!Array.isArray(data)) {
+        throw new CardTraderError(`Unexpected response shape from ${endpoint} (page ${page})`,
+          { method: 'GET', endpoint, page, body: data });
+      }
+      let stopped = false;
+      for (const item of data) {
+        if (stopWhen && stopWhen(item)) { stopped = true; break; }
+        all.push(item);
+      }
+      if (onPage) onPage({ page, count: data.length, total: all.length });
+      if (stopped || data.length < pageLimit) break;
+    }
+
+    if (failures.length > 0) {
+      const list = failures.map(f => `page ${f.page} (${f.status ?? 'network error'})`).join(', ');
+      throw new CardTraderError(`GET ${endpoint}: ${failures.length} page(s) failed after retries: ${list}`,
+        { method: 'GET', endpoint, failures, partial: all });
+    }
+    return all;
+  };
+
+  // JSON file cache under CACHE_DIR keyed by name; pass { cache: false } on a method to bypass
+  const cached = async (name, loader, { cache = true, ttlMs = cacheTtlMs } = {}) => {
+    const file = path.join(cacheDir, `${name}.json`);
+    if (cache) {
+      const hit = readJsonIfFresh(file, ttlMs);
+      if (hit != null) return hit;
+    }
+    const data = await loader();
+    if (data != null) writeJson(file, data);
+    return data;
+  };
+
+  return {
+    config,
+    request,
+    paginate,
+    cached,
+
+    // Reference data
+    info: () => request('GET', '/info'),
+    games: (opts) => cached('games', () => getList('/games'), opts),
+    categories: (opts) => cached('categories', () => getList('/categories'), opts),
+    expansions: (opts) => cached('expansions', () => getList('/expansions'), opts),
+    blueprints: (expansionId) => getList('/blueprints/export', { expansion_id: expansionId }),
+
+    // Marketplace responses are keyed by blueprint id; flatten them into one list
+    marketplaceProducts: async ({ expansionId, blueprintId } = {}) => {
+      const data = await request('GET', '/marketplace/products', {
+        query: { expansion_id: expansionId, blueprint_id: blueprintId }
+      });
+      if (Array.isArray(data)) return data;
+      return Object.values(data || {}).flat();
+    },
+
+    // Own inventory
+    exportProducts: (opts) => paginate('/products/export', {}, opts),
+    createProduct: (product) => request('POST', '/products', { body: product }),
+    updateProduct: (id, changes) => request('PUT', `/products/${id}`, { body: changes }),
+    deleteProduct: (id) => request('DELETE', `/products/${id}`),
+    incrementProduct: (id, deltaQuantity) =>
+      request('POST', `/products/${id}/increment`, { body: { delta_quantity: deltaQuantity } }),
+    bulkCreate: (products) => request('POST', '/products/bulk_create', { body: { products } }),
+    bulkUpdate: (products) => request('POST', '/products/bulk_update', { body: { products } }),
+    bulkDestroy: (products) => request('POST', '/products/bulk_destroy', { body: { products } }),
+    job: (jobId) => request('GET', `/jobs/${jobId}`),
+
+    // Orders (newest first unless another sort is given)
+    orders: ({ sort = 'date.desc', from, to, ...opts } = {}) => paginate('/orders', { sort, from, to }, opts),
+    order: (id) => request('GET', `/orders/${id}`),
+    requestCancellation: (id, cancelExplanation, relistIfCancelled = false) =>
+      request('PUT', `/orders/${id}/request-cancellation`, {
+        body: { cancel_explanation: cancelExplanation, relist_if_cancelled: relistIfCancelled }
+      }),
+    confirmCancellation: (id, relistIfCancelled = false) =>
+      request('PUT', `/orders/${id}/confirm-cancellation`, { body: { relist_if_cancelled: relistIfCancelled } }),
+
+    // Cart
+    cart: () => request('GET', '/cart'),
+    cartAdd: (productId, quantity = 1, viaCardTraderZero = false) =>
+      request('POST', '/cart/add', {
+        body: { product_id: productId, quantity, via_cardtrader_zero: viaCardTraderZero }
+      }),
+    cartRemove: (productId, quantity = 1) =>
+      request('POST', '/cart/remove', { body: { product_id: productId, quantity } }),
+    cartPurchase: () => request('POST', '/cart/purchase', { body: {} }),
+    shippingMethods: (username) => request('GET', '/shipping_methods', { query: { username } }),
+
+    // CardTrader Zero box
+    ct0BoxItems: () => getList('/ct0_box_items'),
+    ct0BoxItem: (id) => request('GET', `/ct0_box_items/${id}`),
+  };
+}
+
+module.exports = { createClient, loadConfig, CardTraderError, isRetryable, logRetry };
@@ -0,0 +1,124 @@
+// Purchase plans for a decklist: which marketplace listings to buy so every line is covered for the
+// lowest total of card prices plus shipping. Listings of CardTrader Zero sellers are bought through
+// CardTrader Zero and ship together for one ctzShippingCents; every other seller ships separately.
+//
+// Finding the true optimum is a set-cover problem, so the plan is built greedily: every unit from the
+// cheapest listing first, then direct sellers are dropped one at a time (best saving first) while
+// buying their cards elsewhere costs less than their shipping.
+const { getPriceCents } = require('./helpers');
+const { getVariant, isCardTraderZero } = require('./market');
+const { CONDITIONS } = require('./filter');
+
+const CTZ = 'CardTrader Zero';
+
+const sellerKey = (listing) => (isCardTraderZero(listing) ? CTZ : listing.user?.username || `user ${listing.user?.id}`);
+
+// Listings that satisfy a wanted line, cheapest first. minCondition is an index into CONDITIONS
+// (worst to best); languages null means any language.
+function eligibleOffers(want, listingsByBlueprint, { minCondition = 0, languages = null, ctzOnly = false } = {}) {
+  return want.blueprints
+    .flatMap(bp => listingsByBlueprint.get(bp.id) || [])
+    .filter(listing => {
+      const variant = getVariant(listing);
+      return (listing.quantity ?? 1) > 0
+        && !listing.on_vacation
+        && variant.foil === want.line.foil
+        && CONDITIONS.indexOf(variant.condition) >= minCondition
+        && (!languages || languages.includes(variant.language))
+        && (!ctzOnly || isCardTraderZero(listing));
+    })
+    .sort((a, b) => getPriceCents(a) - getPriceCents(b));
+}
+
+// Fills every want from its cheapest offers, sharing each listing's stock between wants.
+// allowed limits the sellers (sellerKey values) that may be used.
+function allocate(wants, allowed = null) {
+  const remaining = new Map(); // listing id -> units left
+  const picks = []; // [{ want, listing, quantity }]
+  const missing = []; // [{ want, quantity }]
+  for (const want of wants) {
+    let needed = want.line.quantity;
+    for (const listing of want.offers) {
+      if (needed === 0) break;
+      if (allowed && !allowed.has(sellerKey(listing))) continue;
+      const left = remaining.get(listing.id) ?? (listing.quantity ?? 1);
+      const take = Math.min(left, needed);
+      if (take <= 0) continue;
+      remaining.set(listing.id, left - take);
+      picks.push({ want, listing, quantity: take });
+      needed -= take;
+    }
+    if (needed > 0) missing.push({ want, quantity: needed });
+  }
+  return { picks, missing };
+}
+
+// Per-seller subtotals and shipping, and the plan's totals
+function summarize({ picks, missing }, { shippingCents = new Map(), defaultShippingCents = 0, ctzShippingCents = 0 } = {}) {
+  const sellers = new Map();
+  for (const pick of picks) {
+    const key = sellerKey(pick.listing);
+    if (!sellers.has(key)) {
+      const ctz = key === CTZ;
+      const known = ctz ? ctzShippingCents : shippingCents.get(key);
+      sellers.set(key, {
+        seller: key,
+        via: ctz ? 'ctz' : 'direct',
+        items: 0,
+        subtotalCents: 0,
+        shippingCents: known ?? defaultShippingCents,
+        shippingEstimated: known == null,
+      });
+    }
+    const seller = sellers.get(key);
+    seller.items += pick.quantity;
+    seller.subtotalCents += getPriceCents(pick.listing) * pick.quantity;
+  }
+  const list = [...sellers.values()].sort((a, b) => b.subtotalCents - a.subtotalCents);
+  const itemsCents = list.reduce((sum, s) => sum + s.subtotalCents, 0);
+  const shippingTotal = list.reduce((sum, s) => sum + s.shippingCents, 0);
+  return {
+    picks,
+    missing,
+    sellers: list,
+    itemsCents,
+    shippingCents: shippingTotal,
+    totalCents: itemsCents + shippingTotal,
+  };
+}
+
+const missingUnits = (plan) => plan.missing.reduce((sum, m) => sum + m.quantity, 0);
+
+// The cheapest plan found; options are summarize's. Dropping a seller never leaves more cards uncovered.
+function planPurchase(wants, options = {}) {
+  let plan = allocate(wants);
+  let cost = summarize(plan, options).totalCents;
+  const uncovered = missingUnits(plan);
+  for (;;) {
+    const used = new Set(plan.picks.map(p => sellerKey(p.listing)));
+    let best = null;
+    for (const seller of used) {
+      if (seller === CTZ) continue;
+      const allowed = new Set([...used, CTZ].filter(s => s !== seller));
+      const trial = allocate(wants, allowed);
+      if (missingUnits(trial) > uncovered) continue;
+      const trialCost = summarize(trial, options).totalCents;
+      if (trialCost < (best ? best.cost : cost)) best = { plan: trial, cost: trialCost };
+    }
+    if (!best) return summarize(plan, options);
+    plan = best.plan;
+    cost = best.cost;
+  }
+}
+
+// Cheapest shipping method a seller offers (/shipping_methods?username=), or null when none has a price
+const cheapestShippingCents = (methods) => {
+  const list = Array.isArray(methods) ? methods : methods?.array || [];
+  const prices = list
+    .flatMap(m => [m, ...(m.shipping_method_costs || [])])
+    .filter(m => m.price_cents != null || m.price != null)
+    .map(getPriceCents);
+  return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+module.exports = { CTZ, sellerKey, eligibleOffers, allocate, summarize, planPurchase, cheapestShippingCents };
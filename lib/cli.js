@@ -0,0 +1,40 @@
+// Command line parsing shared by the CLI scripts: `--key=value`, bare `--flag` and positional arguments.
+
+const parseArgs = (argv = process.argv.slice(2)) => {
+  const flags = {};
+  const positional = [];
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      if (eq === -1) flags[arg.slice(2)] = true;
+      else flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { flags, positional };
+};
+
+// Integer flag value or the fallback; exits with a message when the value isn't a number
+const intFlag = (flags, name, fallback = null) => {
+  if (flags[name] == null || flags[name] === true) return fallback;
+  const value = parseInt(flags[name], 10);
+  if (Number.isNaN(value)) {
+    console.error(`--${name} must be a number (got "${flags[name]}")`);
+    process.exit(1);
+  }
+  return value;
+};
+
+// Money flag in cents (150) or dollars ($1.50); exits with a message on anything else
+const centsFlag = (flags, name, fallback = null) => {
+  if (flags[name] == null || flags[name] === true) return fallback;
+  const value = String(flags[name]);
+  const dollars = /^\$(\d+(?:\.\d{1,2})?)$/.exec(value);
+  if (dollars) return Math.round(parseFloat(dollars[1]) * 100);
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  console.error(`--${name} must be cents (150) or dollars ($1.50) (got "${value}")`);
+  process.exit(1);
+};
+
+module.exports = { parseArgs, intFlag, centsFlag };
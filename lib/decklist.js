@@ -0,0 +1,93 @@
+// Decklists in the Moxfield/MTGO/Arena text formats (what scryfall-to-moxfield.js writes), resolved to
+// CardTrader blueprints: "1 Card Name (SET) 123 *F*", "4x Card Name", "Card Name". Lines with a set are
+// matched within that expansion by collector number, then name; lines without one by name within the
+// expansions the caller passes as fallbackExpansions.
+
+// "1 Card Name (SET) 123 *F*", "1x Card Name", "Card Name"
+const DECKLIST_LINE = /^(?:(\d+)x?\s+)?(.+?)(?:\s+[([]([A-Za-z0-9]+)[)\]](?:\s+([^\s*]+))?)?(?:\s+\*([FE])\*)?$/;
+const SECTION_HEADER = /^(deck|sideboard|commander|companion|maybeboard|about|name .*)$/i;
+
+// One entry per card line; quantities of repeated lines are kept separate so each maps back to its line
+function parseDecklist(text) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('//') || line.startsWith('#') || SECTION_HEADER.test(line)) return;
+    const m = DECKLIST_LINE.exec(line);
+    if (!m) return;
+    lines.push({
+      lineNumber: i + 1,
+      raw: line,
+      quantity: m[1] ? parseInt(m[1], 10) : 1,
+      name: m[2].trim(),
+      setCode: m[3] ? m[3].toLowerCase() : null,
+      collectorNumber: m[4] || null,
+      foil: Boolean(m[5]),
+    });
+  });
+  return lines;
+}
+
+const normalizeName = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim();
+const normalizeNumber = (n) => String(n).trim().toLowerCase().replace(/^0+(?=\w)/, '');
+
+// Scryfall names double-faced cards "Front // Back"; CardTrader may use the front face only
+const nameMatches = (blueprint, name) => {
+  const n = normalizeName(name);
+  const b = normalizeName(blueprint.name || '');
+  return b === n || b === n.split(' // ')[0] || b.split(' // ')[0] === n;
+};
+
+const collectorNumber = (blueprint) => blueprint.fixed_properties?.collector_number ?? null;
+
+// Candidate blueprints for one line within blueprints; a string is the reason nothing matched.
+// Every printing with the line's name is a candidate when no collector number narrows it down.
+function matchBlueprints(line, blueprints) {
+  if (line.collectorNumber) {
+    const number = normalizeNumber(line.collectorNumber);
+    const numbered = blueprints.filter(b => collectorNumber(b) != null && normalizeNumber(collectorNumber(b)) === number);
+    const named = numbered.filter(b => nameMatches(b, line.name));
+    if (named.length > 0) return named;
+    if (numbered.length === 1) return numbered;
+  }
+  const named = blueprints.filter(b => nameMatches(b, line.name));
+  return named.length > 0 ? named : `no card named "${line.name}"`;
+}
+
+// Singles categories of a game ("Magic Single Card", ...), to leave sealed product and accessories out
+const singlesCategoryIds = (categories, gameId) =>
+  new Set(categories.filter(c => c.game_id === gameId && /\bsingles?\b/i.test(c.name || '')).map(c => c.id));
+
+// Resolves parsed lines to { line, blueprints } or { line, reason }. Blueprints are loaded once per
+// expansion through the client's cache.
+function createBlueprintResolver(client, { expansions, categories = [], gameId, fallbackExpansions = [] }) {
+  const singles = singlesCategoryIds(categories, gameId);
+  const loaded = new Map(); // expansion id -> Promise of blueprints
+  const blueprintsOf = (expansion) => {
+    if (!loaded.has(expansion.id)) {
+      loaded.set(expansion.id, client.cached(`blueprints/${expansion.id}`, () => client.blueprints(expansion.id))
+        .then(list => (singles.size > 0 ? list.filter(b => singles.has(b.category_id)) : list)));
+    }
+    return loaded.get(expansion.id);
+  };
+  const expansionFor = (code) => {
+    const matches = expansions.filter(e => String(e.code || '').toLowerCase() === code);
+    return matches.find(e => e.game_id === gameId) ?? matches[0] ?? null;
+  };
+
+  return async (line) => {
+    let pool;
+    if (line.setCode) {
+      const expansion = expansionFor(line.setCode);
+      if (!expansion) return { line, reason: `unknown set ${line.setCode.toUpperCase()}` };
+      pool = await blueprintsOf(expansion);
+    } else {
+      if (fallbackExpansions.length === 0) return { line, reason: 'no set on the line (pass --sets to search by name)' };
+      pool = (await Promise.all(fallbackExpansions.map(blueprintsOf))).flat();
+    }
+    const match = matchBlueprints(line, pool);
+    return typeof match === 'string' ? { line, reason: match } : { line, blueprints: match };
+  };
+}
+
+module.exports = { parseDecklist, matchBlueprints, singlesCategoryIds, createBlueprintResolver };
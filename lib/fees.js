@@ -0,0 +1,58 @@
+// CardTrader seller fees: CardTrader Zero (CTZ) 8%, regular/direct sales (CTR) 15%, plus VAT on the fee.
+const { getItemPriceCents } = require('./helpers');
+
+const CTZ_RATE = 0.08;
+const CTR_RATE = 0.15;
+
+// Net = total - fee - VAT on fee = total * (1 - feeRate * (1 + vatRate))
+const netAfterFees = (totalCents, feeRate, vatRate) => {
+  const effectiveMultiplier = 1 - (feeRate * (1 + vatRate));
+  return Math.max(0, Math.round(totalCents * effectiveMultiplier));
+};
+
+const getOrderItems = (order) => order.order_items || order.items || [];
+
+const isCardTraderZeroOrder = (order) => Boolean(order.via_cardtrader_zero);
+
+// Cancelled orders and purchases (order_as: 'buyer') are not revenue
+const isSale = (order) => {
+  if (order.order_as && order.order_as !== 'seller') return false;
+  if (order.cancelled_at || /cancel/i.test(order.state || '')) return false;
+  return true;
+};
+
+// Per-order payout: items at their seller prices plus the shipping the buyer paid on direct orders
+// (order_shipping_method.seller_price, which is income), minus the fee CardTrader reports on the order
+// (or the modeled CTZ/CTR rate on the items when it doesn't), VAT on that fee, and shippingCents as the
+// seller's own postage cost per direct order. CardTrader Zero orders ship through the hub, so neither
+// shipping income nor cost applies to them.
+function orderProfit(order, { vatRate, shippingCents = 0 }) {
+  const ctz = isCardTraderZeroOrder(order);
+  const itemsCents = getOrderItems(order).reduce((sum, item) => sum + getItemPriceCents(item) * (item.quantity ?? 1), 0);
+  const shippingIncomeCents = ctz ? 0 : (order.order_shipping_method?.seller_price?.cents ?? 0);
+  const grossCents = itemsCents + shippingIncomeCents;
+  const reportedFee = order.seller_fee_amount?.cents ?? order.fee_amount?.cents;
+  const feeCents = reportedFee ?? Math.round(itemsCents * (ctz ? CTZ_RATE : CTR_RATE));
+  const vatCents = Math.round(feeCents * vatRate);
+  const shippingCostCents = ctz ? 0 : shippingCents;
+  return {
+    ctz,
+    itemsCents,
+    shippingIncomeCents,
+    grossCents,
+    feeCents,
+    vatCents,
+    shippingCents: shippingCostCents,
+    netCents: grossCents - feeCents - vatCents - shippingCostCents,
+  };
+}
+
+module.exports = {
+  CTZ_RATE,
+  CTR_RATE,
+  netAfterFees,
+  getOrderItems,
+  isCardTraderZeroOrder,
+  isSale,
+  orderProfit,
+};
@@ -0,0 +1,300 @@
+// Filter expressions over /products/export products, e.g. `price>=50 and foil and expansion:MH3`.
+//
+//   expr   := term (and|or term)*, with `not`/`!` and parentheses; adjacent terms mean `and`
+//   term   := field OP value | field:value | field:low..high | bare flag (foil, signed, altered, ...)
+//   OP     := > >= < <= = !=     (`:` is equality, or a range with `..`)
+//
+// price is in cents unless written as dollars ($1.50); age is days unless suffixed with d, w, m or y.
+// condition accepts NM/SP/MP/PL/PO abbreviations and compares by grade (condition>=SP).
+// name takes a substring or a /regex/flags; values with spaces go in double quotes.
+const { getPriceCents, getCategoryName, buildCategoryMap } = require('./helpers');
+const { getProperties, getVariant } = require('./market');
+
+class FilterError extends Error {
+  constructor(message, position = null) {
+    super(position != null ? `${message} (at character ${position + 1})` : message);
+    this.name = 'FilterError';
+    this.position = position;
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+// Worst to best, so comparisons read naturally: condition>=SP is Slightly Played or better
+const CONDITIONS = ['Poor', 'Played', 'Moderately Played', 'Slightly Played', 'Near Mint', 'Mint'];
+const CONDITION_ALIASES = { po: 'Poor', hp: 'Poor', pl: 'Played', mp: 'Moderately Played', sp: 'Slightly Played', nm: 'Near Mint', m: 'Mint' };
+
+const FIELD_ALIASES = { qty: 'quantity', lang: 'language', set: 'expansion', cat: 'category' };
+const FIELDS = ['price', 'quantity', 'condition', 'language', 'foil', 'game', 'category', 'expansion', 'name', 'age'];
+
+// ─── Tokenizer ─────────────────────────────────────────────────────────────
+const OPERATORS = ['>=', '<=', '!=', '>', '<', '=', ':'];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  const readValue = () => {
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new FilterError('Unterminated quote', i);
+      const value = text.slice(i + 1, end);
+      i = end + 1;
+      return { value, quoted: true };
+    }
+    if (text[i] === '/') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '/') j += text[j] === '\\' ? 2 : 1;
+      if (j >= text.length) throw new FilterError('Unterminated regular expression', i);
+      const flags = /^[a-z]*/.exec(text.slice(j + 1))[0];
+      const regex = { source: text.slice(i + 1, j), flags };
+      i = j + 1 + flags.length;
+      return { regex };
+    }
+    const start = i;
+    while (i < text.length && !/[\s()]/.test(text[i])) i++;
+    return { value: text.slice(start, i) };
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ type: ch, position: i++ }); continue; }
+    if (ch === '!' && text[i + 1] !== '=') { tokens.push({ type: 'not', position: i++ }); continue; }
+    const position = i;
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+    if (!word) throw new FilterError(`Unexpected "${ch}"`, i);
+    i += word[0].length;
+    const op = OPERATORS.find(o => text.startsWith(o, i));
+    if (!op) {
+      const keyword = word[0].toLowerCase();
+      tokens.push(['and', 'or', 'not'].includes(keyword) ? { type: keyword, position } : { type: 'flag', name: keyword, position });
+      continue;
+    }
+    i += op.length;
+    if (i >= text.length || /[\s()]/.test(text[i])) throw new FilterError(`Missing value after ${word[0]}${op}`, i);
+    tokens.push({ type: 'term', field: word[0].toLowerCase(), op, ...readValue(), position });
+  }
+  return tokens;
+}
+
+// ─── Value parsing ─────────────────────────────────────────────────────────
+const parsePrice = (value, position) => {
+  const dollars = /^\$(\d+(?:\.\d{1,2})?)$/.exec(value);
+  if (dollars) return Math.round(parseFloat(dollars[1]) * 100);
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  throw new FilterError(`Invalid price "${value}": use cents (150) or dollars ($1.50)`, position);
+};
+
+const parseInteger = (value, position) => {
+  if (!/^\d+$/.test(value)) throw new FilterError(`Invalid number "${value}"`, position);
+  return parseInt(value, 10);
+};
+
+const parseAgeDays = (value, position) => {
+  const match = /^(\d+)([dwmy]?)$/i.exec(value);
+  if (!match) throw new FilterError(`Invalid age "${value}": use days (30) or 30d, 6w, 3m, 1y`, position);
+  return parseInt(match[1], 10) * AGE_UNITS[(match[2] || 'd').toLowerCase()];
+};
+
+const parseCondition = (value, position) => {
+  const lower = value.toLowerCase();
+  const name = CONDITION_ALIASES[lower] || CONDITIONS.find(c => c.toLowerCase() === lower);
+  if (!name) throw new FilterError(`Unknown condition "${value}": use ${Object.keys(CONDITION_ALIASES).join(', ').toUpperCase()} or the full name`, position);
+  return CONDITIONS.indexOf(name);
+};
+
+const compare = (actual, op, expected) => {
+  if (actual == null) return op === '!=';
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+};
+
+// Numeric field: OP value, or field:low..high (either side optional)
+const numericTerm = (token, parse, read) => {
+  const range = token.op === ':' && token.value.includes('..') ? token.value.split('..') : null;
+  if (range) {
+    if (range.length !== 2) throw new FilterError(`Invalid range "${token.value}": use low..high`, token.position);
+    const low = range[0] ? parse(range[0], token.position) : null;
+    const high = range[1] ? parse(range[1], token.position) : null;
+    return (p, ctx) => {
+      const v = read(p, ctx);
+      return v != null && (low == null || v >= low) && (high == null || v <= high);
+    };
+  }
+  const expected = parse(token.value, token.position);
+  return (p, ctx) => compare(read(p, ctx), token.op, expected);
+};
+
+// Text field: equality (case-insensitive) or, for `:`, a substring or regex where noted
+const textTerm = (token, read, { substring = false } = {}) => {
+  if (!['=', ':', '!='].includes(token.op)) throw new FilterError(`${token.field} only supports :, = and !=`, token.position);
+  let test;
+  if (token.regex) {
+    let re;
+    try { re = new RegExp(token.regex.source, token.regex.flags.replace(/[gy]/g, '')); } catch (err) { throw new FilterError(err.message, token.position); }
+    test = (values) => values.some(v => re.test(v));
+  } else {
+    const wanted = token.value.toLowerCase();
+    test = (values) => values.some(v => (substring ? v.toLowerCase().includes(wanted) : v.toLowerCase() === wanted));
+  }
+  return (p, ctx) => {
+    const values = read(p, ctx).filter(v => v != null && v !== '').map(String);
+    return token.op === '!=' ? !test(values) : test(values);
+  };
+};
+
+// ─── Product accessors ─────────────────────────────────────────────────────
+const productName = (p) => p.name_en || p.name || p.blueprint?.name || '';
+
+const productExpansion = (p, ctx) => {
+  const id = p.expansion?.id ?? p.expansion_id;
+  return (id != null && ctx.expansionsById?.get(id)) || p.expansion || null;
+};
+
+const productGameId = (p, ctx) => p.game_id ?? p.blueprint?.game_id ?? productExpansion(p, ctx)?.game_id
+  ?? ctx.categoryGameIds?.get(p.category_id) ?? null;
+
+const listedAt = (p) => {
+  const t = p.created_at ? new Date(p.created_at).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+// Bare words: foil and any boolean property (signed, altered, first_edition, ...)
+const flagTerm = (token) => {
+  if (token.name === 'foil') return (p) => getVariant(p).foil;
+  return (p) => {
+    const props = getProperties(p);
+    const key = Object.keys(props).find(k => k === token.name || k.endsWith(`_${token.name}`));
+    return key ? Boolean(props[key]) : false;
+  };
+};
+
+function compileTerm(token) {
+  const field = FIELD_ALIASES[token.field] || token.field;
+  if (!FIELDS.includes(field)) throw new FilterError(`Unknown field "${token.field}": use ${FIELDS.join(', ')}`, token.position);
+  if (token.regex && field !== 'name') throw new FilterError(`Regular expressions only work with name`, token.position);
+  switch (field) {
+    case 'price':
+      return numericTerm(token, parsePrice, (p) => getPriceCents(p));
+    case 'quantity':
+      return numericTerm(token, parseInteger, (p) => p.quantity ?? 1);
+    case 'age':
+      return numericTerm(token, parseAgeDays, (p, ctx) => {
+        const t = listedAt(p);
+        return t == null ? null : Math.floor((ctx.now - t) / DAY_MS);
+      });
+    case 'condition':
+      return numericTerm(token, parseCondition, (p) => {
+        const index = CONDITIONS.indexOf(getVariant(p).condition);
+        return index === -1 ? null : index;
+      });
+    case 'foil': {
+      const wanted = /^(yes|true|1)$/i.test(token.value);
+      if (!wanted && !/^(no|false|0)$/i.test(token.value)) throw new FilterError(`foil takes yes or no`, token.position);
+      const test = (p) => getVariant(p).foil === wanted;
+      return token.op === '!=' ? (p) => !test(p) : test;
+    }
+    case 'language':
+      return textTerm(token, (p) => [getVariant(p).language]);
+    case 'expansion':
+      return textTerm(token, (p, ctx) => {
+        const exp = productExpansion(p, ctx);
+        return exp ? [exp.id, exp.code, exp.name, exp.name_en] : [];
+      });
+    case 'category':
+      return textTerm(token, (p, ctx) => [p.category_id, getCategoryName(p, ctx.categoryMap)], { substring: true });
+    case 'game':
+      return textTerm(token, (p, ctx) => {
+        const id = productGameId(p, ctx);
+        return id == null ? [] : [id, ...(ctx.gameNames?.get(id) || [])];
+      }, { substring: true });
+    case 'name':
+      return textTerm(token, (p) => [productName(p)], { substring: true });
+  }
+}
+
+// ─── Parser ────────────────────────────────────────────────────────────────
+function parseFilter(text) {
+  const tokens = tokenize(text || '');
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsTerm = (t) => t && ['term', 'flag', 'not', '('].includes(t.type);
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.type === 'or') {
+      pos++;
+      const a = left;
+      const b = parseAnd();
+      left = (p, ctx) => a(p, ctx) || b(p, ctx);
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek()?.type === 'and' || startsTerm(peek())) {
+      if (peek().type === 'and') pos++;
+      const a = left;
+      const b = parseNot();
+      left = (p, ctx) => a(p, ctx) && b(p, ctx);
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (peek()?.type === 'not') {
+      pos++;
+      const inner = parseNot();
+      return (p, ctx) => !inner(p, ctx);
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new FilterError('Unexpected end of filter');
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw new FilterError('Missing )', token.position);
+      pos++;
+      return inner;
+    }
+    if (token.type === 'term') return compileTerm(token);
+    if (token.type === 'flag') return flagTerm(token);
+    throw new FilterError(`Unexpected "${token.type}"`, token.position);
+  };
+
+  if (tokens.length === 0) return () => true;
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new FilterError(`Unexpected "${tokens[pos].type}"`, tokens[pos].position);
+  return predicate;
+}
+
+// Lookups the game/category/expansion fields need: category names, game names and expansions by id
+const buildFilterContext = ({ categoryMap = new Map(), categories = [], games = [], expansions = [] } = {}) => ({
+  categoryMap,
+  categoryGameIds: new Map(categories.map(c => [c.id, c.game_id])),
+  gameNames: new Map(games.map(g => [g.id, [g.name, g.display_name].filter(Boolean)])),
+  expansionsById: new Map(expansions.map(e => [e.id, e])),
+  now: Date.now(),
+});
+
+// Loads the reference data for buildFilterContext through the client's cache. Each list is optional:
+// a failed fetch only means game:/category:/expansion: fall back to what the products embed.
+const loadFilterContext = async (client) => {
+  const load = async (fn) => { try { return await fn(); } catch (_) { return []; } };
+  const categories = await load(() => client.categories());
+  return buildFilterContext({
+    categoryMap: buildCategoryMap(categories),
+    categories,
+    games: await load(() => client.games()),
+    expansions: await load(() => client.expansions()),
+  });
+};
+
+module.exports = { FilterError, FIELDS, CONDITIONS, parseCondition, parseFilter, buildFilterContext, loadFilterContext };
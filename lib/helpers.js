@@ -0,0 +1,71 @@
+// Formatting and JSON file cache helpers shared by the CLI scripts.
+const fs = require('fs');
+const path = require('path');
+
+// Prices are handled as integer cents everywhere; format only for display
+const formatUSDFromCents = (cents) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format((cents ?? 0) / 100);
+
+// Products expose price_cents, a { cents } object or a float price depending on the endpoint
+const getPriceCents = (p) => {
+  if (p.price_cents != null) return p.price_cents;
+  if (p.price?.cents != null) return p.price.cents;
+  return typeof p.price === 'number' ? Math.round(p.price * 100) : 0;
+};
+
+// Order items carry the seller-side price separately from the buyer price
+const getItemPriceCents = (item) => item.seller_price?.cents ?? getPriceCents(item);
+
+// Map of category id -> name built from /categories
+const buildCategoryMap = (categories) => {
+  const categoryMap = new Map();
+  for (const c of categories || []) {
+    const id = c.id ?? c.category_id;
+    const name = c.name ?? c.title;
+    if (id != null && name) categoryMap.set(id, name);
+  }
+  return categoryMap;
+};
+
+// Prefer the /categories name for product.category_id, fall back to fields embedded in the product
+const getCategoryName = (p, categoryMap = new Map()) => {
+  if (p.category_id != null && categoryMap.size > 0) {
+    const mapped = categoryMap.get(p.category_id);
+    if (mapped) return mapped;
+  }
+  return p.category?.name
+    || p.category
+    || p.blueprint?.category_name
+    || 'Uncategorized';
+};
+
+const ensureDir = (dir) => {
+  try { fs.mkdirSync(dir, { recursive: true }); } catch (_) {}
+};
+
+// Returns null if the file is stale, missing or unreadable
+const readJsonIfFresh = (file, ttlMs) => {
+  try {
+    const stat = fs.statSync(file);
+    if (ttlMs != null && Date.now() - stat.mtimeMs > ttlMs) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) { return null; }
+};
+
+const writeJson = (file, data) => {
+  try {
+    ensureDir(path.dirname(file));
+    fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+  } catch (_) {}
+};
+
+module.exports = {
+  formatUSDFromCents,
+  getPriceCents,
+  getItemPriceCents,
+  buildCategoryMap,
+  getCategoryName,
+  ensureDir,
+  readJsonIfFresh,
+  writeJson,
+};
@@ -0,0 +1,94 @@
+// Marketplace helpers: compare listings of the same printing variant and summarize competitor prices.
+const { getPriceCents } = require('./helpers');
+
+// Export and marketplace products expose properties as properties_hash; bulk payloads use properties
+const getProperties = (p) => p.properties_hash || p.properties || {};
+
+// Language and foil keys are game-prefixed (mtg_language, pokemon_language, mtg_foil, ...)
+const findProperty = (props, suffix) => {
+  const key = Object.keys(props).find(k => k === suffix.slice(1) || k.endsWith(suffix));
+  return key ? props[key] : undefined;
+};
+
+const getVariant = (p) => {
+  const props = getProperties(p);
+  return {
+    condition: props.condition ?? null,
+    language: findProperty(props, '_language') ?? null,
+    foil: Boolean(findProperty(props, '_foil')),
+  };
+};
+
+// Same blueprint is assumed; compares condition, language and foil
+const sameVariant = (a, b) => {
+  const va = getVariant(a);
+  const vb = getVariant(b);
+  return va.condition === vb.condition && va.language === vb.language && va.foil === vb.foil;
+};
+
+const isCardTraderZero = (listing) => Boolean(listing.user?.can_sell_via_hub);
+
+// Competing listings for one of our products: same variant, not ours, optionally CardTrader Zero sellers only
+const competitorsFor = (product, listings, { ownIds = new Set(), ctzOnly = false } = {}) =>
+  listings.filter(l =>
+    !ownIds.has(l.id)
+    && (l.quantity ?? 1) > 0
+    && !l.on_vacation
+    && sameVariant(product, l)
+    && (!ctzOnly || isCardTraderZero(l))
+  );
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+const priceStats = (listings) => {
+  const prices = listings.map(getPriceCents);
+  return {
+    count: listings.length,
+    minCents: prices.length ? Math.min(...prices) : null,
+    medianCents: median(prices),
+  };
+};
+
+// Fetches marketplace listings for each blueprint id; requests run through the client's limiter.
+// A blueprint that still fails after retries is reported in failures instead of aborting the batch.
+// With ttlMs, listings are cached per blueprint under CACHE_DIR/marketplace so repeated runs skip
+// the request; pass refresh to re-fetch anyway. cacheHits counts blueprints served from the cache.
+const fetchListingsByBlueprint = async (client, blueprintIds, { onProgress, ttlMs = null, refresh = false } = {}) => {
+  const ids = [...new Set(blueprintIds)];
+  const listings = new Map();
+  const failures = [];
+  let done = 0;
+  let cacheHits = 0;
+  await Promise.all(ids.map(async (blueprintId) => {
+    try {
+      if (ttlMs == null) {
+        listings.set(blueprintId, await client.marketplaceProducts({ blueprintId }));
+      } else {
+        let fetched = false;
+        const loader = () => { fetched = true; return client.marketplaceProducts({ blueprintId }); };
+        listings.set(blueprintId, await client.cached(`marketplace/${blueprintId}`, loader, { cache: !refresh, ttlMs }));
+        if (!fetched) cacheHits++;
+      }
+    } catch (err) {
+      failures.push({ blueprintId, message: err.message });
+    }
+    if (onProgress) onProgress({ done: ++done, total: ids.length });
+  }));
+  return { listings, failures, cacheHits };
+};
+
+module.exports = {
+  getProperties,
+  getVariant,
+  sameVariant,
+  isCardTraderZero,
+  competitorsFor,
+  median,
+  priceStats,
+  fetchListingsByBlueprint,
+};
@@ -0,0 +1,151 @@
+// Resolves order items to canonical expansion and blueprint ids so every sales report groups them the same way.
+// Order items carry blueprint_id and game_id but name their expansion only by display name, which repeats
+// across games and reprints. Items are matched by expansion id, then a cached blueprint -> expansion index,
+// then expansion code or name within the item's game; ambiguous names are settled by loading the
+// candidates' blueprints. Anything left over is returned as unmatched instead of being dropped silently.
+const path = require('path');
+const { getItemPriceCents, readJsonIfFresh, writeJson } = require('./helpers');
+const { getOrderItems } = require('./fees');
+
+const itemBlueprintId = (item) => item.blueprint_id ?? item.blueprint?.id ?? null;
+const itemExpansionName = (item) => (typeof item.expansion === 'string' ? item.expansion : item.expansion?.name) || null;
+const itemName = (item) => item.name || item.blueprint?.name || 'Unknown';
+
+function createItemResolver(client, { expansions, indexFile } = {}) {
+  const file = indexFile || path.join(client.config.cacheDir, 'blueprint-expansions.json');
+  const expansionById = new Map(expansions.map(e => [e.id, e]));
+  const byKey = (key) => {
+    const index = new Map();
+    for (const e of expansions) {
+      const value = e[key] && String(e[key]).toLowerCase();
+      if (!value) continue;
+      index.set(value, [...(index.get(value) || []), e]);
+    }
+    return index;
+  };
+  const expansionsByCode = byKey('code');
+  const expansionsByName = byKey('name');
+
+  // blueprint id -> expansion id; blueprints never move between expansions, so this is kept without a TTL
+  let blueprintIndex = null;
+  let indexChanged = false;
+  const loadedExpansions = new Set();
+  const loadIndex = () => {
+    if (!blueprintIndex) blueprintIndex = new Map(Object.entries(readJsonIfFresh(file, null) || {}).map(([bp, exp]) => [Number(bp), exp]));
+    return blueprintIndex;
+  };
+  const indexExpansion = async (expansionId) => {
+    if (loadedExpansions.has(expansionId)) return;
+    loadedExpansions.add(expansionId);
+    const blueprints = await client.blueprints(expansionId);
+    for (const bp of blueprints) {
+      if (blueprintIndex.get(bp.id) !== expansionId) {
+        blueprintIndex.set(bp.id, expansionId);
+        indexChanged = true;
+      }
+    }
+  };
+
+  const candidatesFor = (item) => {
+    const inGame = (list) => (item.game_id != null ? list.filter(e => e.game_id === item.game_id) : list);
+    const code = item.expansion_code || item.expansion?.code;
+    if (code) {
+      const byCode = inGame(expansionsByCode.get(String(code).toLowerCase()) || []);
+      if (byCode.length > 0) return { via: 'code', candidates: byCode };
+    }
+    const name = itemExpansionName(item);
+    return { via: 'name', candidates: name ? inGame(expansionsByName.get(name.toLowerCase()) || []) : [] };
+  };
+
+  // Returns { expansion, via } or { reason } for one item
+  const resolveItem = async (item) => {
+    const index = loadIndex();
+    const directId = item.expansion_id ?? item.expansion?.id;
+    if (directId != null && expansionById.has(directId)) return { expansion: expansionById.get(directId), via: 'expansion_id' };
+
+    const blueprintId = itemBlueprintId(item);
+    if (blueprintId != null && expansionById.has(index.get(blueprintId))) {
+      return { expansion: expansionById.get(index.get(blueprintId)), via: 'blueprint' };
+    }
+
+    const { via, candidates } = candidatesFor(item);
+    if (candidates.length === 1) return { expansion: candidates[0], via };
+    if (candidates.length === 0) {
+      const name = itemExpansionName(item);
+      return { reason: name ? `no expansion named "${name}"${item.game_id != null ? ` in game ${item.game_id}` : ''}` : 'item has no expansion' };
+    }
+    if (blueprintId == null) return { reason: `${candidates.length} expansions match "${itemExpansionName(item)}" and the item has no blueprint id` };
+    try {
+      for (const e of candidates) await indexExpansion(e.id);
+    } catch (err) {
+      return { reason: `could not load blueprints to disambiguate: ${err.message}` };
+    }
+    const match = candidates.find(e => e.id === index.get(blueprintId));
+    return match
+      ? { expansion: match, via: 'blueprint' }
+      : { reason: `blueprint ${blueprintId} is not in any of the ${candidates.length} expansions named "${itemExpansionName(item)}"` };
+  };
+
+  // Resolves every item of the given orders. `items` and `unmatched` together cover all of them.
+  const resolveOrders = async (orders) => {
+    const items = [];
+    const unmatched = [];
+    for (const order of orders) {
+      for (const item of getOrderItems(order)) {
+        const quantity = item.quantity ?? 1;
+        const entry = {
+          order,
+          item,
+          blueprintId: itemBlueprintId(item),
+          gameId: item.game_id ?? null,
+          name: itemName(item),
+          quantity,
+          cents: getItemPriceCents(item) * quantity,
+        };
+        const { expansion, via, reason } = await resolveItem(item);
+        if (expansion) items.push({ ...entry, expansion, gameId: entry.gameId ?? expansion.game_id, via });
+        else unmatched.push({ ...entry, expansionName: itemExpansionName(item), reason });
+      }
+    }
+    if (indexChanged) {
+      writeJson(file, Object.fromEntries(blueprintIndex));
+      indexChanged = false;
+    }
+    return { items, unmatched };
+  };
+
+  return { resolveItem, resolveOrders };
+}
+
+// Groups resolved items per expansion and blueprint:
+// expansion id -> { expansion, name, qty, totalCents, cards: blueprint id -> { blueprintId, name, qty, totalCents } }
+function salesByExpansion(items) {
+  const sets = new Map();
+  for (const entry of items) {
+    const set = sets.get(entry.expansion.id) || { expansion: entry.expansion, name: entry.expansion.name, qty: 0, totalCents: 0, cards: new Map() };
+    set.qty += entry.quantity;
+    set.totalCents += entry.cents;
+    const cardKey = entry.blueprintId ?? entry.name;
+    const card = set.cards.get(cardKey) || { blueprintId: entry.blueprintId, name: entry.name, qty: 0, totalCents: 0 };
+    card.qty += entry.quantity;
+    card.totalCents += entry.cents;
+    set.cards.set(cardKey, card);
+    sets.set(entry.expansion.id, set);
+  }
+  return sets;
+}
+
+// Row shape for listing unmatched items in reports
+const unmatchedRecord = (entry) => ({
+  order_id: entry.order.id ?? null,
+  order_code: entry.order.code ?? null,
+  blueprint_id: entry.blueprintId,
+  game_id: entry.gameId,
+  name: entry.name,
+  expansion: entry.expansionName,
+  quantity: entry.quantity,
+  total_cents: entry.cents,
+  reason: entry.reason,
+});
+
+module.exports = { createItemResolver, salesByExpansion, unmatchedRecord };
@@ -0,0 +1,117 @@
+// Persistent local order store: append-only JSONL under CACHE_DIR where the last line per order id wins.
+// sync() only pages /orders (newest first) back to the newest stored order minus a lookback window,
+// so new orders are added and recent orders whose state changed are updated without a full re-download.
+const fs = require('fs');
+const path = require('path');
+const { ensureDir, readJsonIfFresh, writeJson } = require('./helpers');
+const { isSale } = require('./fees');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const orderTime = (order) => {
+  const t = order.date ? new Date(order.date).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+function createOrderStore(client, options = {}) {
+  const file = options.file || path.join(client.config.cacheDir, 'orders.jsonl');
+  const metaFile = file.replace(/\.jsonl$/, '') + '-meta.json';
+  const lookbackDays = options.lookbackDays ?? parseInt(process.env.ORDER_SYNC_LOOKBACK_DAYS || '30', 10);
+
+  let byId = null; // order id -> latest order
+  let lineCount = 0;
+
+  const load = () => {
+    if (byId) return byId;
+    byId = new Map();
+    lineCount = 0;
+    let raw;
+    try { raw = fs.readFileSync(file, 'utf8'); } catch (_) { return byId; }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const order = JSON.parse(line);
+        byId.set(order.id, order);
+        lineCount++;
+      } catch (_) {
+        // Torn trailing line from an interrupted write; the next sync re-fetches it
+      }
+    }
+    return byId;
+  };
+
+  const append = (orders) => {
+    ensureDir(path.dirname(file));
+    fs.appendFileSync(file, orders.map(o => JSON.stringify(o) + '\n').join(''), 'utf8');
+    lineCount += orders.length;
+  };
+
+  // Rewrite the file with one line per order once superseded lines dominate it
+  const compact = () => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, [...byId.values()].map(o => JSON.stringify(o) + '\n').join(''), 'utf8');
+    fs.renameSync(tmp, file);
+    lineCount = byId.size;
+  };
+
+  const newestTime = () => {
+    let newest = null;
+    for (const order of load().values()) {
+      const t = orderTime(order);
+      if (t != null && (newest == null || t > newest)) newest = t;
+    }
+    return newest;
+  };
+
+  // Nothing is written unless every page was fetched, so a failed sync never leaves a gap behind the newest order
+  const sync = async ({ full = false, onPage } = {}) => {
+    const known = load();
+    const newest = full ? null : newestTime();
+    const cutoff = newest != null ? newest - lookbackDays * DAY_MS : null;
+    const fetched = await client.orders({
+      onPage,
+      stopWhen: cutoff != null ? (order) => (orderTime(order) ?? Infinity) < cutoff : undefined
+    });
+
+    const changed = [];
+    let added = 0;
+    let updated = 0;
+    for (const order of fetched) {
+      if (order.id == null) continue;
+      const prev = known.get(order.id);
+      if (!prev) added++;
+      else if (JSON.stringify(prev) !== JSON.stringify(order)) updated++;
+      else continue;
+      known.set(order.id, order);
+      changed.push(order);
+    }
+    if (changed.length > 0) append(changed);
+    if (lineCount > known.size * 2) compact();
+
+    const meta = { lastSyncAt: new Date().toISOString(), full: newest == null };
+    writeJson(metaFile, meta);
+    return { added, updated, fetched: fetched.length, total: known.size, ...meta };
+  };
+
+  // Stored orders newest first, optionally limited to [from, to] (Date or date string; to is inclusive).
+  // sales: true leaves out cancelled orders and purchases, which every sales report must agree on.
+  const list = ({ from, to, sales = false } = {}) => {
+    const fromT = from ? new Date(from).getTime() : null;
+    const toT = to ? new Date(to).getTime() : null;
+    return [...load().values()]
+      .filter(order => {
+        if (sales && !isSale(order)) return false;
+        if (fromT == null && toT == null) return true;
+        const t = orderTime(order);
+        if (t == null) return false;
+        return (fromT == null || t >= fromT) && (toT == null || t <= toT);
+      })
+      .sort((a, b) => (orderTime(b) ?? 0) - (orderTime(a) ?? 0));
+  };
+
+  const lastSync = () => readJsonIfFresh(metaFile);
+
+  return { file, load, sync, list, lastSync };
+}
+
+module.exports = { createOrderStore };
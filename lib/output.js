@@ -0,0 +1,57 @@
+// Machine-readable output shared by the CLI scripts: --format=table|json|csv|ndjson and --output=FILE.
+// table keeps each script's own console rendering. json writes the full report object; csv and ndjson
+// write its rows. Money columns are integer cents with a _cents suffix so they stay stable for spreadsheets.
+const fs = require('fs');
+
+const FORMATS = ['table', 'json', 'csv', 'ndjson'];
+
+const getOutputOptions = (flags) => {
+  const format = flags.format || 'table';
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown --format=${format}. Use one of: ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  const output = typeof flags.output === 'string' ? flags.output : null;
+  if (flags.output === true) {
+    console.error('--output needs a file name: --output=FILE');
+    process.exit(1);
+  }
+  if (output && format === 'table') {
+    console.error('--output writes machine-readable data; combine it with --format=json|csv|ndjson');
+    process.exit(1);
+  }
+  return { format, output, machine: format !== 'table' };
+};
+
+// Checked before dotenvx loads .env: its banner goes to stdout and would corrupt machine-readable output
+const isMachineFormat = (argv = process.argv.slice(2)) =>
+  argv.some(arg => /^--format=(json|csv|ndjson)$/.test(arg));
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const toCsv = (rows, columns = Object.keys(rows[0] || {})) =>
+  [columns.map(csvCell).join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n');
+
+const renderReport = (format, { report, rows, columns }) => {
+  if (format === 'json') return JSON.stringify(report ?? rows, null, 2);
+  if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n');
+  if (format === 'csv') return toCsv(rows, columns);
+  throw new Error(`renderReport does not handle format "${format}"`);
+};
+
+// Writes the report to --output or stdout; status messages go to stderr so stdout stays parseable
+const writeReport = ({ format, output }, data) => {
+  const text = renderReport(format, data);
+  if (output) {
+    fs.writeFileSync(output, text + '\n', 'utf8');
+    process.stderr.write(`Written ${data.rows.length} rows to ${output}\n`);
+  } else {
+    process.stdout.write(text + '\n');
+  }
+};
+
+module.exports = { FORMATS, isMachineFormat, getOutputOptions, toCsv, renderReport, writeReport };
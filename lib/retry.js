@@ -0,0 +1,68 @@
+// Retry with exponential backoff, Retry-After handling and a request budget for API calls.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delay-seconds or an HTTP date; returns ms or null
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Full jitter: random delay in [baseMs, min(maxMs, baseMs * 2^attempt)]
+const backoffDelay = (attempt, { baseMs = 500, maxMs = 30000 } = {}) => {
+  const cap = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(baseMs + Math.random() * Math.max(0, cap - baseMs));
+};
+
+// Calls fn(attempt) until it succeeds, shouldRetry(err) is false or retries run out.
+// An error carrying retryAfterMs (from a Retry-After header) overrides the backoff delay.
+async function withRetry(fn, { retries = 5, baseMs = 500, maxMs = 30000, shouldRetry = () => true, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      const delayMs = err.retryAfterMs != null
+        ? Math.min(err.retryAfterMs, maxMs)
+        : backoffDelay(attempt, { baseMs, maxMs });
+      if (onRetry) onRetry({ err, attempt: attempt + 1, retries, delayMs });
+      await sleep(delayMs);
+    }
+  }
+}
+
+// Limits in-flight tasks to `concurrency` and task starts to `perSecond` (0 = unlimited).
+// Returns schedule(task) -> Promise of the task's result.
+function createLimiter({ concurrency = 4, perSecond = 10 } = {}) {
+  const minIntervalMs = perSecond > 0 ? 1000 / perSecond : 0;
+  const queue = [];
+  let active = 0;
+  let nextStartAt = 0;
+
+  const pump = () => {
+    while (active < Math.max(1, concurrency) && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      const now = Date.now();
+      const waitMs = Math.max(0, nextStartAt - now);
+      nextStartAt = Math.max(now, nextStartAt) + minIntervalMs;
+      active++;
+      sleep(waitMs)
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => { active--; pump(); });
+    }
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    pump();
+  });
+}
+
+module.exports = { sleep, parseRetryAfter, backoffDelay, withRetry, createLimiter };
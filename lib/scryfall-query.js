@@ -0,0 +1,306 @@
+// A practical subset of Scryfall search syntax, evaluated locally against Scryfall card objects
+// (bulk data), e.g. `is:textless t:creature (r:mythic or r:rare) -set:sld`.
+//
+//   expr   := term (and|or term)*, with `-` to negate and parentheses; adjacent terms mean `and`
+//   term   := key OP value | word | "phrase" | !"Exact Name"
+//   OP     := : = != > >= < <=
+//
+// Keys: set/s/e, t/type, o/oracle, name, r/rarity, c/color, id/identity, lang, cn/number,
+// is:/not: (textless, fullart, promo, foil, ...), plus the include:extras and unique: directives.
+// Bare words and phrases match the card name. As on Scryfall, tokens, emblems, art series cards
+// and other extras are left out unless the query has include:extras.
+
+class ScryfallQueryError extends Error {
+  constructor(message, position = null) {
+    super(position != null ? `${message} (at character ${position + 1})` : message);
+    this.name = 'ScryfallQueryError';
+    this.position = position;
+  }
+}
+
+const KEY_ALIASES = {
+  s: 'set', e: 'set', edition: 'set', t: 'type', o: 'oracle', r: 'rarity', c: 'color', colour: 'color',
+  id: 'identity', ci: 'identity', language: 'lang', cn: 'number',
+};
+const KEYS = ['set', 'type', 'oracle', 'name', 'rarity', 'color', 'identity', 'lang', 'number', 'is', 'not', 'include', 'unique'];
+
+const RARITIES = ['common', 'uncommon', 'rare', 'special', 'mythic', 'bonus'];
+const RARITY_ALIASES = { c: 'common', u: 'uncommon', r: 'rare', s: 'special', m: 'mythic', b: 'bonus' };
+
+const COLOR_NAMES = { white: 'w', blue: 'u', black: 'b', red: 'r', green: 'g', colorless: 'c', multicolor: 'm' };
+
+const EXTRA_LAYOUTS = ['token', 'double_faced_token', 'emblem', 'art_series', 'vanguard', 'planar', 'scheme'];
+const UNIQUE_MODES = ['cards', 'art', 'prints'];
+
+// Card faces carry the text, colors and art of double-faced cards
+const faces = (card) => [card, ...(card.card_faces || [])];
+const faceValues = (card, key) => faces(card).map(f => f[key]).filter(v => v != null && v !== '');
+const hasFrameEffect = (effect) => (card) => (card.frame_effects || []).includes(effect);
+const hasFinish = (finish) => (card) => (card.finishes || []).includes(finish);
+
+const IS_FLAGS = {
+  textless: (card) => Boolean(card.textless),
+  fullart: (card) => Boolean(card.full_art),
+  full: (card) => Boolean(card.full_art),
+  promo: (card) => Boolean(card.promo),
+  reprint: (card) => Boolean(card.reprint),
+  digital: (card) => Boolean(card.digital),
+  reserved: (card) => Boolean(card.reserved),
+  foil: hasFinish('foil'),
+  nonfoil: hasFinish('nonfoil'),
+  etched: hasFinish('etched'),
+  borderless: (card) => card.border_color === 'borderless',
+  showcase: hasFrameEffect('showcase'),
+  extendedart: hasFrameEffect('extendedart'),
+  dfc: (card) => ['transform', 'modal_dfc', 'meld', 'reversible_card'].includes(card.layout),
+};
+
+// ─── Tokenizer ─────────────────────────────────────────────────────────────
+const OPERATORS = ['>=', '<=', '!=', '>', '<', '=', ':'];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  const readQuoted = () => {
+    const end = text.indexOf('"', i + 1);
+    if (end === -1) throw new ScryfallQueryError('Unterminated quote', i);
+    const value = text.slice(i + 1, end);
+    i = end + 1;
+    return value;
+  };
+  const readWord = () => {
+    const start = i;
+    while (i < text.length && !/[\s()]/.test(text[i])) i++;
+    return text.slice(start, i);
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ type: ch, position: i++ }); continue; }
+    const position = i;
+    if (ch === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) { tokens.push({ type: 'not', position: i++ }); continue; }
+    if (ch === '!') {
+      i++;
+      const value = text[i] === '"' ? readQuoted() : readWord();
+      if (!value) throw new ScryfallQueryError('Missing name after !', position);
+      tokens.push({ type: 'name', value, exact: true, position });
+      continue;
+    }
+    if (ch === '"') { tokens.push({ type: 'name', value: readQuoted(), position }); continue; }
+
+    const key = /^[A-Za-z]+/.exec(text.slice(i));
+    const op = key && OPERATORS.find(o => text.startsWith(o, i + key[0].length));
+    if (op) {
+      i += key[0].length + op.length;
+      if (i >= text.length || /[\s()]/.test(text[i])) throw new ScryfallQueryError(`Missing value after ${key[0]}${op}`, i);
+      const value = text[i] === '"' ? readQuoted() : readWord();
+      tokens.push({ type: 'term', key: key[0].toLowerCase(), op, value, position });
+      continue;
+    }
+    const word = readWord();
+    const keyword = word.toLowerCase();
+    tokens.push(['and', 'or'].includes(keyword) ? { type: keyword, position } : { type: 'name', value: word, position });
+  }
+  return tokens;
+}
+
+// ─── Terms ─────────────────────────────────────────────────────────────────
+const compare = (actual, op, expected) => {
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+};
+
+// Case-insensitive equality or, with substring, containment over all of a card's values
+const textTerm = (token, read, { substring = false } = {}) => {
+  if (!['=', ':', '!='].includes(token.op)) throw new ScryfallQueryError(`${token.key} only supports :, = and !=`, token.position);
+  const wanted = token.value.toLowerCase();
+  const test = (card) => read(card).some(v => {
+    const value = String(v).toLowerCase();
+    return substring && token.op === ':' ? value.includes(wanted) : value === wanted;
+  });
+  return token.op === '!=' ? (card) => !test(card) : test;
+};
+
+const rarityTerm = (token) => {
+  const name = RARITY_ALIASES[token.value.toLowerCase()] || token.value.toLowerCase();
+  const expected = RARITIES.indexOf(name);
+  if (expected === -1) throw new ScryfallQueryError(`Unknown rarity "${token.value}": use ${RARITIES.join(', ')}`, token.position);
+  return (card) => {
+    const actual = RARITIES.indexOf(card.rarity);
+    return actual !== -1 && compare(actual, token.op, expected);
+  };
+};
+
+// Colors as a set of WUBRG letters; c:rg means at least red and green, id:rg at most (Scryfall's defaults)
+const colorTerm = (token, read, colonOp) => {
+  const value = COLOR_NAMES[token.value.toLowerCase()] || token.value.toLowerCase();
+  if (value === 'm') {
+    if (![':', '='].includes(token.op)) throw new ScryfallQueryError(`${token.key}:m only supports :`, token.position);
+    return (card) => read(card).size >= 2;
+  }
+  if (!/^(c|[wubrg]+)$/.test(value)) throw new ScryfallQueryError(`Invalid colors "${token.value}": use letters from WUBRG, C or M`, token.position);
+  const wanted = new Set(value === 'c' ? [] : value);
+  const op = token.op === ':' ? (value === 'c' ? '=' : colonOp) : token.op;
+  return (card) => {
+    const actual = read(card);
+    const subset = [...actual].every(c => wanted.has(c));
+    const superset = [...wanted].every(c => actual.has(c));
+    switch (op) {
+      case '>': return superset && actual.size > wanted.size;
+      case '>=': return superset;
+      case '<': return subset && actual.size < wanted.size;
+      case '<=': return subset;
+      case '!=': return !(subset && superset);
+      default: return subset && superset;
+    }
+  };
+};
+const cardColors = (card) => new Set(faceValues(card, 'colors').flat().map(c => c.toLowerCase()));
+const cardIdentity = (card) => new Set((card.color_identity || []).map(c => c.toLowerCase()));
+
+const flagTerm = (token) => {
+  const test = IS_FLAGS[token.value.toLowerCase()];
+  if (!test) throw new ScryfallQueryError(`Unknown ${token.key}:${token.value}: use ${Object.keys(IS_FLAGS).join(', ')}`, token.position);
+  return token.key === 'not' ? (card) => !test(card) : test;
+};
+
+const nameTerm = (token) => {
+  const wanted = token.value.toLowerCase();
+  if (token.exact) return (card) => faceValues(card, 'name').some(n => n.toLowerCase() === wanted);
+  return (card) => card.name.toLowerCase().includes(wanted);
+};
+
+function compileTerm(token, directives) {
+  const key = KEY_ALIASES[token.key] || token.key;
+  if (!KEYS.includes(key)) throw new ScryfallQueryError(`Unsupported key "${token.key}": use ${KEYS.join(', ')}`, token.position);
+  switch (key) {
+    case 'set':
+      return textTerm(token, (card) => [card.set]);
+    case 'type':
+      return textTerm(token, (card) => faceValues(card, 'type_line'), { substring: true });
+    case 'oracle':
+      return textTerm(token, (card) => faceValues(card, 'oracle_text'), { substring: true });
+    case 'name':
+      return textTerm(token, (card) => faceValues(card, 'name'), { substring: true });
+    case 'lang':
+      return textTerm(token, (card) => [card.lang]);
+    case 'number':
+      return textTerm(token, (card) => [card.collector_number]);
+    case 'rarity':
+      return rarityTerm(token);
+    case 'color':
+      return colorTerm(token, cardColors, '>=');
+    case 'identity':
+      return colorTerm(token, cardIdentity, '<=');
+    case 'is':
+    case 'not':
+      return flagTerm(token);
+    case 'include':
+      if (token.value.toLowerCase() !== 'extras') throw new ScryfallQueryError(`Unknown include:${token.value}: use include:extras`, token.position);
+      directives.includeExtras = true;
+      return () => true;
+    case 'unique':
+      if (!UNIQUE_MODES.includes(token.value.toLowerCase())) throw new ScryfallQueryError(`Unknown unique:${token.value}: use ${UNIQUE_MODES.join(', ')}`, token.position);
+      directives.unique = token.value.toLowerCase();
+      return () => true;
+  }
+}
+
+// ─── Parser ────────────────────────────────────────────────────────────────
+// Returns { matches(card), unique } where unique is the query's unique: directive, if any
+function parseScryfallQuery(text) {
+  const tokens = tokenize(text || '');
+  const directives = { includeExtras: false, unique: null };
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsTerm = (t) => t && ['term', 'name', 'not', '('].includes(t.type);
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.type === 'or') {
+      pos++;
+      const a = left;
+      const b = parseAnd();
+      left = (card) => a(card) || b(card);
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek()?.type === 'and' || startsTerm(peek())) {
+      if (peek().type === 'and') pos++;
+      const a = left;
+      const b = parseNot();
+      left = (card) => a(card) && b(card);
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (peek()?.type === 'not') {
+      pos++;
+      const inner = parseNot();
+      return (card) => !inner(card);
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new ScryfallQueryError('Unexpected end of query');
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw new ScryfallQueryError('Missing )', token.position);
+      pos++;
+      return inner;
+    }
+    if (token.type === 'term') return compileTerm(token, directives);
+    if (token.type === 'name') return nameTerm(token);
+    throw new ScryfallQueryError(`Unexpected "${token.type}"`, token.position);
+  };
+
+  let predicate = () => true;
+  if (tokens.length > 0) {
+    predicate = parseOr();
+    if (pos < tokens.length) throw new ScryfallQueryError(`Unexpected "${tokens[pos].type}"`, tokens[pos].position);
+  }
+  const matches = directives.includeExtras ? predicate : (card) => !EXTRA_LAYOUTS.includes(card.layout) && predicate(card);
+  return { matches, unique: directives.unique };
+}
+
+// Scryfall's unique modes: every printing, one per artwork, or one per card. Like the API, the printing
+// kept for a key is the newest paper, non-promo one, so the pick does not depend on the file's order.
+const isPreferredPrinting = (a, b) =>
+  (Boolean(a.promo) - Boolean(b.promo))
+  || (Boolean(a.digital) - Boolean(b.digital))
+  || (b.released_at || '').localeCompare(a.released_at || '');
+
+function uniqueCards(cards, unique) {
+  if (unique === 'prints') return cards;
+  const keyOf = unique === 'cards'
+    ? (card) => card.oracle_id || card.card_faces?.[0]?.oracle_id || card.id
+    : (card) => card.illustration_id || card.card_faces?.[0]?.illustration_id || card.id;
+  const kept = new Map();
+  for (const card of cards) {
+    const key = keyOf(card);
+    const current = kept.get(key);
+    if (!current || isPreferredPrinting(card, current) < 0) kept.set(key, card);
+  }
+  return [...kept.values()];
+}
+
+const compareCollectorNumbers = (a, b) => a.localeCompare(b, 'en', { numeric: true });
+
+// order=name: by name, then release date, set and collector number so ties are stable
+const sortByName = (cards) => [...cards].sort((a, b) =>
+  a.name.localeCompare(b.name, 'en', { sensitivity: 'base' })
+  || (a.released_at || '').localeCompare(b.released_at || '')
+  || a.set.localeCompare(b.set)
+  || compareCollectorNumbers(a.collector_number, b.collector_number));
+
+module.exports = { ScryfallQueryError, UNIQUE_MODES, parseScryfallQuery, uniqueCards, sortByName };
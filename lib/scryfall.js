@@ -0,0 +1,183 @@
+// Scryfall card searches: paged /cards/search requests (retried, and cached under CACHE_DIR/scryfall), or
+// the same queries evaluated locally against a bulk-data file (default_cards, unique_artwork, ... from
+// https://scryfall.com/docs/api/bulk-data).
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const zlib = require('zlib');
+const { readJsonIfFresh, writeJson } = require('./helpers');
+const { sleep, parseRetryAfter, withRetry } = require('./retry');
+const { parseScryfallQuery, uniqueCards, sortByName } = require('./scryfall-query');
+
+// Every failed request surfaces as one of these: Scryfall's own error objects, HTTP errors, network
+// errors and responses that are not JSON at all (e.g. a proxy's HTML error page)
+class ScryfallError extends Error {
+  constructor(message, { status = null, code = null, page = null, retryAfterMs = null, notJson = false } = {}) {
+    super(message);
+    this.name = 'ScryfallError';
+    this.status = status;
+    this.code = code; // Scryfall's error code, e.g. not_found or bad_request
+    this.page = page;
+    this.retryAfterMs = retryAfterMs;
+    this.notJson = notJson;
+  }
+}
+
+// Rate limits, server errors, network errors and garbled responses are retried; a bad query is not
+const isRetryable = (err) => err instanceof ScryfallError
+  && (err.status == null || err.status === 429 || err.status >= 500 || err.notJson);
+
+// HTTPS GET with the headers Scryfall asks API clients to send
+function scryfallGet(url) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, {
+      headers: {
+        'User-Agent': 'ScryfallToMoxfield/1.0 (cardTrader-scripts)',
+        'Accept': 'application/json;q=0.9,*/*;q=0.8',
+      },
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        const status = res.statusCode ?? null;
+        const retryAfterMs = parseRetryAfter(res.headers?.['retry-after']);
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch (e) {
+          reject(new ScryfallError(`Scryfall returned a non-JSON response${status ? ` (${status})` : ''}: ${e.message}`,
+            { status, retryAfterMs, notJson: true }));
+          return;
+        }
+        if (body?.object === 'error' || (status != null && status >= 400)) {
+          reject(new ScryfallError(body?.details || body?.message || `Scryfall request failed: ${status}`,
+            { status: body?.status ?? status, code: body?.code ?? null, retryAfterMs }));
+          return;
+        }
+        resolve(body);
+      });
+    });
+    req.on('error', (err) => reject(new ScryfallError(`Scryfall request failed: ${err.message}`)));
+  });
+}
+
+// Every page of /cards/search ordered by name, delayMs apart, each page retried on transient failures.
+// A query that matches nothing is an empty result (Scryfall answers it with a not_found error).
+// onPage({ page, cards, total }) reports progress, onRetry({ err, attempt, retries, delayMs }) retries.
+async function searchCards(query, { unique = 'art', delayMs = 100, retries = 5, onPage, onRetry } = {}) {
+  const allCards = [];
+  const baseUrl = `https://api.scryfall.com/cards/search?q=${encodeURIComponent(query)}&unique=${unique}&order=name`;
+  for (let page = 1; ; page++) {
+    let response;
+    try {
+      response = await withRetry(() => scryfallGet(`${baseUrl}&page=${page}`), { retries, shouldRetry: isRetryable, onRetry });
+    } catch (err) {
+      if (err instanceof ScryfallError && err.code === 'not_found') return allCards;
+      if (err instanceof ScryfallError) err.page = page;
+      throw err;
+    }
+    const cards = response.data || [];
+    allCards.push(...cards);
+    if (onPage) onPage({ page, cards: cards.length, total: allCards.length });
+    if (response.has_more !== true) return allCards;
+    await sleep(delayMs);
+  }
+}
+
+// Read at call time so scripts can load .env (dotenvx) first
+const loadScryfallConfig = (env = process.env) => ({
+  cacheDir: path.join(env.CACHE_DIR || path.join(process.cwd(), '.cache'), 'scryfall'),
+  cacheTtlMs: parseFloat(env.SCRYFALL_CACHE_TTL_HOURS || '24') * 60 * 60 * 1000,
+});
+
+// searchCards behind a cache shared by everything in one run: the same query and unique mode is fetched
+// once, and results are kept in CACHE_DIR/scryfall for SCRYFALL_CACHE_TTL_HOURS. refresh skips the disk
+// cache. search() resolves with { cards, source: 'api' | 'cache' }.
+function createScryfallSearch({ refresh = false, ...options } = {}) {
+  const { cacheDir, cacheTtlMs } = loadScryfallConfig();
+  const pending = new Map();
+  const cacheFile = (query, unique) =>
+    path.join(cacheDir, `${crypto.createHash('sha1').update(`${unique}\n${query}`).digest('hex')}.json`);
+
+  const load = async (query, unique) => {
+    const file = cacheFile(query, unique);
+    const hit = refresh ? null : readJsonIfFresh(file, cacheTtlMs);
+    if (hit?.query === query && hit.unique === unique) return { cards: hit.cards, source: 'cache' };
+    const cards = await searchCards(query, { ...options, unique });
+    writeJson(file, { query, unique, fetchedAt: new Date().toISOString(), cards });
+    return { cards, source: 'api' };
+  };
+
+  return (query, { unique = 'art' } = {}) => {
+    const key = `${unique}\n${query}`;
+    if (!pending.has(key)) pending.set(key, load(query, unique));
+    return pending.get(key);
+  };
+}
+
+// Streams the cards of a bulk-data file (a JSON array, optionally .gz) to onCard one at a time, so
+// only the cards a caller keeps are held in memory. Resolves with the number of cards read.
+async function readBulkCards(file, onCard) {
+  let stream = fs.createReadStream(file);
+  if (file.endsWith('.gz')) stream = stream.pipe(zlib.createGunzip());
+  stream.setEncoding('utf8');
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let pending = ''; // start of a card split across chunks
+  let count = 0;
+  for await (const chunk of stream) {
+    let start = pending ? 0 : -1;
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        if (depth === 0 && ch !== '[') throw new Error(`${file} is not a Scryfall bulk-data file (expected a JSON array of cards)`);
+        if (depth === 1) start = i;
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === 1) {
+          onCard(JSON.parse(pending + chunk.slice(start, i + 1)));
+          count++;
+          pending = '';
+          start = -1;
+        }
+      }
+    }
+    if (start !== -1) pending += chunk.slice(start);
+  }
+  if (depth !== 0) throw new Error(`${file} ends in the middle of a card`);
+  return count;
+}
+
+// Several searches answered in one pass over a bulk-data file, each deduplicated and ordered like
+// /cards/search with its unique mode and order=name (a unique: directive in the query wins).
+async function searchBulkAll(file, searches) {
+  const compiled = searches.map(({ query }) => parseScryfallQuery(query));
+  const matched = searches.map(() => []);
+  const scanned = await readBulkCards(file, (card) => {
+    compiled.forEach((search, i) => {
+      if (search.matches(card)) matched[i].push(card);
+    });
+  });
+  const results = searches.map(({ unique = 'art' }, i) => sortByName(uniqueCards(matched[i], compiled[i].unique || unique)));
+  return { results, scanned };
+}
+
+async function searchBulk(file, query, { unique = 'art' } = {}) {
+  const { results, scanned } = await searchBulkAll(file, [{ query, unique }]);
+  return { cards: results[0], scanned };
+}
+
+module.exports = {
+  ScryfallError, isRetryable, scryfallGet, searchCards, loadScryfallConfig, createScryfallSearch,
+  readBulkCards, searchBulkAll, searchBulk,
+};
@@ -0,0 +1,166 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getItemPriceCents } = require('./lib/helpers');
+const { createOrderStore } = require('./lib/order-store');
+const { getOrderItems, orderProfit } = require('./lib/fees');
+const { parseArgs, intFlag } = require('./lib/cli');
+const { createItemResolver, unmatchedRecord } = require('./lib/order-items');
+
+const GROUPINGS = ['month', 'game', 'expansion'];
+
+const USAGE = `Usage: node profitReport.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--by=month,game,expansion] [--shipping=CENTS]
+                             [--format=table|json|csv|ndjson] [--output=FILE]
+
+Net payout over actual sales from the local order store. Each order is classified as
+CardTrader Zero (8% fee) or direct (15% fee) and VAT_RATE is applied to the fee. Shipping
+the buyer paid on a direct order counts towards gross; --shipping is your own postage cost
+per direct order, subtracted from net (default 0).`;
+
+(async function() {
+  const { flags } = parseArgs();
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  const from = flags.from ? new Date(flags.from) : null;
+  // --to is inclusive of the whole day
+  const to = flags.to ? new Date(new Date(flags.to).getTime() + 24 * 60 * 60 * 1000 - 1) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    console.error('Invalid date format. Use YYYY-MM-DD.');
+    process.exit(1);
+  }
+  const groupings = flags.by ? String(flags.by).split(',') : GROUPINGS;
+  if (groupings.some(g => !GROUPINGS.includes(g))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const shippingCents = intFlag(flags, 'shipping', 0);
+  const outputOptions = getOutputOptions(flags);
+
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+  const vatRate = client.config.vatRate;
+
+  let expansions;
+  let games;
+  const store = createOrderStore(client);
+  try {
+    expansions = await client.expansions();
+    games = await client.games();
+    await store.sync();
+  } catch (err) {
+    console.error('Failed to load data:', err.message);
+    process.exit(1);
+  }
+
+  const gameNameById = new Map(games.map(g => [g.id, g.display_name || g.name]));
+  const orders = store.list({ from, to, sales: true });
+
+  // Same expansion resolution as the sales reports; unmatched items still count towards totals under 'Unknown'
+  const { items: resolved, unmatched } = await createItemResolver(client, { expansions }).resolveOrders(orders);
+  const resolvedByItem = new Map([...resolved, ...unmatched].map(entry => [entry.item, entry]));
+  const groups = Object.fromEntries(groupings.map(g => [g, new Map()]));
+  const emptyBucket = () => ({ orders: new Set(), qty: 0, grossCents: 0, ctzGrossCents: 0, directGrossCents: 0,
+    shippingIncomeCents: 0, feeCents: 0, vatCents: 0, shippingCents: 0, netCents: 0 });
+  const total = emptyBucket();
+
+  // Order-level shipping, fee and VAT are split across items in proportion to their revenue
+  const addTo = (bucket, order, profit, share, qty) => {
+    bucket.orders.add(order.id);
+    bucket.qty += qty;
+    bucket.grossCents += profit.grossCents * share;
+    bucket[profit.ctz ? 'ctzGrossCents' : 'directGrossCents'] += profit.grossCents * share;
+    bucket.shippingIncomeCents += profit.shippingIncomeCents * share;
+    bucket.feeCents += profit.feeCents * share;
+    bucket.vatCents += profit.vatCents * share;
+    bucket.shippingCents += profit.shippingCents * share;
+    bucket.netCents += profit.netCents * share;
+  };
+
+  for (const order of orders) {
+    const profit = orderProfit(order, { vatRate, shippingCents });
+    if (profit.itemsCents === 0) continue;
+    addTo(total, order, profit, 1, 0);
+    const month = order.date ? order.date.slice(0, 7) : 'unknown';
+    for (const item of getOrderItems(order)) {
+      const qty = item.quantity ?? 1;
+      const share = (getItemPriceCents(item) * qty) / profit.itemsCents;
+      const { expansion: exp, gameId, expansionName } = resolvedByItem.get(item);
+      total.qty += qty;
+      const keys = {
+        month,
+        game: gameId != null ? (gameNameById.get(gameId) || `game ${gameId}`) : 'Unknown',
+        expansion: exp ? exp.name : `${expansionName || 'Unknown'} (unmatched)`,
+      };
+      for (const g of groupings) {
+        const bucket = groups[g].get(keys[g]) || emptyBucket();
+        addTo(bucket, order, profit, share, qty);
+        groups[g].set(keys[g], bucket);
+      }
+    }
+  }
+
+  if (outputOptions.machine) {
+    const toRecord = (group, key, b) => ({
+      group,
+      key,
+      orders: b.orders.size,
+      quantity: b.qty,
+      gross_cents: Math.round(b.grossCents),
+      ctz_gross_cents: Math.round(b.ctzGrossCents),
+      direct_gross_cents: Math.round(b.directGrossCents),
+      shipping_income_cents: Math.round(b.shippingIncomeCents),
+      fee_cents: Math.round(b.feeCents),
+      vat_cents: Math.round(b.vatCents),
+      shipping_cents: Math.round(b.shippingCents),
+      net_cents: Math.round(b.netCents)
+    });
+    const rows = [
+      ...groupings.flatMap(g => [...groups[g].entries()].map(([key, b]) => toRecord(g, key, b))),
+      toRecord('total', 'total', total)
+    ];
+    writeReport(outputOptions, {
+      report: { from: flags.from || null, to: flags.to || null, vat_rate: vatRate, rows, unmatched: unmatched.map(unmatchedRecord) },
+      rows,
+      columns: Object.keys(rows[rows.length - 1])
+    });
+    return;
+  }
+
+  const usd = (cents) => formatUSDFromCents(Math.round(cents));
+  const toRow = (label, key, b) => ({
+    [label]: key,
+    orders: b.orders.size,
+    qty: b.qty,
+    gross_usd: usd(b.grossCents),
+    ctz_gross_usd: usd(b.ctzGrossCents),
+    direct_gross_usd: usd(b.directGrossCents),
+    shipping_in_usd: usd(b.shippingIncomeCents),
+    fees_usd: usd(b.feeCents),
+    vat_usd: usd(b.vatCents),
+    shipping_cost_usd: usd(b.shippingCents),
+    net_usd: usd(b.netCents)
+  });
+
+  const range = `${flags.from || 'first order'} → ${flags.to || 'today'}`;
+  console.log(`Sales ${range}: ${total.orders.size} orders, ${total.qty} cards (VAT on fees ${Math.round(vatRate * 100)}%)`);
+  for (const g of groupings) {
+    const entries = [...groups[g].entries()];
+    if (entries.length === 0) continue;
+    if (g === 'month') entries.sort((a, b) => a[0].localeCompare(b[0]));
+    else entries.sort((a, b) => b[1].netCents - a[1].netCents);
+    console.log(`\nNet revenue by ${g}:`);
+    console.table(entries.map(([key, b]) => toRow(g, key, b)));
+  }
+  console.log('\nTotal:');
+  console.table([toRow('period', range, total)]);
+  if (unmatched.length > 0) {
+    console.log(`\n${unmatched.length} order items could not be matched to an expansion (listed as "(unmatched)" above):`);
+    console.table(unmatched.map(unmatchedRecord));
+  }
+})();
@@ -0,0 +1,195 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const readline = require('readline');
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents, getPriceCents } = require('./lib/helpers');
+const { getVariant, competitorsFor, priceStats, fetchListingsByBlueprint } = require('./lib/market');
+const { parseArgs, intFlag } = require('./lib/cli');
+const { runBulk } = require('./lib/bulk');
+
+const USAGE = `Usage: node reprice.js [options]
+
+Reprices your /products/export inventory against marketplace listings of the same
+blueprint, condition, language and foil. Prices only go down unless --raise is given.
+Always prints a dry-run report first; nothing is changed without --apply, which asks
+for confirmation unless --yes is given.
+
+Options:
+  --undercut=CENTS   Price this far below the cheapest competitor (default: 1)
+  --floor=CENTS      Never price below this (default: 1)
+  --min-pct=PCT      Never drop below PCT% of the current price (default: 70)
+  --ctz-only         Only compete with CardTrader Zero sellers
+  --raise            Also raise listings that are already the cheapest, up to just under the next competitor
+  --apply            Push the new prices through /products/bulk_update
+  --yes              Don't ask before applying
+  --format=FORMAT    table (default), json, csv or ndjson report
+  --output=FILE      Write the report to FILE`;
+
+// Target = cheapest competitor minus the undercut, clamped by the floor and the max drop.
+// A target above the current price is only taken with rules.raise; without it the price is kept as
+// 'no raise' when the listing is already the cheapest, or as e.g. 'floor (not raised)' when a clamp
+// wants it higher, so listings under the floor are reported instead of passing for the cheapest.
+function computeTarget(currentCents, minCompetitorCents, rules) {
+  let target = minCompetitorCents - rules.undercut;
+  let rule = 'undercut';
+  const minByPct = Math.ceil(currentCents * rules.minPct / 100);
+  if (target < minByPct) { target = minByPct; rule = `min ${rules.minPct}%`; }
+  if (target < rules.floor) { target = rules.floor; rule = 'floor'; }
+  if (target > currentCents && !rules.raise) {
+    return { targetCents: currentCents, rule: rule === 'undercut' ? 'no raise' : `${rule} (not raised)` };
+  }
+  return { targetCents: target, rule: target > currentCents ? `raise (${rule})` : rule };
+}
+
+const confirm = async (question, output) => {
+  const rl = readline.createInterface({ input: process.stdin, output });
+  const answer = await new Promise(res => rl.question(question, res));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+};
+
+(async function() {
+  const { flags } = parseArgs();
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  const rules = {
+    undercut: intFlag(flags, 'undercut', 1),
+    floor: Math.max(1, intFlag(flags, 'floor', 1)),
+    minPct: intFlag(flags, 'min-pct', 70),
+    ctzOnly: Boolean(flags['ctz-only']),
+    raise: Boolean(flags.raise),
+  };
+  const outputOptions = getOutputOptions(flags);
+
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
+  let products;
+  try {
+    products = await client.exportProducts();
+  } catch (err) {
+    console.error('Failed to fetch products:', err.message);
+    process.exit(1);
+  }
+  const ownIds = new Set(products.map(p => p.id));
+
+  const { listings, failures } = await fetchListingsByBlueprint(client, products.map(p => p.blueprint_id), {
+    onProgress: ({ done, total }) => process.stderr.write(`\rFetching marketplace prices ${done}/${total}...`)
+  });
+  process.stderr.write('\n');
+
+  const changes = [];
+  let noCompetition = 0;
+  let unchanged = 0;
+  let notRaised = 0;
+  let belowFloor = 0;
+  for (const product of products) {
+    const blueprintListings = listings.get(product.blueprint_id);
+    if (!blueprintListings) continue; // fetch failed, reported below
+    const competitors = competitorsFor(product, blueprintListings, { ownIds, ctzOnly: rules.ctzOnly });
+    const { minCents } = priceStats(competitors);
+    if (minCents == null) { noCompetition++; continue; }
+
+    const currentCents = getPriceCents(product);
+    const { targetCents, rule } = computeTarget(currentCents, minCents, rules);
+    if (rule === 'no raise') { notRaised++; continue; }
+    if (rule.endsWith('(not raised)')) { belowFloor++; continue; }
+    if (targetCents === currentCents) { unchanged++; continue; }
+    changes.push({ product, currentCents, minCents, targetCents, rule });
+  }
+
+  const grossDeltaCents = changes.reduce((sum, c) => sum + (c.targetCents - c.currentCents) * (c.product.quantity ?? 1), 0);
+  const signed = (cents) => (cents > 0 ? '+' : '') + formatUSDFromCents(cents);
+
+  // Machine-readable report replaces the table; the summary still goes to stderr
+  const log = outputOptions.machine ? console.error : console.log;
+  if (outputOptions.machine) {
+    const rows = changes.map(({ product, currentCents, minCents, targetCents, rule }) => {
+      const variant = getVariant(product);
+      return {
+        product_id: product.id,
+        blueprint_id: product.blueprint_id,
+        name: product.name_en || product.name || null,
+        condition: variant.condition,
+        language: variant.language,
+        foil: variant.foil,
+        quantity: product.quantity ?? 1,
+        old_cents: currentCents,
+        market_min_cents: minCents,
+        new_cents: targetCents,
+        rule
+      };
+    });
+    writeReport(outputOptions, {
+      report: { rules, products: products.length, unchanged, not_raised: notRaised, below_floor: belowFloor, no_competition: noCompetition,
+        gross_delta_cents: grossDeltaCents, applied: Boolean(flags.apply), changes: rows, failures },
+      rows,
+      columns: ['product_id', 'blueprint_id', 'name', 'condition', 'language', 'foil', 'quantity',
+        'old_cents', 'market_min_cents', 'new_cents', 'rule']
+    });
+  }
+
+  log(`Rules: undercut ${rules.undercut}¢, floor ${rules.floor}¢, min ${rules.minPct}% of current${rules.ctzOnly ? ', CTZ competitors only' : ''}${rules.raise ? ', raises allowed' : ''}`);
+  if (changes.length > 0 && !outputOptions.machine) {
+    console.table(changes.map(({ product, currentCents, minCents, targetCents, rule }) => {
+      const variant = getVariant(product);
+      return {
+        id: product.id,
+        name: product.name_en || product.name || `blueprint ${product.blueprint_id}`,
+        variant: [variant.condition, variant.language, variant.foil ? 'foil' : null].filter(Boolean).join(' / '),
+        qty: product.quantity ?? 1,
+        old_usd: formatUSDFromCents(currentCents),
+        market_min_usd: formatUSDFromCents(minCents),
+        new_usd: formatUSDFromCents(targetCents),
+        rule
+      };
+    }));
+  }
+  log(`Products: ${products.length}  To reprice: ${changes.length}  Unchanged: ${unchanged}  No competition: ${noCompetition}` +
+    (notRaised > 0 ? `  Already cheapest: ${notRaised} (--raise to move them up)` : '') +
+    (belowFloor > 0 ? `  Below floor: ${belowFloor} (--raise to lift them to it)` : ''));
+  log(`Gross delta: ${signed(grossDeltaCents)}`);
+  if (failures.length > 0) {
+    console.error(`Skipped ${failures.length} blueprint(s) whose marketplace fetch failed:`);
+    for (const f of failures) console.error(`  blueprint ${f.blueprintId}: ${f.message}`);
+  }
+
+  if (!flags.apply) {
+    if (changes.length > 0) log('Dry run: re-run with --apply to push these prices.');
+    return;
+  }
+  if (changes.length === 0) return;
+
+  if (!flags.yes) {
+    if (!process.stdin.isTTY) {
+      console.error('Refusing to change prices without confirmation: re-run with --yes');
+      process.exit(1);
+    }
+    const ok = await confirm(`Reprice these ${changes.length} listing(s)? [y/N] `, outputOptions.machine ? process.stderr : process.stdout);
+    if (!ok) {
+      log('Aborted, nothing changed.');
+      return;
+    }
+  }
+
+  const payload = changes.map(c => ({ id: c.product.id, price: c.targetCents / 100 }));
+  const { failures: failedUpdates, unknown } = await runBulk(client, 'bulkUpdate', payload, {
+    onChunk: ({ size, jobId, state, error }) =>
+      log(`${error ? 'Failed to submit' : 'Submitted'} ${size} price updates${jobId ? ` (job ${jobId})` : ''}${error ? `: ${error}` : `: ${state}`}`)
+  });
+  if (failedUpdates.length > 0) {
+    console.error(`${failedUpdates.length} product(s) failed to update:`);
+    for (const f of failedUpdates) console.error(`  product ${f.item.id}: ${f.message}`);
+  }
+  if (unknown.length > 0) {
+    console.error(`${unknown.length} product(s) in unknown state:`);
+    for (const f of unknown) console.error(`  product ${f.item.id}: ${f.message}`);
+  }
+  if (failedUpdates.length > 0 || unknown.length > 0) process.exit(1);
+})();
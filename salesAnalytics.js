@@ -0,0 +1,294 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { formatUSDFromCents } = require('./lib/helpers');
+const { createOrderStore } = require('./lib/order-store');
+const { createItemResolver } = require('./lib/order-items');
+const { parseArgs, intFlag } = require('./lib/cli');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Period keys sort chronologically: 2024-05-06 (day, or the Monday starting the week) and 2024-05 (month), UTC
+const BUCKETS = {
+  day: (d) => d.toISOString().slice(0, 10),
+  week: (d) => new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10),
+  month: (d) => d.toISOString().slice(0, 7),
+};
+const GROUPINGS = ['game', 'expansion', 'card'];
+const ROW_SETS = ['series', 'movers', 'velocity'];
+
+const USAGE = `Usage: node salesAnalytics.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--bucket=day|week|month]
+                             [--by=game|expansion|card] [--top=10] [--stock]
+                             [--format=table|json|csv|ndjson] [--rows=series|movers|velocity] [--output=FILE]
+
+Revenue and units per period over sales in the local order store (default: the last 90 days, by week
+and expansion), with the change against the previous period, the top movers between the last two
+periods and sell-through velocity (units per week) per blueprint. --stock adds listed quantities from
+/products/export: weeks of stock left at the current velocity, and listed blueprints that didn't sell.
+json carries every section; csv and ndjson write the section picked with --rows (default: series).`;
+
+// Change against the previous period in percent; null when there is nothing to compare against
+const changePct = (current, previous) => (previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null);
+const formatChange = (pct) => (pct == null ? '' : `${pct > 0 ? '+' : ''}${pct}%`);
+const signedUSD = (cents) => (cents > 0 ? '+' : '') + formatUSDFromCents(cents);
+
+// Every period key between from and to, so periods without sales show up as zero
+const periodsBetween = (from, to, bucket) => {
+  const keys = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) {
+    const key = BUCKETS[bucket](new Date(t));
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  return keys;
+};
+
+(async function() {
+  const { flags } = parseArgs();
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  // --to is inclusive of the whole day
+  const to = flags.to ? new Date(new Date(flags.to).getTime() + DAY_MS - 1) : new Date();
+  const from = flags.from ? new Date(flags.from) : new Date(to.getTime() - 90 * DAY_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    console.error('Invalid date range. Use YYYY-MM-DD with --from before --to.');
+    process.exit(1);
+  }
+  const bucket = flags.bucket || 'week';
+  const by = flags.by || 'expansion';
+  const rowSet = flags.rows || 'series';
+  if (!BUCKETS[bucket] || !GROUPINGS.includes(by) || !ROW_SETS.includes(rowSet)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const top = intFlag(flags, 'top', 10);
+  const outputOptions = getOutputOptions(flags);
+
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
+  let expansions;
+  let games;
+  let products = null;
+  const store = createOrderStore(client);
+  try {
+    expansions = await client.expansions();
+    games = await client.games();
+    await store.sync();
+    if (flags.stock) products = await client.exportProducts();
+  } catch (err) {
+    console.error('Failed to load data:', err.message);
+    process.exit(1);
+  }
+
+  const orders = store.list({ from, to, sales: true });
+  const { items, unmatched } = await createItemResolver(client, { expansions }).resolveOrders(orders);
+  if (unmatched.length > 0) {
+    console.error(`Warning: ${unmatched.length} order items could not be matched to an expansion; they count under "Unmatched"`);
+  }
+  const entries = [...items, ...unmatched];
+
+  const gameNameById = new Map(games.map(g => [g.id, g.display_name || g.name]));
+  const groupOf = {
+    game: (e) => (e.gameId != null ? { key: e.gameId, label: gameNameById.get(e.gameId) || `game ${e.gameId}` } : { key: 'unknown', label: 'Unknown' }),
+    expansion: (e) => (e.expansion ? { key: e.expansion.id, label: e.expansion.name } : { key: 'unmatched', label: 'Unmatched' }),
+    card: (e) => ({ key: e.blueprintId ?? e.name, label: `${e.name} (${e.expansion?.code || e.expansion?.name || 'unmatched'})` }),
+  };
+
+  // period -> totals, and group -> period -> totals
+  const periods = periodsBetween(from, to, bucket);
+  const emptyCell = () => ({ orders: new Set(), qty: 0, cents: 0 });
+  const totals = new Map(periods.map(p => [p, emptyCell()]));
+  const groups = new Map(); // key -> { label, qty, cents, cells: Map period -> cell }
+  // blueprint -> { blueprintId, name, expansion, qty, cents, lastSold }
+  const blueprints = new Map();
+
+  for (const e of entries) {
+    const date = new Date(e.order.date);
+    const period = BUCKETS[bucket](date);
+    const cell = totals.get(period);
+    if (!cell) continue;
+    cell.orders.add(e.order.id);
+    cell.qty += e.quantity;
+    cell.cents += e.cents;
+
+    const { key, label } = groupOf[by](e);
+    const group = groups.get(key) || { key, label, qty: 0, cents: 0, cells: new Map() };
+    const groupCell = group.cells.get(period) || emptyCell();
+    groupCell.orders.add(e.order.id);
+    groupCell.qty += e.quantity;
+    groupCell.cents += e.cents;
+    group.cells.set(period, groupCell);
+    group.qty += e.quantity;
+    group.cents += e.cents;
+    groups.set(key, group);
+
+    if (e.blueprintId != null) {
+      const bp = blueprints.get(e.blueprintId) || { blueprintId: e.blueprintId, name: e.name, expansion: e.expansion, qty: 0, cents: 0, lastSold: null };
+      bp.qty += e.quantity;
+      bp.cents += e.cents;
+      if (!bp.lastSold || date > bp.lastSold) bp.lastSold = date;
+      blueprints.set(e.blueprintId, bp);
+    }
+  }
+
+  // Period-over-period series: overall and per group
+  const cellOf = (group, period) => group.cells.get(period) || emptyCell();
+  const seriesRows = [];
+  periods.forEach((period, i) => {
+    const cell = totals.get(period);
+    const prev = i > 0 ? totals.get(periods[i - 1]) : null;
+    seriesRows.push({ period, group: 'total', key: 'total', label: 'Total', orders: cell.orders.size, quantity: cell.qty,
+      total_cents: cell.cents, change_pct: prev ? changePct(cell.cents, prev.cents) : null });
+  });
+  for (const group of groups.values()) {
+    periods.forEach((period, i) => {
+      const cell = cellOf(group, period);
+      const prev = i > 0 ? cellOf(group, periods[i - 1]) : null;
+      seriesRows.push({ period, group: by, key: group.key, label: group.label, orders: cell.orders.size, quantity: cell.qty,
+        total_cents: cell.cents, change_pct: prev ? changePct(cell.cents, prev.cents) : null });
+    });
+  }
+
+  // Top movers: revenue change between the last two periods (the last one may still be in progress)
+  const [previousPeriod, lastPeriod] = periods.length > 1 ? periods.slice(-2) : [null, periods[0]];
+  const moves = [...groups.values()].map(group => {
+    const last = cellOf(group, lastPeriod);
+    const previous = previousPeriod ? cellOf(group, previousPeriod) : emptyCell();
+    return {
+      key: group.key,
+      label: group.label,
+      previous_quantity: previous.qty,
+      last_quantity: last.qty,
+      previous_cents: previous.cents,
+      last_cents: last.cents,
+      delta_cents: last.cents - previous.cents,
+      change_pct: changePct(last.cents, previous.cents)
+    };
+  }).filter(m => m.delta_cents !== 0);
+  const gainers = moves.filter(m => m.delta_cents > 0).sort((a, b) => b.delta_cents - a.delta_cents).slice(0, top);
+  const decliners = moves.filter(m => m.delta_cents < 0).sort((a, b) => a.delta_cents - b.delta_cents).slice(0, top);
+  const moverRows = [...gainers.map(m => ({ direction: 'up', ...m })), ...decliners.map(m => ({ direction: 'down', ...m }))];
+
+  // Velocity: units per week over the whole range, against listed stock with --stock
+  const weeks = Math.max((to.getTime() - from.getTime()) / WEEK_MS, 1 / 7);
+  const stock = new Map(); // blueprint -> { qty, name }
+  for (const p of products || []) {
+    const prev = stock.get(p.blueprint_id) || { qty: 0, name: p.name_en || p.name || p.blueprint?.name };
+    prev.qty += p.quantity ?? 1;
+    stock.set(p.blueprint_id, prev);
+  }
+  const velocityRows = [...blueprints.values()].map(bp => {
+    // Weeks of stock come from the unrounded rate, which is 0 only when nothing sold
+    const rate = bp.qty / weeks;
+    const inStock = products ? (stock.get(bp.blueprintId)?.qty ?? 0) : null;
+    return {
+      blueprint_id: bp.blueprintId,
+      name: bp.name,
+      expansion: bp.expansion?.name ?? null,
+      quantity: bp.qty,
+      total_cents: bp.cents,
+      units_per_week: Math.round(rate * 100) / 100,
+      last_sold: bp.lastSold.toISOString().slice(0, 10),
+      in_stock: inStock,
+      weeks_of_stock: inStock != null && rate > 0 ? Math.round((inStock / rate) * 10) / 10 : null
+    };
+  }).sort((a, b) => b.units_per_week - a.units_per_week || b.total_cents - a.total_cents);
+  // Listed blueprints with no sales in the range: the bulk that isn't moving
+  const notMoving = [...stock.entries()]
+    .filter(([blueprintId]) => !blueprints.has(blueprintId))
+    .map(([blueprintId, s]) => ({ blueprint_id: blueprintId, name: s.name, in_stock: s.qty }))
+    .sort((a, b) => b.in_stock - a.in_stock);
+
+  const totalQty = entries.reduce((sum, e) => sum + e.quantity, 0);
+  const totalCents = entries.reduce((sum, e) => sum + e.cents, 0);
+  const fromStr = from.toISOString().slice(0, 10);
+  const toStr = to.toISOString().slice(0, 10);
+
+  if (outputOptions.machine) {
+    const rowsFor = { series: seriesRows, movers: moverRows, velocity: velocityRows };
+    writeReport(outputOptions, {
+      report: {
+        from: fromStr,
+        to: toStr,
+        bucket,
+        by,
+        orders: orders.length,
+        quantity: totalQty,
+        total_cents: totalCents,
+        series: seriesRows,
+        movers: { previous_period: previousPeriod, last_period: lastPeriod, rows: moverRows },
+        velocity: velocityRows,
+        not_moving: products ? notMoving : null
+      },
+      rows: rowsFor[rowSet],
+      columns: rowsFor[rowSet].length ? Object.keys(rowsFor[rowSet][0]) : undefined
+    });
+    return;
+  }
+
+  console.log(`Sales ${fromStr} → ${toStr}: ${orders.length} orders, ${totalQty} cards, ${formatUSDFromCents(totalCents)}`);
+
+  console.log(`\nRevenue by ${bucket}:`);
+  console.table(seriesRows.filter(r => r.group === 'total').map(r => ({
+    period: r.period,
+    orders: r.orders,
+    qty: r.quantity,
+    revenue_usd: formatUSDFromCents(r.total_cents),
+    change: formatChange(r.change_pct)
+  })));
+
+  // The console only has room for the most recent periods; machine-readable output carries all of them
+  const shownPeriods = periods.slice(-6);
+  const topGroups = [...groups.values()].sort((a, b) => b.cents - a.cents).slice(0, top);
+  if (topGroups.length > 0) {
+    console.log(`\nTop ${topGroups.length} by ${by}, revenue per ${bucket}${periods.length > shownPeriods.length ? ` (last ${shownPeriods.length})` : ''}:`);
+    console.table(topGroups.map(group => ({
+      [by]: group.label,
+      ...Object.fromEntries(shownPeriods.map(p => [p, formatUSDFromCents(cellOf(group, p).cents)])),
+      qty: group.qty,
+      total_usd: formatUSDFromCents(group.cents)
+    })));
+  }
+
+  if (previousPeriod && moverRows.length > 0) {
+    console.log(`\nTop movers, ${previousPeriod} → ${lastPeriod}:`);
+    console.table(moverRows.map(m => ({
+      [by]: m.label,
+      qty: `${m.previous_quantity} → ${m.last_quantity}`,
+      revenue: `${formatUSDFromCents(m.previous_cents)} → ${formatUSDFromCents(m.last_cents)}`,
+      delta_usd: signedUSD(m.delta_cents),
+      change: formatChange(m.change_pct)
+    })));
+  }
+
+  if (velocityRows.length > 0) {
+    console.log(`\nFastest sellers (units/week over ${Math.round(weeks * 10) / 10} weeks):`);
+    console.table(velocityRows.slice(0, top).map(v => ({
+      name: v.name,
+      expansion: v.expansion ?? '',
+      qty: v.quantity,
+      per_week: v.units_per_week,
+      last_sold: v.last_sold,
+      ...(products ? { in_stock: v.in_stock, weeks_of_stock: v.weeks_of_stock } : {})
+    })));
+  }
+
+  if (products) {
+    const restock = velocityRows.filter(v => v.weeks_of_stock != null && v.weeks_of_stock < 4).slice(0, top);
+    if (restock.length > 0) {
+      console.log('\nRestock candidates (under 4 weeks of stock at the current velocity):');
+      console.table(restock.map(v => ({ name: v.name, expansion: v.expansion ?? '', per_week: v.units_per_week, in_stock: v.in_stock })));
+    }
+    if (notMoving.length > 0) {
+      console.log(`\nNot moving: ${notMoving.length} listed blueprints without sales in the range (top ${Math.min(top, notMoving.length)} by stock):`);
+      console.table(notMoving.slice(0, top));
+    }
+  }
+})();
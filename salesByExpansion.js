@@ -1,44 +1,27 @@
-require('@dotenvx/dotenvx').config();
+const { isMachineFormat, getOutputOptions, renderReport, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
 
 const fs = require('fs');
-const path = require('path');
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { createOrderStore } = require('./lib/order-store');
+const { formatUSDFromCents } = require('./lib/helpers');
+const { parseArgs } = require('./lib/cli');
+const { createItemResolver, salesByExpansion, unmatchedRecord } = require('./lib/order-items');
 
-const API_URL = (process.env.API_URL?.replace(/\/$/, '')) || 'https://api.cardtrader.com/api/v2';
-const API_TOKEN = process.env.API_TOKEN;
-const PAGE_LIMIT = parseInt(process.env.PAGE_LIMIT || '200', 10);
-const CACHE_DIR = process.env.CACHE_DIR || path.join(process.cwd(), '.cache');
-const CACHE_TTL_HOURS = parseInt(process.env.CACHE_TTL_HOURS || '168', 10);
-const CACHE_TTL_MS = CACHE_TTL_HOURS * 60 * 60 * 1000;
-const ORDERS_CACHE_TTL_MS = 1 * 60 * 60 * 1000; // 1 hour for orders
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-(async function() {
-  if (!API_TOKEN) {
-    console.error('Missing API_TOKEN in environment (.env)');
-    process.exit(1);
-  }
-
-  // ─── Helpers ───────────────────────────────────────────────────────────────
-  const formatUSDFromCents = (cents) =>
-    new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format((cents ?? 0) / 100);
-
-  const ensureCacheDir = () => {
-    try { fs.mkdirSync(CACHE_DIR, { recursive: true }); } catch (_) {}
-  };
+// Orderings for expansions and cards in the results view and exports
+const SORTS = {
+  revenue: (a, b) => b.totalCents - a.totalCents || b.qty - a.qty,
+  quantity: (a, b) => b.qty - a.qty || b.totalCents - a.totalCents,
+  name: (a, b) => a.name.localeCompare(b.name),
+};
 
-  const readJsonIfFresh = (file, ttl = CACHE_TTL_MS) => {
-    try {
-      const stat = fs.statSync(file);
-      if (Date.now() - stat.mtimeMs > ttl) return null;
-      return JSON.parse(fs.readFileSync(file, 'utf8'));
-    } catch (_) { return null; }
-  };
-
-  const writeJson = (file, data) => {
-    try {
-      ensureCacheDir();
-      fs.writeFileSync(file, JSON.stringify(data), 'utf8');
-    } catch (_) {}
-  };
+(async function() {
+  // With a machine-readable --format the TUI is skipped: results are computed for --expansions
+  // (comma-separated ids or codes, default: every expansion with sales) and written out
+  const { flags } = parseArgs();
+  const outputOptions = getOutputOptions(flags);
 
   // ─── ANSI helpers ──────────────────────────────────────────────────────────
   const CSI = '\x1b[';
@@ -53,17 +36,25 @@ const ORDERS_CACHE_TTL_MS = 1 * 60 * 60 * 1000; // 1 hour for orders
   const yellow = (s) => CSI + '33m' + s + CSI + '0m';
   const cyan = (s) => CSI + '36m' + s + CSI + '0m';
 
+  // Retries are reported on the status line so they don't scroll the TUI
+  const client = createClient({
+    onRetry: outputOptions.machine ? logRetry : ({ err, attempt, retries, delayMs }) => {
+      moveTo(process.stdout.rows - 1, 1);
+      process.stdout.write(CSI + 'K' + yellow(`${err.message} — retry ${attempt}/${retries} in ${(delayMs / 1000).toFixed(1)}s`));
+    }
+  });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
   // ─── Fetch categories ──────────────────────────────────────────────────────
-  const catCachePath = path.join(CACHE_DIR, 'categories.json');
-  let categories = readJsonIfFresh(catCachePath);
-  if (!Array.isArray(categories)) {
-    process.stdout.write('Fetching categories...\n');
-    const res = await fetch(`${API_URL}/categories`, {
-      headers: { 'Authorization': `Bearer ${API_TOKEN}`, 'Content-Type': 'application/json' }
-    });
-    if (!res.ok) { console.error('Failed to fetch categories'); process.exit(1); }
-    categories = await res.json();
-    if (Array.isArray(categories)) writeJson(catCachePath, categories);
+  let categories;
+  try {
+    categories = await client.categories();
+  } catch (err) {
+    console.error('Failed to fetch categories:', err.message);
+    process.exit(1);
   }
 
   // ─── Extract unique games from categories ──────────────────────────────────
@@ -78,44 +69,75 @@ const ORDERS_CACHE_TTL_MS = 1 * 60 * 60 * 1000; // 1 hour for orders
   const games = [...gamesMap.values()].sort((a, b) => a.name.localeCompare(b.name));
 
   // ─── Fetch expansions ──────────────────────────────────────────────────────
-  const expCachePath = path.join(CACHE_DIR, 'expansions.json');
-  let expansions = readJsonIfFresh(expCachePath);
-  if (!Array.isArray(expansions)) {
-    process.stdout.write('Fetching expansions...\n');
-    const res = await fetch(`${API_URL}/expansions`, {
-      headers: { 'Authorization': `Bearer ${API_TOKEN}`, 'Content-Type': 'application/json' }
-    });
-    if (!res.ok) { console.error('Failed to fetch expansions'); process.exit(1); }
-    expansions = await res.json();
-    if (Array.isArray(expansions)) writeJson(expCachePath, expansions);
+  let expansions;
+  try {
+    expansions = await client.expansions();
+  } catch (err) {
+    console.error('Failed to fetch expansions:', err.message);
+    process.exit(1);
   }
 
-  // ─── Fetch orders (with cache) ─────────────────────────────────────────────
+  // ─── Fetch orders (incremental sync into the local order store) ────────────
+  const orderStore = createOrderStore(client);
   const fetchAllOrders = async () => {
-    const ordersCachePath = path.join(CACHE_DIR, 'orders_all.json');
-    let orders = readJsonIfFresh(ordersCachePath, ORDERS_CACHE_TTL_MS);
-    if (Array.isArray(orders)) {
-      return orders;
-    }
+    await orderStore.sync({
+      onPage: outputOptions.machine ? undefined : ({ page, total }) => {
+        moveTo(process.stdout.rows - 1, 1);
+        process.stdout.write(CSI + 'K' + dim(`Syncing orders page ${page} (${total} orders)...`));
+      }
+    });
+    return orderStore.list({ sales: true });
+  };
 
-    orders = [];
-    let page = 1;
-    let hasMore = true;
-    while (hasMore) {
-      moveTo(process.stdout.rows - 1, 1);
-      process.stdout.write(CSI + 'K' + dim(`Fetching orders page ${page}...`));
-      const res = await fetch(`${API_URL}/orders?sort=date.desc&page=${page}&limit=${PAGE_LIMIT}`, {
-        headers: { 'Authorization': `Bearer ${API_TOKEN}`, 'Content-Type': 'application/json' }
-      });
-      if (!res.ok) { console.error('Failed to fetch orders'); process.exit(1); }
-      const data = await res.json();
-      if (!Array.isArray(data) || data.length === 0) break;
-      orders.push(...data);
-      hasMore = data.length === PAGE_LIMIT;
-      page++;
-    }
-    writeJson(ordersCachePath, orders);
-    return orders;
+  // ─── Sales per expansion ───────────────────────────────────────────────────
+  // Items are resolved to expansion ids (lib/order-items.js) so totals match cardsSoldOfSet.js
+  const resolver = createItemResolver(client, { expansions });
+  // Without expansionIds every expansion with sales is reported
+  const computeResults = async (orders, expansionIds) => {
+    const { items, unmatched } = await resolver.resolveOrders(orders);
+    const sold = salesByExpansion(items);
+    const results = [...(expansionIds ?? sold.keys())].map(expId => {
+      const set = sold.get(expId);
+      return {
+        id: expId,
+        name: expansions.find(e => e.id === expId)?.name || 'Unknown',
+        totalCents: set?.totalCents ?? 0,
+        qty: set?.qty ?? 0,
+        cardBreakdown: set?.cards ?? new Map() // blueprint id -> { blueprintId, name, qty, totalCents }
+      };
+    });
+    return { results, unmatched };
+  };
+
+  // Report shape shared by --format output and the results view export
+  const buildReport = (results, unmatched, { sort = 'revenue', from = null, to = null } = {}) => {
+    const sorted = [...results].sort(SORTS[sort]);
+    const cardRows = (r) => [...r.cardBreakdown.values()].sort(SORTS[sort]).map(card => ({
+      expansion_id: r.id,
+      expansion: r.name,
+      blueprint_id: card.blueprintId ?? null,
+      name: card.name,
+      quantity: card.qty,
+      total_cents: card.totalCents
+    }));
+    return {
+      report: {
+        from,
+        to,
+        quantity: sorted.reduce((sum, r) => sum + r.qty, 0),
+        total_cents: sorted.reduce((sum, r) => sum + r.totalCents, 0),
+        expansions: sorted.map(r => ({
+          expansion_id: r.id,
+          expansion: r.name,
+          quantity: r.qty,
+          total_cents: r.totalCents,
+          cards: cardRows(r)
+        })),
+        unmatched: unmatched.map(unmatchedRecord)
+      },
+      rows: sorted.flatMap(cardRows),
+      columns: ['expansion_id', 'expansion', 'blueprint_id', 'name', 'quantity', 'total_cents']
+    };
   };
 
   // ─── TUI State ─────────────────────────────────────────────────────────────
@@ -127,6 +149,15 @@ const ORDERS_CACHE_TTL_MS = 1 * 60 * 60 * 1000; // 1 hour for orders
   let filterText = '';
   let markedExpansions = new Set(); // expansion IDs
 
+  // Results view: orders are synced once on entry; the date range and sort only recompute locally
+  let results = [];
+  let unmatched = [];
+  let resultSort = 'revenue';
+  let expanded = new Set(); // expansion IDs showing their full card breakdown
+  let dateRange = { from: null, to: null }; // YYYY-MM-DD, inclusive
+  let dateInput = null; // text while editing the date range
+  let statusMessage = '';
+
   const getVisibleRows = () => process.stdout.rows - 6; // reserve lines for header/footer
 
   // ─── Render functions ──────────────────────────────────────────────────────
@@ -211,100 +242,183 @@ const ORDERS_CACHE_TTL_MS = 1 * 60 * 60 * 1000; // 1 hour for orders
     process.stdout.write(dim(`${filtered.length} expansions`) + '  ' + green(`${markedExpansions.size} selected`));
   };
 
-  const renderResults = async () => {
+  const loadResults = async () => {
+    const from = dateRange.from ? new Date(dateRange.from) : null;
+    const to = dateRange.to ? new Date(new Date(dateRange.to).getTime() + DAY_MS - 1) : null;
+    ({ results, unmatched } = await computeResults(orderStore.list({ from, to, sales: true }), markedExpansions));
+  };
+
+  const openResults = async () => {
     clear();
     moveTo(1, 1);
-    process.stdout.write(bold('Calculating Lifetime Sales...'));
-    
-    const orders = await fetchAllOrders();
-    
-    // Build a map of expansion names for matching (order items have name, not ID)
-    const expNameToId = new Map();
-    for (const exp of expansions) {
-      expNameToId.set(exp.name.toLowerCase(), exp.id);
+    process.stdout.write(bold('Calculating Sales...'));
+    try {
+      await fetchAllOrders();
+      await loadResults();
+    } catch (err) {
+      showCursor();
+      console.error('\nFailed to fetch orders:', err.message);
+      process.exit(1);
     }
-    
-    // Calculate sales per marked expansion
-    const results = [];
-    for (const expId of markedExpansions) {
-      const exp = expansions.find(e => e.id === expId);
-      const expName = exp?.name?.toLowerCase() || '';
-      let totalCents = 0;
-      let totalQty = 0;
-      const cardBreakdown = new Map();
-
-      for (const order of orders) {
-        const items = order.order_items || order.items || [];
-        if (!Array.isArray(items)) continue;
-        for (const item of items) {
-          // Match by expansion name (order items have expansion as string)
-          const itemExpName = (item.expansion || '').toLowerCase();
-          if (itemExpName === expName) {
-            const qty = item.quantity ?? 1;
-            const priceCents = item.seller_price?.cents 
-              ?? item.price_cents 
-              ?? (typeof item.price === 'number' ? Math.round(item.price * 100) : 0);
-            totalCents += priceCents * qty;
-            totalQty += qty;
-
-            const name = item.name || item.blueprint?.name || 'Unknown';
-            const prev = cardBreakdown.get(name) || { qty: 0, cents: 0 };
-            cardBreakdown.set(name, { qty: prev.qty + qty, cents: prev.cents + priceCents * qty });
-          }
-        }
-      }
+    state = 'results';
+    cursor = 0;
+    scrollOffset = 0;
+    statusMessage = '';
+    renderResults();
+  };
 
-      results.push({
-        id: expId,
-        name: exp?.name || 'Unknown',
-        totalCents,
-        totalQty,
-        cardBreakdown
-      });
+  // One line per expansion, followed by its cards when expanded
+  const resultLines = () => {
+    const lines = [];
+    for (const r of [...results].sort(SORTS[resultSort])) {
+      lines.push({ result: r });
+      if (!expanded.has(r.id)) continue;
+      for (const card of [...r.cardBreakdown.values()].sort(SORTS[resultSort])) lines.push({ result: r, card });
     }
+    return lines;
+  };
 
+  const rangeLabel = () => (dateRange.from || dateRange.to
+    ? `${dateRange.from || 'first order'} → ${dateRange.to || 'today'}`
+    : 'lifetime');
+
+  const renderResults = () => {
     clear();
+    const visibleRows = getVisibleRows();
+    const lines = resultLines();
+
     moveTo(1, 1);
-    process.stdout.write(bold('Lifetime Sales Results'));
+    process.stdout.write(bold('Sales Results') + dim(`  ${rangeLabel()}  ·  sorted by ${resultSort}`));
     moveTo(2, 1);
     process.stdout.write(dim('═'.repeat(process.stdout.columns - 1)));
 
-    let row = 3;
-    let grandTotalCents = 0;
-    let grandTotalQty = 0;
-
-    for (const r of results) {
-      grandTotalCents += r.totalCents;
-      grandTotalQty += r.totalQty;
-      moveTo(row++, 1);
-      process.stdout.write(bold(r.name));
-      moveTo(row++, 1);
-      process.stdout.write(`  Cards sold: ${cyan(r.totalQty.toString())}  |  Revenue: ${green(formatUSDFromCents(r.totalCents))}`);
-      
-      // Top 5 cards
-      if (r.cardBreakdown.size > 0) {
-        const sorted = [...r.cardBreakdown.entries()].sort((a, b) => b[1].cents - a[1].cents).slice(0, 5);
-        for (const [name, data] of sorted) {
-          moveTo(row++, 1);
-          process.stdout.write(dim(`    ${name}: ${data.qty}x = ${formatUSDFromCents(data.cents)}`));
-        }
+    if (cursor >= lines.length) cursor = Math.max(0, lines.length - 1);
+    if (cursor < scrollOffset) scrollOffset = cursor;
+    if (cursor >= scrollOffset + visibleRows) scrollOffset = cursor - visibleRows + 1;
+
+    for (let i = 0; i < visibleRows && i + scrollOffset < lines.length; i++) {
+      const { result: r, card } = lines[i + scrollOffset];
+      const isCursor = i + scrollOffset === cursor;
+      moveTo(3 + i, 1);
+      if (card) {
+        const line = `      ${card.name}: ${card.qty}x = ${formatUSDFromCents(card.totalCents)}`;
+        process.stdout.write(isCursor ? inverse(line.padEnd(process.stdout.columns - 1)) : dim(line));
+        continue;
       }
-      moveTo(row++, 1);
-      process.stdout.write(dim('─'.repeat(process.stdout.columns - 1)));
+      const marker = expanded.has(r.id) ? '▾' : '▸';
+      const line = `${marker} ${r.name}  ${r.qty} cards  ${formatUSDFromCents(r.totalCents)}  (${r.cardBreakdown.size} cards)`;
+      process.stdout.write(isCursor ? inverse(' ' + line.padEnd(process.stdout.columns - 2) + ' ') : ' ' + bold(line));
     }
 
-    moveTo(row++, 1);
-    process.stdout.write(bold('GRAND TOTAL'));
-    moveTo(row++, 1);
-    process.stdout.write(`  Cards: ${cyan(grandTotalQty.toString())}  |  Revenue: ${green(formatUSDFromCents(grandTotalCents))}`);
-
+    const grandQty = results.reduce((sum, r) => sum + r.qty, 0);
+    const grandCents = results.reduce((sum, r) => sum + r.totalCents, 0);
+    moveTo(process.stdout.rows - 3, 1);
+    process.stdout.write(dim('─'.repeat(process.stdout.columns - 1)));
+    moveTo(process.stdout.rows - 2, 1);
+    process.stdout.write(bold('GRAND TOTAL') + `  Cards: ${cyan(grandQty.toString())}  |  Revenue: ${green(formatUSDFromCents(grandCents))}` +
+      (unmatched.length > 0 ? yellow(`  (${unmatched.length} order items not matched to an expansion)`) : ''));
     moveTo(process.stdout.rows - 1, 1);
-    process.stdout.write(dim('Press any key to go back, q to quit'));
+    if (dateInput != null) {
+      process.stdout.write(yellow('Date range FROM..TO (YYYY-MM-DD, either side optional, empty clears): ' + dateInput + '▌'));
+    } else {
+      process.stdout.write(dim('↑↓ navigate  ') + dim('Enter expand  ') + dim('e expand all  ') + dim('s sort  ') +
+        dim('d date range  ') + cyan('c CSV  ') + cyan('J JSON  ') + dim('Esc back  ') + dim('q quit'));
+    }
+    moveTo(process.stdout.rows, 1);
+    process.stdout.write(statusMessage || dim(`${results.length} expansions`));
+  };
+
+  // Writes the current view (range, sort, every card of the selected expansions) next to the script's cwd
+  const exportResults = (format) => {
+    const data = buildReport(results, unmatched, { sort: resultSort, ...dateRange });
+    const file = `sales-by-expansion-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    try {
+      fs.writeFileSync(file, renderReport(format, data) + '\n', 'utf8');
+      statusMessage = green(`Exported ${data.rows.length} rows to ${file}`);
+    } catch (err) {
+      statusMessage = yellow(`Export failed: ${err.message}`);
+    }
+  };
+
+  const applyDateInput = async (text) => {
+    const match = text.trim().match(/^(\d{4}-\d{2}-\d{2})?\s*(?:\.\.\s*(\d{4}-\d{2}-\d{2})?)?$/);
+    const valid = (d) => !d || !isNaN(new Date(d).getTime());
+    if (!match || !valid(match[1]) || !valid(match[2])) {
+      statusMessage = yellow(`Invalid date range "${text}" — use YYYY-MM-DD..YYYY-MM-DD`);
+      return;
+    }
+    dateRange = { from: match[1] || null, to: match[2] || null };
+    await loadResults();
+    cursor = 0;
+    scrollOffset = 0;
+    statusMessage = dim(`Showing ${rangeLabel()}`);
+  };
+
+  const handleResultsInput = async (key) => {
+    // Date range prompt
+    if (dateInput != null) {
+      if (key === '\x1b') {
+        dateInput = null;
+      } else if (key === '\r') {
+        const text = dateInput;
+        dateInput = null;
+        await applyDateInput(text);
+      } else if (key === '\x7f' || key === '\b') {
+        dateInput = dateInput.slice(0, -1);
+      } else if (key.length === 1 && key >= ' ') {
+        dateInput += key;
+      }
+      renderResults();
+      return;
+    }
+
+    const lines = resultLines();
+    statusMessage = '';
+    if (key === 'q') {
+      showCursor();
+      process.exit(0);
+    }
+    if (key === '\x1b') { // Escape - back to the picker, keeping the marked expansions
+      state = 'expansion-select';
+      cursor = 0;
+      scrollOffset = 0;
+      render();
+      return;
+    }
+    if (key === '\x1b[A' || key === 'k') cursor = Math.max(0, cursor - 1);
+    else if (key === '\x1b[B' || key === 'j') cursor = Math.min(lines.length - 1, cursor + 1);
+    else if (key === '\r' || key === ' ') {
+      const line = lines[cursor];
+      if (line) {
+        const id = line.result.id;
+        if (expanded.has(id)) expanded.delete(id);
+        else expanded.add(id);
+        // Keep the cursor on the expansion when collapsing from one of its cards
+        cursor = resultLines().findIndex(l => l.result.id === id && !l.card);
+      }
+    } else if (key === 'e') {
+      expanded = expanded.size > 0 ? new Set() : new Set(results.map(r => r.id));
+      cursor = 0;
+      scrollOffset = 0;
+    } else if (key === 's') {
+      const sorts = Object.keys(SORTS);
+      resultSort = sorts[(sorts.indexOf(resultSort) + 1) % sorts.length];
+      cursor = 0;
+      scrollOffset = 0;
+    } else if (key === 'd') {
+      dateInput = dateRange.from || dateRange.to ? `${dateRange.from || ''}..${dateRange.to || ''}` : '';
+    } else if (key === 'c') {
+      exportResults('csv');
+    } else if (key === 'J') {
+      exportResults('json');
+    }
+    renderResults();
   };
 
   const render = () => {
     if (state === 'game-select') renderGameSelect();
     else if (state === 'expansion-select') renderExpansionSelect();
+    else if (state === 'results') renderResults();
   };
 
   // ─── Input handling ────────────────────────────────────────────────────────
@@ -314,12 +428,7 @@ const ORDERS_CACHE_TTL_MS = 1 * 60 * 60 * 1000; // 1 hour for orders
     const filteredExps = gameExpansions.filter(e => e.name.toLowerCase().includes(filterText.toLowerCase()));
 
     if (state === 'results') {
-      if (key === 'q') {
-        showCursor();
-        process.exit(0);
-      }
-      state = 'expansion-select';
-      render();
+      await handleResultsInput(key);
       return;
     }
 
@@ -407,13 +516,42 @@ const ORDERS_CACHE_TTL_MS = 1 * 60 * 60 * 1000; // 1 hour for orders
         return;
       }
       if (state === 'expansion-select' && markedExpansions.size > 0) {
-        state = 'results';
-        await renderResults();
+        await openResults();
         return;
       }
     }
   };
 
+  // ─── Non-interactive output ────────────────────────────────────────────────
+  if (outputOptions.machine) {
+    let orders;
+    try {
+      orders = await fetchAllOrders();
+    } catch (err) {
+      console.error('Failed to fetch orders:', err.message);
+      process.exit(1);
+    }
+    let expansionIds;
+    if (typeof flags.expansions === 'string') {
+      expansionIds = [];
+      for (const ref of flags.expansions.split(',').map(r => r.trim()).filter(Boolean)) {
+        const exp = expansions.find(e => String(e.id) === ref || e.code?.toLowerCase() === ref.toLowerCase());
+        if (!exp) {
+          console.error(`Unknown expansion: ${ref}`);
+          process.exit(1);
+        }
+        expansionIds.push(exp.id);
+      }
+    }
+
+    const { results, unmatched } = await computeResults(orders, expansionIds);
+    if (unmatched.length > 0) {
+      console.error(`Warning: ${unmatched.length} order items could not be matched to an expansion and are not counted`);
+    }
+    writeReport(outputOptions, buildReport(results, unmatched));
+    return;
+  }
+
   // ─── Main loop ─────────────────────────────────────────────────────────────
   process.stdin.setRawMode(true);
   process.stdin.resume();
@@ -0,0 +1,190 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./lib/cli');
+const { createScryfallSearch, searchBulkAll } = require('./lib/scryfall');
+const { ScryfallQueryError, UNIQUE_MODES, parseScryfallQuery } = require('./lib/scryfall-query');
+const {
+  SYNC_DIR, FORMATS, FINISHES, renderCards, slugify, readSyncState, writeSyncState, diffCards, withSuffix,
+} = require('./lib/card-lists');
+
+const USAGE = `Usage: node scryfall-profiles.js [NAME...] [--profiles=FILE] [--list] [--refresh] [--bulk=FILE]
+
+Refreshes saved Scryfall queries ("profiles") in one go: every profile in scryfall-profiles.json
+(or --profiles=FILE), or only the ones named. Each profile writes its card list to its output file:
+
+  { "name": "textless", "query": "is:textless", "unique": "art", "format": "moxfield", "output": "textless-cards.txt" }
+
+Optional keys: "finish", "quantity" (as in scryfall-to-moxfield.js) and "sync" (true, or a state file)
+to also write <output>.added and <output>.removed with the changes since the last run. Keys under
+"defaults" apply to every profile; output and state paths are relative to the profiles file.
+
+API results are retried on rate limits and server errors and cached in CACHE_DIR/scryfall for
+SCRYFALL_CACHE_TTL_HOURS (default 24); profiles with the same query and unique mode share one search.
+--refresh ignores the cache. --bulk=FILE answers every profile from one pass over a Scryfall bulk-data
+file instead. --list prints the profiles without running them.
+--format=json|csv|ndjson and --output=FILE write the summary.`;
+
+const PROFILES_FILE = 'scryfall-profiles.json';
+const COLUMNS = ['profile', 'query', 'unique', 'format', 'source', 'cards', 'added', 'removed', 'output', 'error'];
+const PROFILE_DEFAULTS = { unique: 'art', format: 'moxfield', finish: null, quantity: 1, sync: false };
+
+// Why a profile can't run, or null
+const profileProblem = (profile, seenNames) => {
+  if (!profile.name) return 'missing "name"';
+  if (seenNames.has(profile.name)) return `duplicate name "${profile.name}"`;
+  if (!profile.query) return 'missing "query"';
+  if (!profile.output) return 'missing "output"';
+  if (!UNIQUE_MODES.includes(profile.unique)) return `unknown unique "${profile.unique}": use ${UNIQUE_MODES.join(', ')}`;
+  if (!FORMATS.includes(profile.format)) return `unknown format "${profile.format}": use ${FORMATS.join(', ')}`;
+  if (profile.finish && profile.finish !== 'all' && !FINISHES.includes(profile.finish)) {
+    return `unknown finish "${profile.finish}": use ${[...FINISHES, 'all'].join(', ')}`;
+  }
+  if (!Number.isInteger(profile.quantity) || profile.quantity < 1) return 'quantity must be a positive whole number';
+  return null;
+};
+
+// The file's profiles with defaults applied and paths resolved; invalid ones carry a problem instead
+// of failing the whole run
+function loadProfiles(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(data) ? data : data.profiles;
+  if (!Array.isArray(list)) throw new Error(`${file} has no "profiles" list`);
+  const baseDir = path.dirname(file);
+  const seenNames = new Set();
+  return list.map(entry => {
+    const profile = { ...PROFILE_DEFAULTS, ...data.defaults, ...entry };
+    const problem = profileProblem(profile, seenNames);
+    seenNames.add(profile.name);
+    let syncFile = null;
+    if (profile.sync) {
+      syncFile = path.resolve(baseDir, profile.sync === true ? path.join(SYNC_DIR, `profile-${slugify(String(profile.name))}.json`) : profile.sync);
+    }
+    return { ...profile, output: profile.output ? path.resolve(baseDir, profile.output) : null, syncFile, problem };
+  });
+}
+
+// Writes the full list and, for sync profiles, the changes since the saved state
+function writeProfile(profile, cards) {
+  const written = [profile.output];
+  fs.mkdirSync(path.dirname(profile.output), { recursive: true });
+  fs.writeFileSync(profile.output, renderCards(cards, profile), 'utf8');
+  if (!profile.syncFile) return { written, added: null, removed: null };
+
+  const previous = readSyncState(profile.syncFile);
+  if (previous && (previous.query !== profile.query || previous.unique !== profile.unique)) {
+    throw new Error(`${profile.syncFile} holds "${previous.query}" (unique ${previous.unique}); point "sync" at another file`);
+  }
+  const { added, removed } = diffCards(previous?.cards ?? [], cards);
+  for (const [suffix, list] of [['added', added], ['removed', removed]]) {
+    const file = withSuffix(profile.output, suffix);
+    fs.writeFileSync(file, renderCards(list, profile), 'utf8');
+    written.push(file);
+  }
+  writeSyncState(profile.syncFile, { query: profile.query, unique: profile.unique, cards });
+  return { written, added: added.length, removed: removed.length };
+}
+
+(async function() {
+  const { flags, positional } = parseArgs();
+  if (flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  const outputOptions = getOutputOptions(flags);
+  const log = outputOptions.machine ? console.error : console.log;
+
+  const profilesFile = typeof flags.profiles === 'string' ? flags.profiles : PROFILES_FILE;
+  let profiles;
+  try {
+    profiles = loadProfiles(profilesFile);
+  } catch (err) {
+    console.error(`Cannot read profiles from ${profilesFile}: ${err.message}`);
+    process.exit(1);
+  }
+  const unknown = positional.filter(name => !profiles.some(p => p.name === name));
+  if (unknown.length > 0) {
+    console.error(`No profile named ${unknown.join(', ')} in ${profilesFile} (has: ${profiles.map(p => p.name).filter(Boolean).join(', ')})`);
+    process.exit(1);
+  }
+  const selected = positional.length > 0 ? profiles.filter(p => positional.includes(p.name)) : profiles;
+
+  if (flags.list) {
+    console.table(selected.map(p => ({ name: p.name, query: p.query, unique: p.unique, format: p.format,
+      output: p.output && path.relative(process.cwd(), p.output), sync: Boolean(p.syncFile), problem: p.problem || '' })));
+    return;
+  }
+
+  // With --bulk every query is checked up front and answered from a single pass over the file
+  const bulkFile = typeof flags.bulk === 'string' ? flags.bulk : null;
+  const bulkCards = new Map(); // profile -> cards
+  if (bulkFile) {
+    for (const profile of selected.filter(p => !p.problem)) {
+      try {
+        parseScryfallQuery(profile.query);
+      } catch (err) {
+        if (!(err instanceof ScryfallQueryError)) throw err;
+        profile.problem = `invalid query: ${err.message}`;
+      }
+    }
+    const runnable = selected.filter(p => !p.problem);
+    log(`Searching ${bulkFile} for ${runnable.length} profile(s)...`);
+    try {
+      const { results, scanned } = await searchBulkAll(bulkFile, runnable.map(p => ({ query: p.query, unique: p.unique })));
+      runnable.forEach((profile, i) => bulkCards.set(profile, results[i]));
+      log(`  Scanned ${scanned} cards`);
+    } catch (err) {
+      console.error(`Cannot read ${bulkFile}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const search = createScryfallSearch({
+    refresh: Boolean(flags.refresh),
+    onRetry: ({ err, attempt, retries, delayMs }) =>
+      console.error(`  ${err.message} — retry ${attempt}/${retries} in ${(delayMs / 1000).toFixed(1)}s`),
+  });
+
+  const rows = [];
+  for (const profile of selected) {
+    const row = {
+      profile: profile.name ?? null, query: profile.query ?? null, unique: profile.unique, format: profile.format,
+      source: null, cards: null, added: null, removed: null,
+      output: profile.output && path.relative(process.cwd(), profile.output), error: profile.problem,
+    };
+    rows.push(row);
+    if (profile.problem) {
+      console.error(`✗ ${profile.name ?? '(unnamed)'}: ${profile.problem}`);
+      continue;
+    }
+    try {
+      const { cards, source } = bulkFile
+        ? { cards: bulkCards.get(profile), source: 'bulk' }
+        : await search(profile.query, { unique: profile.unique });
+      const { written, added, removed } = writeProfile(profile, cards);
+      Object.assign(row, { source, cards: cards.length, added, removed });
+      const changes = added != null ? ` (+${added} / -${removed})` : '';
+      log(`✓ ${profile.name}: ${cards.length} cards from ${source}${changes} → ${written.map(f => path.relative(process.cwd(), f)).join(', ')}`);
+    } catch (err) {
+      row.error = err.message;
+      console.error(`✗ ${profile.name}: ${err.message}`);
+    }
+  }
+
+  const failed = rows.filter(r => r.error).length;
+  if (outputOptions.machine) {
+    writeReport(outputOptions, {
+      report: { profiles_file: profilesFile, profiles: rows.length, failed, rows },
+      rows,
+      columns: COLUMNS,
+    });
+  } else {
+    log('');
+    console.table(rows.map(r => ({ profile: r.profile, source: r.source ?? '-', cards: r.cards ?? '-',
+      changes: r.added != null ? `+${r.added} / -${r.removed}` : '', output: r.output, error: r.error || '' })));
+  }
+  log(`${rows.length - failed} of ${rows.length} profile(s) refreshed`);
+  if (failed > 0) process.exit(1);
+})();
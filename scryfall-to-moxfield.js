@@ -10,18 +10,31 @@
  *   node scryfall-to-moxfield.js "is:textless" --unique=art
  *   node scryfall-to-moxfield.js "is:textless" --unique=art --output=textless-cards.txt
  *   node scryfall-to-moxfield.js "is:textless" --unique=art --format=mtgo
+ *   node scryfall-to-moxfield.js "is:textless" --sync --output=textless.txt
  * 
  * Options:
  *   --unique=art|prints|cards  Scryfall unique mode (default: art)
  *   --output=FILE              Write to file instead of stdout
- *   --format=moxfield|mtgo     Output format (default: moxfield)
+ *   --format=FORMAT            moxfield|mtgo|arena|archidekt|tcgplayer text list, deckbox|moxfield-csv|cardtrader
+ *                              CSV, or json|csv|ndjson records (default: moxfield)
+ *   --finish=FINISH            nonfoil|foil|etched|all (default: each card's main finish)
+ *   --quantity=N               Copies per line (default: 1)
  *   --delay=MS                 Delay between API requests in ms (default: 100)
+ *   --bulk=FILE                Search a downloaded Scryfall bulk-data file (.json or .json.gz) instead of the
+ *                              API; supports set:, t:, o:, name, r:, c:, id:, lang:, cn:, is:/not:, and/or/-
  *   --json                     Output raw JSON instead of text list
+ *   --sync[=STATE_FILE]        Only output cards added or removed since the last --sync run
+ *   --no-save                  With --sync, show the changes without updating the saved state
  */
 
 const fs = require('fs');
-const https = require('https');
-const path = require('path');
+const { renderReport } = require('./lib/output');
+const { searchCards, searchBulk } = require('./lib/scryfall');
+const {
+  RECORD_FORMATS, RECORD_COLUMNS, SYNC_DIR, CSV_FORMATS, FORMATS, FINISHES,
+  cardEntries, cardRecord, renderCards, defaultSyncFile, readSyncState, writeSyncState, diffCards, withSuffix,
+} = require('./lib/card-lists');
+const { ScryfallQueryError } = require('./lib/scryfall-query');
 
 // ANSI colors for terminal output
 const ANSI = {
@@ -44,7 +57,12 @@ function parseArgs() {
     output: null,
     format: 'moxfield',
     delay: 100,
+    bulk: null, // Scryfall bulk-data file to search instead of the API
+    finish: null,
+    quantity: 1,
     json: false,
+    sync: null, // state file path, or true for the default one
+    save: true,
   };
 
   for (const arg of args) {
@@ -54,10 +72,22 @@ function parseArgs() {
       options.output = arg.split('=')[1];
     } else if (arg.startsWith('--format=')) {
       options.format = arg.split('=')[1];
+    } else if (arg.startsWith('--finish=')) {
+      options.finish = arg.split('=')[1];
+    } else if (arg.startsWith('--quantity=')) {
+      options.quantity = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--bulk=')) {
+      options.bulk = arg.slice('--bulk='.length);
     } else if (arg.startsWith('--delay=')) {
       options.delay = parseInt(arg.split('=')[1], 10);
     } else if (arg === '--json') {
       options.json = true;
+    } else if (arg === '--sync') {
+      options.sync = true;
+    } else if (arg.startsWith('--sync=')) {
+      options.sync = arg.slice('--sync='.length);
+    } else if (arg === '--no-save') {
+      options.save = false;
     } else if (!arg.startsWith('--') && !options.query) {
       options.query = arg;
     }
@@ -66,100 +96,95 @@ function parseArgs() {
   return options;
 }
 
-// Make HTTPS GET request with proper headers for Scryfall
-function scryfallGet(url) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, {
-      headers: {
-        'User-Agent': 'ScryfallToMoxfield/1.0 (cardTrader-scripts)',
-        'Accept': 'application/json;q=0.9,*/*;q=0.8',
-      },
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error(`Failed to parse response: ${e.message}`));
-        }
-      });
-    });
-    req.on('error', reject);
-  });
-}
-
-// Sleep helper to respect rate limits
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// Fetch all cards from Scryfall search with pagination
-async function fetchAllCards(query, unique, delayMs) {
-  const allCards = [];
-  let page = 1;
-  let hasMore = true;
-  
-  const baseUrl = `https://api.scryfall.com/cards/search?q=${encodeURIComponent(query)}&unique=${unique}&order=name`;
-  
-  process.stderr.write(`${ANSI.cyan}Fetching cards matching: ${ANSI.bold}${query}${ANSI.reset}\n`);
+// Fetch all cards matching the query: from Scryfall page by page, or from a local bulk-data file
+async function fetchAllCards(query, { unique, delay, bulk }) {
+  const action = bulk ? `Searching ${bulk} for` : 'Fetching cards matching';
+  process.stderr.write(`${ANSI.cyan}${action}: ${ANSI.bold}${query}${ANSI.reset}\n`);
   process.stderr.write(`${ANSI.dim}Unique mode: ${unique}${ANSI.reset}\n\n`);
 
-  while (hasMore) {
-    const url = `${baseUrl}&page=${page}`;
-    process.stderr.write(`${ANSI.dim}  Page ${page}...${ANSI.reset}`);
-    
-    try {
-      const response = await scryfallGet(url);
-      
-      if (response.object === 'error') {
-        throw new Error(response.details || response.message || 'Unknown Scryfall error');
-      }
-      
-      const cards = response.data || [];
-      allCards.push(...cards);
-      
-      process.stderr.write(` ${cards.length} cards (total: ${allCards.length})\n`);
-      
-      hasMore = response.has_more === true;
-      if (hasMore) {
-        page++;
-        await sleep(delayMs); // Respect rate limits
-      }
-    } catch (error) {
-      process.stderr.write(`\n${ANSI.red}Error on page ${page}: ${error.message}${ANSI.reset}\n`);
-      throw error;
-    }
+  if (bulk) {
+    const { cards, scanned } = await searchBulk(bulk, query, { unique });
+    process.stderr.write(`${ANSI.green}✓ Matched ${cards.length} of ${scanned} cards${ANSI.reset}\n\n`);
+    return cards;
   }
-  
-  process.stderr.write(`\n${ANSI.green}✓ Fetched ${allCards.length} total cards${ANSI.reset}\n\n`);
-  return allCards;
-}
 
-// Format card for Moxfield import
-// Format: 1 Card Name (SET) CollectorNumber
-// For foils or specific finishes: 1 Card Name (SET) CollectorNumber *F*
-function formatForMoxfield(card) {
-  const name = card.name;
-  const set = card.set.toUpperCase();
-  const collectorNumber = card.collector_number;
-  
-  // Moxfield format: 1 Card Name (SET) CollectorNumber
-  return `1 ${name} (${set}) ${collectorNumber}`;
+  let cards;
+  try {
+    cards = await searchCards(query, {
+      unique,
+      delayMs: delay,
+      onPage: ({ page, cards: count, total }) =>
+        process.stderr.write(`${ANSI.dim}  Page ${page}... ${count} cards (total: ${total})${ANSI.reset}\n`),
+      onRetry: ({ err, attempt, retries, delayMs }) =>
+        process.stderr.write(`${ANSI.yellow}  ${err.message} — retry ${attempt}/${retries} in ${(delayMs / 1000).toFixed(1)}s${ANSI.reset}\n`),
+    });
+  } catch (error) {
+    process.stderr.write(`\n${ANSI.red}Error on page ${error.page ?? '?'}: ${error.message}${ANSI.reset}\n`);
+    throw error;
+  }
+  process.stderr.write(`\n${ANSI.green}✓ Fetched ${cards.length} total cards${ANSI.reset}\n\n`);
+  return cards;
 }
 
-// Format card for MTGO import (simpler format)
-// Format: 1 Card Name
-function formatForMTGO(card) {
-  return `1 ${card.name}`;
-}
+// --sync: print or write only what changed since the saved state, then save the new state
+function syncOutput(cards, options) {
+  const stateFile = options.sync === true ? defaultSyncFile(options.query, options.unique) : options.sync;
+  const previous = readSyncState(stateFile);
+  if (previous && (previous.query !== options.query || previous.unique !== options.unique)) {
+    throw new Error(`${stateFile} holds "${previous.query}" (--unique=${previous.unique}); use another --sync file for this query`);
+  }
+  const { added, removed, unchanged } = diffCards(previous?.cards ?? [], cards);
 
-// Format card based on selected format
-function formatCard(card, format) {
-  switch (format) {
-    case 'mtgo':
-      return formatForMTGO(card);
-    case 'moxfield':
-    default:
-      return formatForMoxfield(card);
+  const outputs = []; // [file or null for stdout, content]
+  if (options.json) {
+    outputs.push([options.output, JSON.stringify({ added, removed }, null, 2)]);
+  } else if (RECORD_FORMATS.includes(options.format)) {
+    const rows = [
+      ...cardEntries(added, options).map(e => ({ change: 'added', ...cardRecord(e) })),
+      ...cardEntries(removed, options).map(e => ({ change: 'removed', ...cardRecord(e) })),
+    ];
+    const report = {
+      query: options.query,
+      unique: options.unique,
+      previous_synced_at: previous?.syncedAt ?? null,
+      added: added.length,
+      removed: removed.length,
+      unchanged,
+      rows,
+    };
+    outputs.push([options.output, renderReport(options.format, { report, rows, columns: ['change', ...RECORD_COLUMNS] })]);
+  } else {
+    const addedText = renderCards(added, options);
+    const removedText = renderCards(removed, options);
+    if (options.output) {
+      outputs.push([withSuffix(options.output, 'added'), addedText]);
+      outputs.push([withSuffix(options.output, 'removed'), removedText]);
+    } else if (CSV_FORMATS[options.format]) {
+      outputs.push([null, `Added (${added.length}):\n${addedText}\n\nRemoved (${removed.length}):\n${removedText}`]);
+    } else {
+      outputs.push([null, `// Added (${added.length})\n${addedText}${added.length ? '\n' : ''}\n// Removed (${removed.length})\n${removedText}`]);
+    }
+  }
+  for (const [file, content] of outputs) {
+    if (file) {
+      fs.writeFileSync(file, content, 'utf8');
+      process.stderr.write(`${ANSI.green}✓ Written to ${file}${ANSI.reset}\n`);
+    } else {
+      console.log(content);
+    }
+  }
+
+  process.stderr.write(`\n${ANSI.bold}Changes:${ANSI.reset}\n`);
+  if (previous) {
+    process.stderr.write(`  Since ${previous.syncedAt}: ${ANSI.green}+${added.length} added${ANSI.reset}, ${ANSI.red}-${removed.length} removed${ANSI.reset}, ${unchanged} unchanged\n`);
+  } else {
+    process.stderr.write(`  No previous sync in ${stateFile}: all ${added.length} cards count as added\n`);
+  }
+  if (options.save) {
+    writeSyncState(stateFile, { query: options.query, unique: options.unique, cards });
+    process.stderr.write(`${ANSI.dim}  State saved to ${stateFile}${ANSI.reset}\n`);
+  } else {
+    process.stderr.write(`${ANSI.dim}  State not saved (--no-save)${ANSI.reset}\n`);
   }
 }
 
@@ -178,13 +203,29 @@ ${ANSI.yellow}Examples:${ANSI.reset}
   node scryfall-to-moxfield.js "is:textless" --unique=art
   node scryfall-to-moxfield.js "set:lea" --unique=prints --output=alpha.txt
   node scryfall-to-moxfield.js "t:legendary t:creature" --format=mtgo
+  node scryfall-to-moxfield.js "is:textless -t:land" --bulk=default-cards.json
 
 ${ANSI.yellow}Options:${ANSI.reset}
   --unique=art|prints|cards   Scryfall unique mode (default: art)
   --output=FILE               Write to file instead of stdout
-  --format=moxfield|mtgo      Output format (default: moxfield)
+  --format=FORMAT             Output format (default: moxfield):
+                                moxfield, mtgo, arena, archidekt, tcgplayer   text lists
+                                deckbox, moxfield-csv, cardtrader              CSV imports
+                                json, csv, ndjson                              records
+  --finish=FINISH             nonfoil|foil|etched|all: one line per finish with *F*/*E* markers
+                              (default: each card once, in its main finish)
+  --quantity=N                Copies per line (default: 1)
   --delay=MS                  Delay between requests in ms (default: 100)
+  --bulk=FILE                 Search a Scryfall bulk-data file (default_cards, unique_artwork, ...;
+                              .json or .json.gz) offline instead of the API. Supports set:, t:, o:,
+                              name, r:, c:, id:, lang:, cn:, is:/not:, include:extras, unique:,
+                              and/or, - and parentheses
   --json                      Output raw JSON data
+  --sync[=STATE_FILE]         Only output the cards added or removed since the last --sync run of
+                              this query and unique mode (state in ${SYNC_DIR}/ by default).
+                              With --output=list.txt the lists go to list.added.txt and list.removed.txt
+                              (record formats: one file with a change column)
+  --no-save                   With --sync, show the changes without updating the saved state
 
 ${ANSI.yellow}Moxfield Import:${ANSI.reset}
   1. Copy the output (or use --output to save to file)
@@ -195,17 +236,34 @@ ${ANSI.yellow}Moxfield Import:${ANSI.reset}
     process.exit(1);
   }
 
+  if (!FORMATS.includes(options.format)) {
+    console.error(`${ANSI.red}Unknown --format=${options.format}. Use one of: ${FORMATS.join(', ')}${ANSI.reset}`);
+    process.exit(1);
+  }
+  if (options.finish && options.finish !== 'all' && !FINISHES.includes(options.finish)) {
+    console.error(`${ANSI.red}Unknown --finish=${options.finish}. Use one of: ${[...FINISHES, 'all'].join(', ')}${ANSI.reset}`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(options.quantity) || options.quantity < 1) {
+    console.error(`${ANSI.red}--quantity must be a positive whole number${ANSI.reset}`);
+    process.exit(1);
+  }
+
   try {
-    const cards = await fetchAllCards(options.query, options.unique, options.delay);
+    const cards = await fetchAllCards(options.query, options);
+
+    if (options.sync) {
+      syncOutput(cards, options);
+      return;
+    }
     
     let output;
     if (options.json) {
       // Output raw JSON
       output = JSON.stringify(cards, null, 2);
     } else {
-      // Format each card for import
-      const lines = cards.map(card => formatCard(card, options.format));
-      output = lines.join('\n');
+      // Format each card (and finish) for import
+      output = renderCards(cards, options);
     }
     
     if (options.output) {
@@ -230,7 +288,8 @@ ${ANSI.yellow}Moxfield Import:${ANSI.reset}
     process.stderr.write(`  Sets represented: ${sets.size}\n`);
     
   } catch (error) {
-    console.error(`${ANSI.red}Error: ${error.message}${ANSI.reset}`);
+    const label = error instanceof ScryfallQueryError ? 'Invalid query' : 'Error';
+    console.error(`${ANSI.red}${label}: ${error.message}${ANSI.reset}`);
     process.exit(1);
   }
 }
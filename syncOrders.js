@@ -0,0 +1,42 @@
+const { isMachineFormat, getOutputOptions, writeReport } = require('./lib/output');
+require('@dotenvx/dotenvx').config({ quiet: isMachineFormat() });
+
+const { createClient, logRetry } = require('./lib/cardtrader');
+const { createOrderStore } = require('./lib/order-store');
+const { parseArgs } = require('./lib/cli');
+
+// Usage: node syncOrders.js [--full] [--format=table|json|csv|ndjson] [--output=FILE]
+// Brings the local order store (CACHE_DIR/orders.jsonl) up to date. The sales scripts sync on their own;
+// run this from cron to keep the store warm, or with --full to re-download every order.
+(async function() {
+  const client = createClient({ onRetry: logRetry });
+  if (!client.config.token) {
+    console.error('Missing API_TOKEN in environment (.env)');
+    process.exit(1);
+  }
+
+  const { flags } = parseArgs();
+  const full = Boolean(flags.full);
+  const outputOptions = getOutputOptions(flags);
+  const store = createOrderStore(client);
+  const previous = store.lastSync();
+
+  try {
+    const result = await store.sync({
+      full,
+      onPage: ({ page, total }) => process.stderr.write(`  Page ${page}: ${total} orders fetched\n`)
+    });
+    if (outputOptions.machine) {
+      const row = { file: store.file, previous_sync_at: previous?.lastSyncAt ?? null, synced_at: result.lastSyncAt,
+        fetched: result.fetched, added: result.added, updated: result.updated, total: result.total };
+      writeReport(outputOptions, { report: row, rows: [row] });
+      return;
+    }
+    console.log(`Order store: ${store.file}`);
+    if (previous) console.log(`Previous sync: ${previous.lastSyncAt}`);
+    console.log(`Fetched ${result.fetched} orders: ${result.added} new, ${result.updated} updated, ${result.total} stored`);
+  } catch (err) {
+    console.error('Failed to sync orders:', err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,84 @@
+// bulkDelist.js --restore against a stand-in API whose job status can never be read
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+const product = (id) => ({ id, blueprint_id: 100 + id, name_en: `Card ${id}`, quantity: 1, price_cents: 50, properties_hash: {} });
+
+// Nothing is listed, bulk_create answers with a job and /jobs/:id is a 404, so every restore job ends unknown
+const startApi = () => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const endpoint = new URL(req.url, 'http://localhost').pathname.replace(/^\/api\/v2/, '');
+    requests.push(`${req.method} ${endpoint}`);
+    const [status, body] = endpoint === '/products/export' ? [200, []]
+      : endpoint === '/products/bulk_create' ? [200, { job: 'job-1' }]
+        : [404, { error: 'not found' }];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests }));
+});
+
+const setup = async (t, backup) => {
+  const { server, requests } = await startApi();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-delist-'));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const file = path.join(dir, 'delist-test.json');
+  fs.writeFileSync(file, JSON.stringify({ kind: 'delist', createdAt: '2026-01-01T00:00:00.000Z', mode: 'destroy', ...backup }));
+  const env = {
+    PATH: process.env.PATH,
+    API_URL: `http://127.0.0.1:${server.address().port}/api/v2`,
+    API_TOKEN: 'x',
+    CACHE_DIR: dir,
+    BACKUP_DIR: dir,
+    REQUESTS_PER_SECOND: '0',
+    MAX_RETRIES: '0',
+  };
+  // Resolves with the exit code and stderr; the backup is read back after each run
+  const restore = () => new Promise((resolve) => {
+    execFile(process.execPath, [path.join(ROOT, 'bulkDelist.js'), `--restore=${file}`, '--yes'],
+      { cwd: ROOT, env, timeout: 30000 }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stderr }));
+  });
+  const read = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { requests, restore, read };
+};
+
+test('a restore that leaves only unknown products is marked restored', async (t) => {
+  const { requests, restore, read } = await setup(t, { products: [product(1), product(2)] });
+
+  const first = await restore();
+  assert.equal(first.code, 1);
+  assert.match(first.stderr, /2 listing\(s\) in unknown state/);
+  assert.match(first.stderr, /is marked restored/);
+  const backup = read();
+  assert.ok(backup.restoredAt);
+  assert.equal(backup.restoreFailedIds, undefined);
+  assert.deepEqual(backup.restoreUnknownIds, [1, 2]);
+
+  const second = await restore();
+  assert.equal(second.code, 1);
+  assert.match(second.stderr, /was already restored/);
+  assert.equal(requests.filter(r => r === 'POST /products/bulk_create').length, 1);
+});
+
+test('a backup left with no failures to retry is closed on the next restore', async (t) => {
+  const { requests, restore, read } = await setup(t,
+    { products: [product(1), product(2)], restoreFailedIds: [], restoreUnknownIds: [1, 2] });
+
+  const { code } = await restore();
+  assert.equal(code, 0);
+  const backup = read();
+  assert.ok(backup.restoredAt);
+  assert.equal(backup.restoreFailedIds, undefined);
+  assert.ok(!requests.includes('POST /products/bulk_create'));
+});
@@ -0,0 +1,52 @@
+// lib/bulk.js runBulk against a fake client
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runBulk, waitForJob } = require('../lib/bulk');
+
+// bulkUpdate answers with job-1, job-2, ...; job(id) answers with jobs[id] (a payload, or an Error to throw)
+const fakeClient = (jobs, { submitError = null } = {}) => {
+  let submitted = 0;
+  return {
+    bulkUpdate: async () => {
+      if (submitError) throw submitError;
+      return { job: `job-${++submitted}` };
+    },
+    job: async (id) => {
+      const job = jobs[id];
+      if (job instanceof Error) throw job;
+      return job;
+    },
+  };
+};
+
+const items = (n) => Array.from({ length: n }, (_, i) => ({ id: i + 1, price: 1 }));
+
+test('per-item job errors fail single items', async () => {
+  const client = fakeClient({ 'job-1': { state: 'completed', results: [{ ok: true }, { id: 2, errors: ['price too low'] }] } });
+  const { failures, unknown } = await runBulk(client, 'bulkUpdate', items(2));
+  assert.deepEqual(failures.map(f => [f.item.id, f.message]), [[2, 'price too low']]);
+  assert.deepEqual(unknown, []);
+});
+
+test('a rejected submission or failed job fails the whole chunk', async () => {
+  const rejected = await runBulk(fakeClient({}, { submitError: new Error('422') }), 'bulkUpdate', items(3), { chunkSize: 2 });
+  assert.deepEqual(rejected.failures.map(f => f.item.id), [1, 2, 3]);
+
+  const failedJob = await runBulk(fakeClient({ 'job-1': { state: 'failed' } }), 'bulkUpdate', items(2));
+  assert.deepEqual(failedJob.failures.map(f => [f.item.id, f.message]), [[1, 'job job-1 failed'], [2, 'job job-1 failed']]);
+});
+
+test('a job that cannot be polled to the end is unknown, not failed', async () => {
+  const client = fakeClient({ 'job-1': new Error('GET /jobs/job-1 failed: 502 Bad Gateway'), 'job-2': { state: 'completed' } });
+  const chunks = [];
+  const { failures, unknown } = await runBulk(client, 'bulkUpdate', items(3), { chunkSize: 2, onChunk: (c) => chunks.push(c.state) });
+  assert.deepEqual(failures, []);
+  assert.deepEqual(unknown.map(u => u.item.id), [1, 2]);
+  assert.match(unknown[0].message, /job status unknown \(GET \/jobs\/job-1 failed: 502 Bad Gateway\); check your inventory/);
+  assert.deepEqual(chunks, ['unknown', 'completed']);
+});
+
+test('waitForJob gives up at its timeout', async () => {
+  const client = fakeClient({ 'job-1': { state: 'running' } });
+  await assert.rejects(waitForJob(client, 'job-1', { intervalMs: 5, timeoutMs: 20 }), /job job-1 still running after 0s/);
+});
@@ -0,0 +1,141 @@
+// Retry, backoff and pagination rules of lib/cardtrader.js against a fake fetch
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createClient, CardTraderError, isRetryable } = require('../lib/cardtrader');
+
+const json = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+// A fetch that answers each call with the next of responses (a Response or a function of the call),
+// recording every call made
+const fakeFetch = (responses) => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const call = { url: new URL(url), method: init.method, body: init.body && JSON.parse(init.body) };
+    calls.push(call);
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    const res = typeof next === 'function' ? next(call) : next;
+    if (res instanceof Error) throw res;
+    return res.clone();
+  };
+  return { fetch, calls };
+};
+
+const client = (fetch, options = {}) => createClient({
+  fetch,
+  token: 'x',
+  apiUrl: 'http://api.test/api/v2',
+  maxRetries: 3,
+  retryBaseMs: 1,
+  retryMaxMs: 5000,
+  requestsPerSecond: 0,
+  pageLimit: 2,
+  ...options,
+});
+
+test('429 is retried after the Retry-After delay', async () => {
+  const { fetch, calls } = fakeFetch([json(429, { error: 'slow down' }, { 'Retry-After': '0.05' }), json(200, { id: 1 })]);
+  const retries = [];
+  const data = await client(fetch, { onRetry: (r) => retries.push(r) }).info();
+  assert.deepEqual(data, { id: 1 });
+  assert.equal(calls.length, 2);
+  assert.equal(retries.length, 1);
+  assert.equal(retries[0].delayMs, 50);
+  assert.equal(retries[0].err.status, 429);
+});
+
+test('Retry-After is capped at retryMaxMs', async () => {
+  const { fetch } = fakeFetch([json(429, {}, { 'Retry-After': '120' }), json(200, {})]);
+  const retries = [];
+  await client(fetch, { retryMaxMs: 20, onRetry: (r) => retries.push(r) }).info();
+  assert.equal(retries[0].delayMs, 20);
+});
+
+test('5xx and network errors are retried on GET', async () => {
+  const { fetch, calls } = fakeFetch([json(502, {}), new TypeError('socket hang up'), json(200, { ok: true })]);
+  assert.deepEqual(await client(fetch).info(), { ok: true });
+  assert.equal(calls.length, 3);
+});
+
+test('5xx is not retried on POST, 429 is', async () => {
+  const failing = fakeFetch([json(502, {}), json(200, {})]);
+  await assert.rejects(client(failing.fetch).cartAdd(1, 1), (err) => err instanceof CardTraderError && err.status === 502);
+  assert.equal(failing.calls.length, 1);
+
+  const limited = fakeFetch([json(429, {}, { 'Retry-After': '0' }), json(200, { id: 7 })]);
+  assert.deepEqual(await client(limited.fetch).cartAdd(1, 1), { id: 7 });
+  assert.equal(limited.calls.length, 2);
+  assert.equal(limited.calls[1].method, 'POST');
+});
+
+test('4xx other than 429 fails at once', async () => {
+  const { fetch, calls } = fakeFetch([json(404, { error: 'not found' })]);
+  await assert.rejects(client(fetch).order(1), (err) => err.status === 404 && err.body.error === 'not found' && !isRetryable(err));
+  assert.equal(calls.length, 1);
+});
+
+test('gives up once the retry budget is spent', async () => {
+  const { fetch, calls } = fakeFetch([json(503, {})]);
+  await assert.rejects(client(fetch, { maxRetries: 2 }).info(), (err) => err.status === 503 && err.attempts === 3);
+  assert.equal(calls.length, 3);
+});
+
+test('requests wait for a free slot under maxConcurrency', async () => {
+  let active = 0;
+  let peak = 0;
+  const fetch = async () => {
+    peak = Math.max(peak, ++active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+    return json(200, {});
+  };
+  const c = client(fetch, { maxConcurrency: 2 });
+  await Promise.all(Array.from({ length: 6 }, () => c.info()));
+  assert.equal(peak, 2);
+});
+
+test('requests are spaced by requestsPerSecond', async () => {
+  const starts = [];
+  const fetch = async () => { starts.push(Date.now()); return json(200, {}); };
+  const c = client(fetch, { requestsPerSecond: 50 });
+  const startedAt = Date.now();
+  await Promise.all(Array.from({ length: 4 }, () => c.info()));
+  assert.ok(starts[3] - startedAt >= 55, `the 4th request at 50/s started after ${starts[3] - startedAt}ms`);
+});
+
+test('paginates until a short page', async () => {
+  const { fetch, calls } = fakeFetch([(call) => {
+    const page = Number(call.url.searchParams.get('page'));
+    return json(200, page < 3 ? [{ id: page * 10 }, { id: page * 10 + 1 }] : [{ id: 30 }]);
+  }]);
+  const items = await client(fetch).exportProducts();
+  assert.deepEqual(items.map(i => i.id), [10, 11, 20, 21, 30]);
+  assert.deepEqual(calls.map(c => c.url.searchParams.get('limit')), ['2', '2', '2']);
+});
+
+test('a page that keeps failing is skipped and reported with the partial result', async () => {
+  const { fetch } = fakeFetch([(call) => {
+    const page = Number(call.url.searchParams.get('page'));
+    if (page === 2) return json(502, {});
+    return json(200, page < 3 ? [{ id: page * 10 }, { id: page * 10 + 1 }] : []);
+  }]);
+  await assert.rejects(client(fetch, { maxRetries: 1 }).exportProducts(), (err) => {
+    assert.ok(err instanceof CardTraderError);
+    assert.deepEqual(err.failures.map(f => [f.page, f.status]), [[2, 502]]);
+    assert.deepEqual(err.partial.map(i => i.id), [10, 11]);
+    assert.match(err.message, /1 page\(s\) failed after retries: page 2 \(502\)/);
+    return true;
+  });
+});
+
+test('pagination stops after three failed pages in a row', async () => {
+  const { fetch, calls } = fakeFetch([(call) => (call.url.searchParams.get('page') === '1' ? json(200, [{ id: 1 }, { id: 2 }]) : json(500, {}))]);
+  await assert.rejects(client(fetch, { maxRetries: 0 }).exportProducts(), (err) => err.failures.length === 3);
+  assert.equal(calls.length, 4);
+});
+
+test('a missing token fails without a request', async () => {
+  const { fetch, calls } = fakeFetch([json(200, {})]);
+  await assert.rejects(client(fetch, { token: undefined }).info(), /Missing API_TOKEN/);
+  assert.equal(calls.length, 0);
+});
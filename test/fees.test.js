@@ -0,0 +1,32 @@
+// lib/fees.js per-order payout
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { orderProfit } = require('../lib/fees');
+
+const items = [{ seller_price: { cents: 1000 }, quantity: 2 }];
+
+test('buyer-paid shipping on a direct order is income; --shipping is the cost', () => {
+  const profit = orderProfit({ order_items: items, order_shipping_method: { seller_price: { cents: 300 } } },
+    { vatRate: 0.2, shippingCents: 120 });
+  assert.equal(profit.itemsCents, 2000);
+  assert.equal(profit.shippingIncomeCents, 300);
+  assert.equal(profit.grossCents, 2300);
+  assert.equal(profit.feeCents, 300); // 15% of the items
+  assert.equal(profit.vatCents, 60);
+  assert.equal(profit.shippingCents, 120);
+  assert.equal(profit.netCents, 2300 - 300 - 60 - 120);
+});
+
+test('the fee reported on the order wins over the modeled rate', () => {
+  const profit = orderProfit({ order_items: items, fee_amount: { cents: 250 } }, { vatRate: 0 });
+  assert.equal(profit.feeCents, 250);
+  assert.equal(profit.netCents, 1750);
+});
+
+test('CardTrader Zero orders have no shipping income or cost', () => {
+  const profit = orderProfit({ via_cardtrader_zero: true, order_items: items, order_shipping_method: { seller_price: { cents: 300 } } },
+    { vatRate: 0, shippingCents: 120 });
+  assert.equal(profit.grossCents, 2000);
+  assert.equal(profit.feeCents, 160); // 8%
+  assert.equal(profit.netCents, 1840);
+});
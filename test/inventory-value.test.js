@@ -0,0 +1,66 @@
+// inventoryValue.js machine-readable output against a stand-in API
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+const PROPERTIES = { condition: 'Near Mint', mtg_language: 'en', mtg_foil: false };
+const listing = (id, blueprintId, cents) => ({ id, blueprint_id: blueprintId, quantity: 1, price_cents: cents, properties_hash: PROPERTIES });
+
+// Stale (far above the median), underpriced (well below the minimum) and one priced at the market
+const PRODUCTS = [listing(1, 101, 1000), listing(2, 102, 50), listing(3, 103, 100)];
+const MARKET = { 101: [listing(901, 101, 100)], 102: [listing(902, 102, 100)], 103: [listing(903, 103, 100)] };
+
+const startApi = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.replace(/^\/api\/v2/, '');
+    let body = null;
+    if (endpoint === '/products/export') body = url.searchParams.get('page') === '1' ? PRODUCTS : [];
+    if (endpoint === '/marketplace/products') body = { [url.searchParams.get('blueprint_id')]: MARKET[url.searchParams.get('blueprint_id')] };
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { error: 'not found' }));
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+test('--flagged limits the rows of every machine-readable format', async (t) => {
+  const server = await startApi();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-value-'));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const env = {
+    PATH: process.env.PATH,
+    API_URL: `http://127.0.0.1:${server.address().port}/api/v2`,
+    API_TOKEN: 'x',
+    CACHE_DIR: dir,
+    REQUESTS_PER_SECOND: '0',
+    MAX_RETRIES: '0',
+  };
+  const run = (...args) => new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(ROOT, 'inventoryValue.js'), ...args], { cwd: ROOT, env, timeout: 30000 },
+      (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve(stdout)));
+  });
+
+  const all = JSON.parse(await run('--format=json'));
+  assert.deepEqual(all.rows.map(r => [r.product_id, r.flag]), [[1, 'stale'], [2, 'underpriced'], [3, null]]);
+
+  const flagged = JSON.parse(await run('--format=json', '--flagged'));
+  assert.deepEqual(flagged.rows.map(r => r.product_id), [1, 2]);
+  assert.equal(flagged.products, 3);
+  assert.equal(flagged.list_cents, 1150);
+
+  const csv = (await run('--format=csv', '--flagged')).trim().split('\n');
+  assert.equal(csv.length, 3);
+  assert.match(csv[0], /^product_id,/);
+
+  const ndjson = (await run('--format=ndjson', '--flagged')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(ndjson.map(r => r.flag), ['stale', 'underpriced']);
+});
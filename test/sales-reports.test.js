@@ -0,0 +1,100 @@
+// The sales reports run against a stand-in API whose order history holds a sale, a cancelled order and a purchase
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createOrderStore } = require('../lib/order-store');
+
+const ROOT = path.join(__dirname, '..');
+
+const order = (id, fields, quantity, cents) => ({
+  id,
+  code: `O${id}`,
+  date: '2026-03-01T12:00:00.000Z',
+  order_as: 'seller',
+  state: 'done',
+  order_items: [{ blueprint_id: 100, game_id: 1, expansion_id: 10, expansion: 'Test Set', name: 'Test Card',
+    quantity, seller_price: { cents } }],
+  ...fields,
+});
+
+const ORDERS = [
+  order(1, {}, 1, 100),
+  order(2, { state: 'canceled', cancelled_at: '2026-03-02T00:00:00.000Z' }, 5, 1000),
+  order(3, { order_as: 'buyer' }, 7, 2000),
+];
+
+const API = {
+  '/games': { array: [{ id: 1, name: 'Magic', display_name: 'Magic' }] },
+  '/categories': [{ id: 1, game_id: 1, name: 'Magic Single Card' }],
+  '/expansions': [{ id: 10, game_id: 1, code: 'tst', name: 'Test Set' }],
+  '/blueprints/export': [{ id: 100, expansion_id: 10, name: 'Test Card' }],
+};
+
+// Answers the endpoints the reports call; /orders serves ORDERS on its first page only
+const startApi = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.replace(/^\/api\/v2/, '');
+    let body = API[endpoint];
+    if (endpoint === '/orders') body = url.searchParams.get('page') === '1' ? ORDERS : [];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { error: 'not found' }));
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const runReport = (script, args, env) => new Promise((resolve, reject) => {
+  execFile(process.execPath, [path.join(ROOT, script), ...args, '--format=json'],
+    { cwd: ROOT, env, timeout: 30000 }, (err, stdout, stderr) => {
+      if (err) reject(new Error(`${script} failed: ${stderr || err.message}`));
+      else resolve(JSON.parse(stdout));
+    });
+});
+
+test('the order store lists only sales with sales: true', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+  try {
+    const file = path.join(dir, 'orders.jsonl');
+    fs.writeFileSync(file, ORDERS.map(o => JSON.stringify(o) + '\n').join(''));
+    const store = createOrderStore({ config: { cacheDir: dir } }, { file });
+    assert.deepEqual(store.list().map(o => o.id).sort(), [1, 2, 3]);
+    assert.deepEqual(store.list({ sales: true }).map(o => o.id), [1]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('every sales report leaves out cancelled orders and purchases', async (t) => {
+  const server = await startApi();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sales-reports-'));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const env = {
+    PATH: process.env.PATH,
+    API_URL: `http://127.0.0.1:${server.address().port}/api/v2`,
+    API_TOKEN: 'x',
+    CACHE_DIR: dir,
+    REQUESTS_PER_SECOND: '0',
+    MAX_RETRIES: '0',
+  };
+  const range = ['--from=2026-01-01', '--to=2026-12-31'];
+
+  const sold = await runReport('cardsSoldOfSet.js', [...range, '--expansion=10'], env);
+  assert.deepEqual([sold.quantity, sold.total_cents], [1, 100]);
+
+  const byExpansion = await runReport('salesByExpansion.js', [], env);
+  assert.deepEqual([byExpansion.quantity, byExpansion.total_cents], [1, 100]);
+
+  const profit = await runReport('profitReport.js', range, env);
+  const total = profit.rows.find(r => r.group === 'total');
+  assert.deepEqual([total.orders, total.quantity, total.gross_cents], [1, 1, 100]);
+
+  const analytics = await runReport('salesAnalytics.js', range, env);
+  assert.deepEqual([analytics.orders, analytics.quantity, analytics.total_cents], [1, 1, 100]);
+});
@@ -0,0 +1,124 @@
+// lib/scryfall-query.js evaluated against hand-made Scryfall card objects
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScryfallQueryError, parseScryfallQuery, uniqueCards, sortByName } = require('../lib/scryfall-query');
+
+const card = (fields) => ({
+  id: fields.name, oracle_id: fields.name, illustration_id: fields.name, layout: 'normal', set: 'abc',
+  collector_number: '1', lang: 'en', rarity: 'common', colors: [], color_identity: [], finishes: ['nonfoil'],
+  type_line: 'Instant', oracle_text: '', released_at: '2024-01-01', ...fields,
+});
+
+const CARDS = [
+  card({ name: 'Lightning Bolt', colors: ['R'], color_identity: ['R'], oracle_text: 'Lightning Bolt deals 3 damage to any target.', finishes: ['nonfoil', 'foil'] }),
+  card({ name: 'Counterspell', set: 'def', colors: ['U'], color_identity: ['U'], rarity: 'uncommon', textless: true }),
+  card({ name: 'Lightning Helix', colors: ['R', 'W'], color_identity: ['R', 'W'], rarity: 'rare', set: 'sld', full_art: true }),
+  card({ name: 'Tarmogoyf', type_line: 'Creature — Lhurgoyf', colors: ['G'], color_identity: ['G'], rarity: 'mythic', lang: 'ja' }),
+  card({ name: 'Sol Ring', type_line: 'Artifact', rarity: 'uncommon', collector_number: '270' }),
+  card({ name: 'Delver of Secrets // Insectile Aberration', layout: 'transform', colors: undefined, color_identity: ['U'],
+    card_faces: [{ name: 'Delver of Secrets', type_line: 'Creature — Human Wizard', colors: ['U'] }, { name: 'Insectile Aberration', type_line: 'Creature — Human Insect', colors: ['U'] }] }),
+  card({ name: 'Goblin', layout: 'token', type_line: 'Token Creature — Goblin', colors: ['R'] }),
+];
+
+const names = (query) => {
+  const { matches } = parseScryfallQuery(query);
+  return CARDS.filter(matches).map(c => c.name);
+};
+
+test('bare words and phrases match the name', () => {
+  assert.deepEqual(names('lightning'), ['Lightning Bolt', 'Lightning Helix']);
+  assert.deepEqual(names('"lightning bolt"'), ['Lightning Bolt']);
+  assert.deepEqual(names('!"Delver of Secrets"'), ['Delver of Secrets // Insectile Aberration']);
+  assert.deepEqual(names('!Lightning'), []);
+});
+
+test('keys and aliases', () => {
+  assert.deepEqual(names('s:def'), ['Counterspell']);
+  assert.deepEqual(names('t:creature'), ['Tarmogoyf', 'Delver of Secrets // Insectile Aberration']);
+  assert.deepEqual(names('o:"3 damage"'), ['Lightning Bolt']);
+  assert.deepEqual(names('lang:ja'), ['Tarmogoyf']);
+  assert.deepEqual(names('cn:270'), ['Sol Ring']);
+  assert.deepEqual(names('is:textless'), ['Counterspell']);
+  assert.deepEqual(names('is:foil'), ['Lightning Bolt']);
+  assert.deepEqual(names('is:dfc'), ['Delver of Secrets // Insectile Aberration']);
+});
+
+test('rarity compares by grade', () => {
+  assert.deepEqual(names('r:u'), ['Counterspell', 'Sol Ring']);
+  assert.deepEqual(names('r>=rare'), ['Lightning Helix', 'Tarmogoyf']);
+  assert.deepEqual(names('r<uncommon'), ['Lightning Bolt', 'Delver of Secrets // Insectile Aberration']);
+});
+
+test('c: means at least these colors, id: at most', () => {
+  assert.deepEqual(names('c:r'), ['Lightning Bolt', 'Lightning Helix']);
+  assert.deepEqual(names('c=r'), ['Lightning Bolt']);
+  assert.deepEqual(names('c:m'), ['Lightning Helix']);
+  assert.deepEqual(names('c:c'), ['Sol Ring']);
+  assert.deepEqual(names('c:u'), ['Counterspell', 'Delver of Secrets // Insectile Aberration']);
+  assert.deepEqual(names('id:rw'), ['Lightning Bolt', 'Lightning Helix', 'Sol Ring']);
+});
+
+test('and, or, negation and parentheses', () => {
+  assert.deepEqual(names('lightning -s:sld'), ['Lightning Bolt']);
+  assert.deepEqual(names('r:mythic or is:textless'), ['Counterspell', 'Tarmogoyf']);
+  assert.deepEqual(names('(r:mythic or r:rare) and c:r'), ['Lightning Helix']);
+  assert.deepEqual(names('not:fullart lightning'), ['Lightning Bolt']);
+  assert.deepEqual(names('s!=abc'), ['Counterspell', 'Lightning Helix']);
+});
+
+test('extras only with include:extras', () => {
+  assert.deepEqual(names('goblin'), []);
+  assert.deepEqual(names('goblin include:extras'), ['Goblin']);
+});
+
+test('unique: directive is returned, not matched', () => {
+  const { matches, unique } = parseScryfallQuery('unique:prints s:def');
+  assert.equal(unique, 'prints');
+  assert.deepEqual(CARDS.filter(matches).map(c => c.name), ['Counterspell']);
+  assert.equal(parseScryfallQuery('s:def').unique, null);
+});
+
+test('bad queries throw ScryfallQueryError with a position', () => {
+  const error = (query, pattern) => assert.throws(() => parseScryfallQuery(query),
+    (err) => err instanceof ScryfallQueryError && pattern.test(err.message));
+  error('power>3', /Unsupported key "power"/);
+  error('r:legendary', /Unknown rarity "legendary"/);
+  error('c:xyz', /Invalid colors/);
+  error('is:shiny', /Unknown is:shiny/);
+  error('"open', /Unterminated quote \(at character 1\)/);
+  error('(s:abc', /Missing \)/);
+  error('s:abc)', /Unexpected "\)"/);
+  error('t: creature', /Missing value after t:/);
+});
+
+test('uniqueCards keeps one card per artwork or oracle id', () => {
+  const prints = [
+    card({ name: 'A', id: 'a1', oracle_id: 'A', illustration_id: 'art1' }),
+    card({ name: 'A', id: 'a2', oracle_id: 'A', illustration_id: 'art1' }),
+    card({ name: 'A', id: 'a3', oracle_id: 'A', illustration_id: 'art2' }),
+  ];
+  assert.equal(uniqueCards(prints, 'prints').length, 3);
+  assert.deepEqual(uniqueCards(prints, 'art').map(c => c.illustration_id), ['art1', 'art2']);
+  assert.equal(uniqueCards(prints, 'cards').length, 1);
+});
+
+test('uniqueCards keeps the newest non-promo paper printing whatever the order', () => {
+  const prints = [
+    card({ name: 'A', id: 'old', released_at: '2010-01-01' }),
+    card({ name: 'A', id: 'promo', released_at: '2025-01-01', promo: true }),
+    card({ name: 'A', id: 'new', released_at: '2020-01-01' }),
+    card({ name: 'A', id: 'arena', released_at: '2024-01-01', digital: true }),
+  ];
+  assert.deepEqual(uniqueCards(prints, 'cards').map(c => c.id), ['new']);
+  assert.deepEqual(uniqueCards([...prints].reverse(), 'art').map(c => c.id), ['new']);
+  assert.deepEqual(uniqueCards([prints[1], prints[3]], 'cards').map(c => c.id), ['arena']);
+});
+
+test('sortByName orders by name, then release date and collector number', () => {
+  const sorted = sortByName([
+    card({ name: 'b', collector_number: '10' }),
+    card({ name: 'B', collector_number: '9' }),
+    card({ name: 'a', released_at: '2025-01-01' }),
+  ]);
+  assert.deepEqual(sorted.map(c => `${c.name}${c.collector_number}`), ['a1', 'B9', 'b10']);
+});
@@ -0,0 +1,67 @@
+// lib/scryfall.js searches against a stubbed https.get
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { ScryfallError, searchCards } = require('../lib/scryfall');
+
+// Replaces https.get for one test: respond(url) returns { status, body } for each request
+const stubScryfall = (t, respond) => {
+  const urls = [];
+  t.mock.method(https, 'get', (url, options, callback) => {
+    urls.push(new URL(url));
+    const { status = 200, body } = respond(new URL(url));
+    const res = new EventEmitter();
+    res.statusCode = status;
+    res.headers = {};
+    process.nextTick(() => {
+      callback(res);
+      res.emit('data', typeof body === 'string' ? body : JSON.stringify(body));
+      res.emit('end');
+    });
+    return new EventEmitter();
+  });
+  return urls;
+};
+
+const card = (name) => ({ object: 'card', id: name, name });
+
+test('pages through /cards/search', async (t) => {
+  const urls = stubScryfall(t, (url) => (url.searchParams.get('page') === '1'
+    ? { body: { object: 'list', has_more: true, data: [card('a'), card('b')] } }
+    : { body: { object: 'list', has_more: false, data: [card('c')] } }));
+  const cards = await searchCards('is:textless', { unique: 'prints', delayMs: 0 });
+  assert.deepEqual(cards.map(c => c.name), ['a', 'b', 'c']);
+  assert.equal(urls[0].searchParams.get('q'), 'is:textless');
+  assert.equal(urls[0].searchParams.get('unique'), 'prints');
+});
+
+test('a query without matches is an empty result', async (t) => {
+  stubScryfall(t, () => ({
+    status: 404,
+    body: { object: 'error', code: 'not_found', status: 404, details: 'Your query didn’t match any cards.' },
+  }));
+  assert.deepEqual(await searchCards('name:nothing-like-this', { delayMs: 0 }), []);
+});
+
+test('a bad query fails without retries', async (t) => {
+  const urls = stubScryfall(t, () => ({
+    status: 400,
+    body: { object: 'error', code: 'bad_request', status: 400, details: 'All of your terms were ignored.' },
+  }));
+  await assert.rejects(searchCards('foo:bar', { delayMs: 0 }),
+    (err) => err instanceof ScryfallError && err.code === 'bad_request' && err.page === 1);
+  assert.equal(urls.length, 1);
+});
+
+test('non-JSON responses are retried', async (t) => {
+  let calls = 0;
+  stubScryfall(t, () => (++calls === 1
+    ? { status: 503, body: '<html>Service Unavailable</html>' }
+    : { body: { object: 'list', has_more: false, data: [card('a')] } }));
+  const retries = [];
+  const cards = await searchCards('a', { delayMs: 0, onRetry: (r) => retries.push(r) });
+  assert.equal(cards.length, 1);
+  assert.equal(retries.length, 1);
+  assert.ok(retries[0].err.notJson);
+});